@@ -1,5 +1,4 @@
 const { Pool } = require('pg');
-const bcrypt = require('bcryptjs');
 
 // Use DATABASE_URL from Railway or local PostgreSQL
 const pool = new Pool({
@@ -47,6 +46,47 @@ async function initDB() {
             -- Add pgn_content column if not exists (migration)
             ALTER TABLE puzzle_sets ADD COLUMN IF NOT EXISTS pgn_content TEXT DEFAULT '';
 
+            -- Cycle schedule templates (target days per cycle)
+            CREATE TABLE IF NOT EXISTS cycle_templates (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                cycle_days INTEGER[] NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            -- Attach a schedule template to a puzzle set (NULL = classic 7-cycle schedule)
+            ALTER TABLE puzzle_sets ADD COLUMN IF NOT EXISTS template_id TEXT REFERENCES cycle_templates(id);
+
+            -- Puzzle library: one row per uploaded PGN, shared by every assignment
+            CREATE TABLE IF NOT EXISTS puzzle_library (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                pgn_file TEXT DEFAULT '',
+                pgn_content TEXT DEFAULT '',
+                original_name TEXT DEFAULT '',
+                puzzle_count INTEGER DEFAULT 0,
+                template_id TEXT REFERENCES cycle_templates(id),
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            -- puzzle_sets rows are now per-user assignments of a library set
+            ALTER TABLE puzzle_sets ADD COLUMN IF NOT EXISTS library_id TEXT REFERENCES puzzle_library(id) ON DELETE CASCADE;
+            ALTER TABLE puzzle_sets ALTER COLUMN name DROP NOT NULL;
+
+            -- Migration: collapse per-user PGN copies (same file + same content) into one library entry
+            INSERT INTO puzzle_library (id, name, pgn_file, pgn_content, original_name, puzzle_count, template_id, created_at)
+            SELECT DISTINCT ON (original_name, md5(pgn_content))
+                   'lib' || id, name, pgn_file, pgn_content, original_name, puzzle_count, template_id, created_at
+            FROM puzzle_sets
+            WHERE library_id IS NULL
+            ORDER BY original_name, md5(pgn_content), created_at;
+
+            UPDATE puzzle_sets ps SET library_id = pl.id, pgn_content = ''
+            FROM puzzle_library pl
+            WHERE ps.library_id IS NULL
+              AND pl.original_name = ps.original_name
+              AND md5(pl.pgn_content) = md5(ps.pgn_content);
+
             -- Cycles
             CREATE TABLE IF NOT EXISTS cycles (
                 id TEXT PRIMARY KEY,
@@ -68,6 +108,20 @@ async function initDB() {
                 puzzles_solved INTEGER DEFAULT 0
             );
 
+            -- Practice sessions (one theme, or a review of earlier mistakes) belong to the set instead of
+            -- a cycle, so they never count towards cycle progress (mode: 'cycle' | 'practice' | 'review' | 'sr')
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS set_id TEXT REFERENCES puzzle_sets(id) ON DELETE CASCADE;
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'cycle';
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS theme TEXT;
+            -- Puzzles queued for a review session
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS puzzle_ids TEXT[];
+            -- Spaced-repetition sessions (mode 'sr') mix puzzles from several sets, so they belong to the user;
+            -- each of their attempts records its own set in attempts.set_id
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+            -- A reload / closed tab suspends the session (ended_at stays NULL) so it can be resumed within
+            -- a grace window; current_puzzle_id (added below, after puzzles) is the puzzle that was on the board
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+
             -- Attempts
             CREATE TABLE IF NOT EXISTS attempts (
                 id SERIAL PRIMARY KEY,
@@ -78,6 +132,131 @@ async function initDB() {
                 recorded_at TIMESTAMPTZ DEFAULT NOW()
             );
 
+            -- Puzzles: one row per game of a library set, with a stable ID
+            -- (retired_at is set when a replaced PGN no longer contains the puzzle; attempts keep pointing at it)
+            CREATE TABLE IF NOT EXISTS puzzles (
+                id TEXT PRIMARY KEY,
+                library_id TEXT REFERENCES puzzle_library(id) ON DELETE CASCADE,
+                puzzle_index INTEGER,
+                fen TEXT DEFAULT '',
+                solution TEXT DEFAULT '',
+                headers JSONB DEFAULT '{}',
+                retired_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_puzzles_library ON puzzles(library_id, puzzle_index);
+
+            -- Puzzle metadata from the PGN headers ([Rating], [Theme]) or an importer
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS rating INTEGER;
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS themes TEXT[] DEFAULT '{}';
+            -- Themes edited by an admin are kept when the PGN is replaced
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS themes_edited BOOLEAN DEFAULT false;
+            -- The puzzle's own PGN text (variations, NAGs): attempts are verified against it
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS pgn TEXT;
+
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS current_puzzle_id TEXT REFERENCES puzzles(id) ON DELETE SET NULL;
+
+            -- Attempts reference the puzzle itself; puzzle_index is kept for ordering
+            ALTER TABLE attempts ADD COLUMN IF NOT EXISTS puzzle_id TEXT REFERENCES puzzles(id) ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS idx_attempts_puzzle ON attempts(puzzle_id);
+            -- puzzle_index follows the puzzle when a PGN is replaced (NULL once the puzzle is removed)
+            ALTER TABLE attempts ALTER COLUMN puzzle_index DROP NOT NULL;
+
+            -- Wrong moves made before the puzzle was finished (spaced-repetition quality signal)
+            ALTER TABLE attempts ADD COLUMN IF NOT EXISTS mistakes INTEGER;
+            ALTER TABLE attempts ADD COLUMN IF NOT EXISTS set_id TEXT REFERENCES puzzle_sets(id) ON DELETE CASCADE;
+            -- ID the client generated for the attempt: offline replays and retries are stored once
+            ALTER TABLE attempts ADD COLUMN IF NOT EXISTS client_id TEXT;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_attempts_client ON attempts(session_id, client_id);
+            -- Moves the student played (SAN): correct / mistakes are computed from them server-side
+            ALTER TABLE attempts ADD COLUMN IF NOT EXISTS moves TEXT[];
+
+            -- Spaced repetition: opt-in per assignment, one SM-2 card per user and puzzle
+            ALTER TABLE puzzle_sets ADD COLUMN IF NOT EXISTS sr_enabled BOOLEAN DEFAULT false;
+            CREATE TABLE IF NOT EXISTS puzzle_cards (
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                puzzle_id TEXT REFERENCES puzzles(id) ON DELETE CASCADE,
+                state TEXT DEFAULT 'new',
+                ease_factor NUMERIC DEFAULT 2.5,
+                interval_days NUMERIC DEFAULT 0,
+                repetitions INTEGER DEFAULT 0,
+                next_review TIMESTAMPTZ,
+                last_review TIMESTAMPTZ,
+                total_attempts INTEGER DEFAULT 0,
+                correct_attempts INTEGER DEFAULT 0,
+                streak INTEGER DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (user_id, puzzle_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_puzzle_cards_due ON puzzle_cards(user_id, next_review);
+
+            -- Glicko-2 ratings: every attempt is a game between the user and the puzzle (glicko2.js).
+            -- A puzzle's rating starts from its imported [Rating] on its first attempt (NULL until then).
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_rating NUMERIC DEFAULT 1500;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_rd NUMERIC DEFAULT 350;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_vol NUMERIC DEFAULT 0.06;
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS glicko_rating NUMERIC;
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS glicko_rd NUMERIC;
+            ALTER TABLE puzzles ADD COLUMN IF NOT EXISTS glicko_vol NUMERIC;
+            CREATE TABLE IF NOT EXISTS rating_history (
+                id SERIAL PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                attempt_id INTEGER REFERENCES attempts(id) ON DELETE CASCADE,
+                puzzle_id TEXT REFERENCES puzzles(id) ON DELETE SET NULL,
+                rating NUMERIC NOT NULL,
+                rd NUMERIC NOT NULL,
+                puzzle_rating NUMERIC,
+                recorded_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(user_id, recorded_at);
+
+            -- Suspicious-activity review: every ended session is checked once (checked_at); a coach
+            -- dismisses a flag or excludes the session from stats and leaderboards (excluded_at)
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS checked_at TIMESTAMPTZ;
+            ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS excluded_at TIMESTAMPTZ;
+            CREATE TABLE IF NOT EXISTS activity_flags (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                session_id TEXT NOT NULL REFERENCES training_sessions(id) ON DELETE CASCADE,
+                kind TEXT NOT NULL,
+                details JSONB DEFAULT '{}',
+                status TEXT DEFAULT 'open',
+                reviewed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+                reviewed_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(session_id, kind)
+            );
+            CREATE INDEX IF NOT EXISTS idx_activity_flags_status ON activity_flags(status, created_at);
+
+            -- Coaches (role 'coach') manage the students whose coach_id points at them (their roster)
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS coach_id TEXT REFERENCES users(id) ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS idx_users_coach ON users(coach_id);
+
+            -- PGN version history of library sets (the content each replacement superseded)
+            ALTER TABLE puzzle_library ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+
+            -- When failed puzzles come back within a cycle: 'immediate' | 'end_of_pass' | 'next_session'
+            ALTER TABLE puzzle_library ADD COLUMN IF NOT EXISTS retry_policy TEXT DEFAULT 'immediate';
+            -- Puzzle order within a cycle: 'sequential' | 'shuffled' | 'easiest_first' | 'adaptive'
+            -- (WoodpeckerTrainer.orderPuzzles). A cycle keeps its shuffle seed, and the easiest-first or
+            -- adaptive order fixed when the cycle started, so reloads and later sessions get the same order.
+            ALTER TABLE puzzle_library ADD COLUMN IF NOT EXISTS ordering TEXT DEFAULT 'sequential';
+            ALTER TABLE cycles ADD COLUMN IF NOT EXISTS order_seed INTEGER;
+            ALTER TABLE cycles ADD COLUMN IF NOT EXISTS order_strategy TEXT;
+            ALTER TABLE cycles ADD COLUMN IF NOT EXISTS puzzle_order TEXT[];
+            CREATE TABLE IF NOT EXISTS puzzle_library_versions (
+                id TEXT PRIMARY KEY,
+                library_id TEXT REFERENCES puzzle_library(id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                pgn_content TEXT DEFAULT '',
+                original_name TEXT DEFAULT '',
+                puzzle_count INTEGER DEFAULT 0,
+                changes JSONB DEFAULT '{}',
+                replaced_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+                replaced_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(library_id, version)
+            );
+
             -- Courses
             CREATE TABLE IF NOT EXISTS courses (
                 id TEXT PRIMARY KEY,
@@ -102,6 +281,14 @@ async function initDB() {
             -- Add pgn_content column if not exists (migration)
             ALTER TABLE chapters ADD COLUMN IF NOT EXISTS pgn_content TEXT DEFAULT '';
 
+            -- Course enrollments (a course is only visible to enrolled users; admins see all)
+            CREATE TABLE IF NOT EXISTS course_enrollments (
+                course_id TEXT REFERENCES courses(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (course_id, user_id)
+            );
+
             -- Cycle approval requests
             CREATE TABLE IF NOT EXISTS cycle_requests (
                 id TEXT PRIMARY KEY,
@@ -112,6 +299,22 @@ async function initDB() {
                 created_at TIMESTAMPTZ DEFAULT NOW()
             );
 
+            -- Auto-approval decision on cycle requests (which rule approved it, or why it was held)
+            ALTER TABLE cycle_requests ADD COLUMN IF NOT EXISTS rule_id TEXT;
+            ALTER TABLE cycle_requests ADD COLUMN IF NOT EXISTS decision_reason TEXT DEFAULT '';
+            ALTER TABLE cycle_requests ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ;
+
+            -- Cycle auto-approval rules (rule_type: 'min_accuracy' | 'within_target' | 'trusted_users')
+            CREATE TABLE IF NOT EXISTS cycle_approval_rules (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                rule_type TEXT NOT NULL,
+                min_accuracy NUMERIC DEFAULT 0,
+                user_ids TEXT[] DEFAULT '{}',
+                enabled BOOLEAN DEFAULT true,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
             -- Daily completions for streak tracking
             CREATE TABLE IF NOT EXISTS daily_completions (
                 id TEXT PRIMARY KEY,
@@ -120,20 +323,84 @@ async function initDB() {
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 UNIQUE(user_id, completed_date)
             );
-        `);
 
-        // Create default admin if no users exist
-        const { rows } = await client.query('SELECT COUNT(*) FROM users');
-        if (parseInt(rows[0].count) === 0) {
-            const hash = await bcrypt.hash('admin123', 10);
-            const id = generateId();
-            await client.query(
-                `INSERT INTO users (id, username, full_name, password_hash, role, status)
-                 VALUES ($1, $2, $3, $4, $5, $6)`,
-                [id, 'admin', 'Administrator', hash, 'admin', 'active']
-            );
-            console.log('  ℹ Default admin created: admin / admin123');
-        }
+            -- Groups / classes: members get the group's sets assigned (on joining too) and see its courses
+            CREATE TABLE IF NOT EXISTS user_groups (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                coach_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE TABLE IF NOT EXISTS group_members (
+                group_id TEXT REFERENCES user_groups(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (group_id, user_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+            CREATE TABLE IF NOT EXISTS group_sets (
+                group_id TEXT REFERENCES user_groups(id) ON DELETE CASCADE,
+                library_id TEXT REFERENCES puzzle_library(id) ON DELETE CASCADE,
+                template_id TEXT REFERENCES cycle_templates(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (group_id, library_id)
+            );
+            CREATE TABLE IF NOT EXISTS group_courses (
+                group_id TEXT REFERENCES user_groups(id) ON DELETE CASCADE,
+                course_id TEXT REFERENCES courses(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (group_id, course_id)
+            );
+
+            -- Join codes: registering with a valid code skips manual approval and hands out its sets / courses
+            CREATE TABLE IF NOT EXISTS join_codes (
+                id TEXT PRIMARY KEY,
+                code TEXT UNIQUE NOT NULL,
+                library_ids TEXT[] DEFAULT '{}',
+                course_ids TEXT[] DEFAULT '{}',
+                expires_at TIMESTAMPTZ NOT NULL,
+                max_uses INTEGER NOT NULL,
+                use_count INTEGER DEFAULT 0,
+                created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS join_code_id TEXT REFERENCES join_codes(id) ON DELETE SET NULL;
+
+            -- Set when an admin logs in with the old built-in default password; cleared by a password change
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE;
+
+            -- TOTP 2FA: totp_secret is set at enrollment and only used once totp_enabled;
+            -- recovery codes are stored as SHA-256 hashes and removed when used
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[] DEFAULT '{}';
+            -- Time step of the last accepted code: a code is never accepted twice (RFC 6238 §5.2)
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step INTEGER;
+            -- Wrong second-factor codes since the last accepted one; every 5th locks the check until totp_locked_until
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER DEFAULT 0;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_locked_until TIMESTAMPTZ;
+
+            -- Organization-wide settings (key → JSON value), e.g. require_admin_2fa
+            CREATE TABLE IF NOT EXISTS org_settings (
+                key TEXT PRIMARY KEY,
+                value JSONB NOT NULL,
+                updated_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            -- Security audit trail (2FA enrolment / reset, settings changes); kept when the users are deleted
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id TEXT PRIMARY KEY,
+                action TEXT NOT NULL,
+                actor_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+                actor_name TEXT,
+                target_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+                target_name TEXT,
+                details JSONB,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+        `);
     } finally {
         client.release();
     }
@@ -0,0 +1,84 @@
+// Glicko-2 (Glickman, "Example of the Glicko-2 system") for puzzle training: every attempt is one
+// game between the user and the puzzle, rated immediately (a rating period of one game)
+
+const SCALE = 173.7178;
+const TAU = 0.5;                // volatility change constraint
+const EPSILON = 0.000001;
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 45;              // keeps established ratings moving
+const PROVISIONAL_RD = 110;     // above this a rating is shown as provisional ("1500?")
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muJ, phiJ) {
+    return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+// New volatility (step 5, Illinois algorithm)
+function newVolatility(phi, sigma, delta, v) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - d) / (2 * d * d) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A), fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B; fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C; fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate `player` after one game against `opponent`.
+ * @param {{ rating: number, rd: number, volatility: number }} player
+ * @param {{ rating: number, rd: number }} opponent
+ * @param {number} score 1 = win (puzzle solved), 0 = loss
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+function rate(player, opponent, score) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.rd / SCALE;
+    const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiJ = opponent.rd / SCALE;
+
+    const E = expectedScore(mu, muJ, phiJ);
+    const v = 1 / (g(phiJ) * g(phiJ) * E * (1 - E));
+    const delta = v * g(phiJ) * (score - E);
+
+    const sigma = newVolatility(phi, player.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const muNew = mu + phiNew * phiNew * g(phiJ) * (score - E);
+
+    return {
+        rating: muNew * SCALE + DEFAULT_RATING,
+        rd: Math.min(DEFAULT_RD, Math.max(MIN_RD, phiNew * SCALE)),
+        volatility: sigma
+    };
+}
+
+module.exports = { rate, DEFAULT_RATING, DEFAULT_RD, DEFAULT_VOLATILITY, PROVISIONAL_RD };
@@ -28,9 +28,10 @@ class Admin {
                 <div class="admin-item-icon">${course.icon || '♞'}</div>
                 <div class="admin-item-info">
                     <div class="admin-item-name">${course.name}</div>
-                    <div class="admin-item-meta">${course.description || 'Chưa có mô tả'} · ${course.chapters.length} chương</div>
+                    <div class="admin-item-meta">${course.description || 'Chưa có mô tả'} · ${course.chapters.length} chương · ${(course.enrolledUserIds || []).length} học viên</div>
                 </div>
                 <div class="admin-item-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="admin.showEnrollmentForm('${course.id}')">👥 Học viên</button>
                     <button class="btn btn-sm btn-secondary" onclick="admin.manageChapters('${course.id}')">📑 Chương</button>
                     <button class="btn btn-sm btn-secondary" onclick="admin.showCourseForm('${course.id}')">✏ Sửa</button>
                     <button class="btn btn-sm btn-ghost" onclick="admin.deleteCourse('${course.id}')" style="color:var(--danger)">🗑</button>
@@ -73,12 +74,17 @@ class Admin {
                 icon: document.getElementById('form-course-icon').value || '♞'
             };
 
-            if (course) {
-                await this.cm.updateCourse(courseId, data);
-                app.showToast('Đã cập nhật khóa học', 'success');
-            } else {
-                await this.cm.createCourse(data);
-                app.showToast('Đã tạo khóa học mới', 'success');
+            try {
+                if (course) {
+                    await this.cm.updateCourse(courseId, data);
+                    app.showToast('Đã cập nhật khóa học', 'success');
+                } else {
+                    await this.cm.createCourse(data);
+                    app.showToast('Đã tạo khóa học mới', 'success');
+                }
+            } catch (err) {
+                app.showToast(err.message, 'error');
+                return;
             }
 
             app.closeModal();
@@ -93,7 +99,12 @@ class Admin {
         const course = this.cm.getCourse(courseId);
         if (!confirm(`Xóa khóa học "${course.name}"? Tất cả chương và file PGN sẽ bị xóa.`)) return;
 
-        await this.cm.deleteCourse(courseId);
+        try {
+            await this.cm.deleteCourse(courseId);
+        } catch (err) {
+            app.showToast(err.message, 'error');
+            return;
+        }
         this.cm.sr.removeCardsForCourse(courseId);
         app.showToast('Đã xóa khóa học', 'info');
         this.renderCourseList();
@@ -101,6 +112,69 @@ class Admin {
         await this.cm.fetchCourses();
     }
 
+    // ===== ENROLLMENT =====
+
+    async showEnrollmentForm(courseId) {
+        const course = this.cm.getCourse(courseId);
+        if (!course) return;
+
+        let users;
+        try {
+            users = await this.cm.fetchUsers();
+        } catch (err) {
+            app.showToast(err.message, 'error');
+            return;
+        }
+        const students = users.filter(u => u.role !== 'admin');
+        const enrolled = new Set(course.enrolledUserIds || []);
+
+        document.getElementById('modal-title').textContent = `Học viên - ${course.name}`;
+        document.getElementById('modal-body').innerHTML = `
+            <form id="enrollment-form" class="admin-form">
+                <div class="form-group">
+                    <label>Chọn học viên được học khóa này</label>
+                    <div id="enrollment-students">
+                        ${students.length === 0 ? '<div class="form-hint">Chưa có học viên nào</div>' : ''}
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.closeModal()">Hủy</button>
+                    <button type="submit" class="btn btn-primary">Lưu</button>
+                </div>
+            </form>
+        `;
+
+        // Names are typed in by the users themselves (registration, join codes): set as text, never as HTML
+        const list = document.getElementById('enrollment-students');
+        students.forEach(u => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display:flex;align-items:center;gap:8px;font-weight:normal;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'enroll-user';
+            checkbox.value = u.id;
+            checkbox.checked = enrolled.has(u.id);
+            row.append(checkbox, document.createTextNode(u.fullName || u.username));
+            list.appendChild(row);
+        });
+
+        document.getElementById('enrollment-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const userIds = [...document.querySelectorAll('input[name="enroll-user"]:checked')].map(cb => cb.value);
+            try {
+                await this.cm.updateEnrollments(courseId, userIds);
+            } catch (err) {
+                app.showToast(err.message, 'error');
+                return;
+            }
+            app.showToast('Đã cập nhật học viên', 'success');
+            app.closeModal();
+            this.renderCourseList();
+        };
+
+        app.openModal();
+    }
+
     // ===== CHAPTER MANAGEMENT =====
 
     async manageChapters(courseId) {
@@ -179,17 +253,22 @@ class Admin {
             const fileInput = document.getElementById('form-chapter-pgn');
             const file = fileInput.files[0];
 
-            if (chapter) {
-                await this.cm.updateChapter(chapterId, name || chapter.name, file || null);
-                if (file) this.cm.clearPGNCache(chapterId);
-                app.showToast('Đã cập nhật chương', 'success');
-            } else {
-                if (!file) {
-                    app.showToast('Cần chọn file PGN', 'error');
-                    return;
+            try {
+                if (chapter) {
+                    await this.cm.updateChapter(chapterId, name || chapter.name, file || null);
+                    if (file) this.cm.clearPGNCache(chapterId);
+                    app.showToast('Đã cập nhật chương', 'success');
+                } else {
+                    if (!file) {
+                        app.showToast('Cần chọn file PGN', 'error');
+                        return;
+                    }
+                    await this.cm.createChapter(this.editingCourseId, name || file.name.replace('.pgn', ''), file);
+                    app.showToast('Đã thêm chương mới', 'success');
                 }
-                await this.cm.createChapter(this.editingCourseId, name || file.name.replace('.pgn', ''), file);
-                app.showToast('Đã thêm chương mới', 'success');
+            } catch (err) {
+                app.showToast(err.message, 'error');
+                return;
             }
 
             app.closeModal();
@@ -204,7 +283,12 @@ class Admin {
     async deleteChapter(chapterId) {
         if (!confirm('Xóa chương này? File PGN và tiến độ học sẽ bị xóa.')) return;
 
-        await this.cm.deleteChapter(chapterId);
+        try {
+            await this.cm.deleteChapter(chapterId);
+        } catch (err) {
+            app.showToast(err.message, 'error');
+            return;
+        }
         this.cm.sr.removeCardsForChapter(this.editingCourseId, chapterId);
         this.cm.clearPGNCache(chapterId);
         app.showToast('Đã xóa chương', 'info');
@@ -19,11 +19,35 @@ class App {
     }
 
     async _init() {
-        await this.courseManager.fetchCourses();
+        this.courseManager.onUnauthorized = () => this._showLoginRequired();
+        try {
+            await this.courseManager.fetchUser();
+            await this.courseManager.fetchCourses();
+        } catch (err) {
+            if (err.status !== 401) this.showToast(err.message, 'error');
+            return;
+        }
+        document.getElementById('btn-admin-toggle').style.display = this.courseManager.isAdmin() ? '' : 'none';
         this._handleRoute();
         window.addEventListener('hashchange', () => this._handleRoute());
     }
 
+    /**
+     * Shown on 401 - the course API shares the Woodpecker app login (wp_token)
+     */
+    _showLoginRequired() {
+        this._switchView('view-courses');
+        document.getElementById('btn-admin-toggle').style.display = 'none';
+        document.getElementById('course-grid').innerHTML = `
+            <div class="empty-state-card">
+                <div class="empty-icon">🔒</div>
+                <h3>Cần đăng nhập</h3>
+                <p>Đăng nhập để xem các khóa học được gán cho bạn</p>
+                <a class="btn btn-primary" href="/">Đăng nhập</a>
+            </div>
+        `;
+    }
+
     // ========================
     // ROUTING
     // ========================
@@ -32,7 +56,7 @@ class App {
         const hash = window.location.hash.slice(1);
         const parts = hash.split('/');
 
-        if (parts[0] === 'admin') {
+        if (parts[0] === 'admin' && this.courseManager.isAdmin()) {
             this._showAdminView();
         } else if (parts[0] === 'course' && parts[1]) {
             this.currentCourseId = parts[1];
@@ -99,8 +123,10 @@ class App {
                 <div class="empty-state-card">
                     <div class="empty-icon">📚</div>
                     <h3>Chưa có khóa học nào</h3>
-                    <p>Vào phần Quản trị (⚙) để tạo khóa học và upload file PGN</p>
-                    <button class="btn btn-primary" onclick="app.navigate('admin')">⚙ Quản trị</button>
+                    ${this.courseManager.isAdmin() ? `
+                        <p>Vào phần Quản trị (⚙) để tạo khóa học và upload file PGN</p>
+                        <button class="btn btn-primary" onclick="app.navigate('admin')">⚙ Quản trị</button>
+                    ` : '<p>Liên hệ admin để được gán khóa học</p>'}
                 </div>
             `;
             return;
@@ -7,62 +7,91 @@ class CourseManager {
         this.courses = [];
         this.sr = new SpacedRepetition();
         this.pgnCache = {}; // chapterId -> parsed games
+        this.token = localStorage.getItem('wp_token'); // shared with the Woodpecker app login
+        this.user = null;
+        this.onUnauthorized = null; // called on 401 (missing/expired login)
+    }
+
+    // ===== API HELPER =====
+
+    /**
+     * fetch() with the bearer token; throws Error(message) with .status on 401/403/4xx/5xx
+     */
+    async _request(url, options = {}) {
+        const headers = { ...options.headers };
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        if (options.body && !(options.body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(options.body);
+        }
+        const res = await fetch(url, { ...options, headers });
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({ error: 'Lỗi không xác định' }));
+            const error = new Error(err.error || 'Request failed');
+            error.status = res.status;
+            if (res.status === 401 && this.onUnauthorized) this.onUnauthorized(error);
+            throw error;
+        }
+        return res;
+    }
+
+    async _api(url, options = {}) {
+        const res = await this._request(url, options);
+        return res.json();
     }
 
     // ===== API CALLS =====
 
+    async fetchUser() {
+        this.user = await this._api('/api/auth/me');
+        return this.user;
+    }
+
+    isAdmin() {
+        return !!this.user && this.user.role === 'admin';
+    }
+
     async fetchCourses() {
-        const res = await fetch('/api/courses');
-        this.courses = await res.json();
+        this.courses = await this._api('/api/courses');
         return this.courses;
     }
 
     async createCourse(data) {
-        const res = await fetch('/api/courses', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
-        });
-        return res.json();
+        return this._api('/api/courses', { method: 'POST', body: data });
     }
 
     async updateCourse(id, data) {
-        const res = await fetch(`/api/courses/${id}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
-        });
-        return res.json();
+        return this._api(`/api/courses/${id}`, { method: 'PUT', body: data });
     }
 
     async deleteCourse(id) {
-        await fetch(`/api/courses/${id}`, { method: 'DELETE' });
+        await this._api(`/api/courses/${id}`, { method: 'DELETE' });
+    }
+
+    async updateEnrollments(courseId, userIds) {
+        return this._api(`/api/admin/courses/${courseId}/enrollments`, { method: 'PUT', body: { userIds } });
+    }
+
+    async fetchUsers() {
+        return this._api('/api/admin/users');
     }
 
     async createChapter(courseId, name, pgnFile) {
         const formData = new FormData();
         formData.append('name', name);
         formData.append('pgn', pgnFile);
-        const res = await fetch(`/api/courses/${courseId}/chapters`, {
-            method: 'POST',
-            body: formData
-        });
-        return res.json();
+        return this._api(`/api/courses/${courseId}/chapters`, { method: 'POST', body: formData });
     }
 
     async updateChapter(chapterId, name, pgnFile) {
         const formData = new FormData();
         if (name) formData.append('name', name);
         if (pgnFile) formData.append('pgn', pgnFile);
-        const res = await fetch(`/api/chapters/${chapterId}`, {
-            method: 'PUT',
-            body: formData
-        });
-        return res.json();
+        return this._api(`/api/chapters/${chapterId}`, { method: 'PUT', body: formData });
     }
 
     async deleteChapter(chapterId) {
-        await fetch(`/api/chapters/${chapterId}`, { method: 'DELETE' });
+        await this._api(`/api/chapters/${chapterId}`, { method: 'DELETE' });
     }
 
     // ===== PGN LOADING =====
@@ -70,7 +99,7 @@ class CourseManager {
     async loadChapterPGN(chapterId) {
         if (this.pgnCache[chapterId]) return this.pgnCache[chapterId];
 
-        const res = await fetch(`/api/chapters/${chapterId}/pgn`);
+        const res = await this._request(`/api/chapters/${chapterId}/pgn`);
         const text = await res.text();
         const games = PGNParser.parseMultipleGames(text);
         this.pgnCache[chapterId] = games;
@@ -15,6 +15,8 @@ const i18n = {
             login_password_ph: 'Nhập password',
             login_btn: 'Đăng nhập',
             logout_btn: 'Đăng xuất',
+            two_factor_menu: 'Xác thực 2 bước',
+            change_password_menu: 'Đổi mật khẩu',
 
             // Dashboard
             dash_title: '🧩 Bộ Puzzle của bạn',
@@ -31,6 +33,21 @@ const i18n = {
             detail_days: 'ngày',
             detail_back: '← Quay lại',
             detail_puzzles: 'puzzles',
+            detail_failed_queued: '{0} puzzle sai đang chờ làm lại',
+            detail_review_mistakes: '🔁 Ôn puzzle sai',
+            sr_toggle: 'Ôn lặp lại ngắt quãng',
+            sr_toggle_hint: 'Xếp lịch ôn từng puzzle theo lịch sử giải (số lỗi và thời gian)',
+            sr_enabled: 'Đã bật ôn lặp lại ngắt quãng',
+            sr_disabled: 'Đã tắt ôn lặp lại ngắt quãng',
+            sr_title: 'Ôn tập đến hạn',
+            sr_due_count: '{0} puzzle đến hạn',
+            sr_due_today: 'Đến hạn hôm nay',
+            retry_policy_immediate: 'làm lại ngay',
+            retry_policy_end_of_pass: 'làm lại cuối lượt',
+            retry_policy_next_session: 'làm lại ở session sau',
+            ordering_shuffled: 'Thứ tự xáo trộn',
+            ordering_easiest_first: 'Puzzle dễ trước',
+            ordering_adaptive: 'Thứ tự thích ứng theo trình độ',
 
             // Stats
             stat_overall: '📊 Hiệu suất tổng thể',
@@ -43,6 +60,9 @@ const i18n = {
             stat_attempted: 'đã thử',
             stat_cycle_breakdown: '📋 Chi tiết các Cycle',
             stat_no_sessions: 'Chưa có session nào',
+            stat_themes: '🏷 Theo chủ đề',
+            theme_practice: '▶ Luyện',
+            theme_practice_hint: 'Luyện theo chủ đề không tính vào cycle',
 
             // Cycle / Session table
             tbl_session: 'Session',
@@ -53,6 +73,8 @@ const i18n = {
             tbl_ppm: 'PPM',
             tbl_time: 'TG',
             tbl_solved_count: 'đã giải',
+            tbl_theme: 'Chủ đề',
+            tbl_avg_time: 'TB thời gian',
 
             // Training
             train_puzzle: 'Puzzle',
@@ -90,6 +112,32 @@ const i18n = {
             summary_session_end: 'Session Kết Thúc',
             summary_timeout: 'Hết thời gian 10 phút!',
             summary_all_solved: 'Đã giải hết tất cả puzzles trong cycle!',
+            summary_practice_all_solved: 'Đã giải hết puzzles của chủ đề!',
+            summary_retry_next_session: 'Các puzzle giải sai sẽ được làm lại ở session sau',
+            summary_review_all_solved: 'Đã ôn hết các puzzle sai!',
+            summary_sr_all_done: 'Đã ôn hết các puzzle đến hạn hôm nay!',
+            resume_title: 'Session đang dở',
+            resume_msg: 'Bạn có một session bị gián đoạn, còn {0} ({1} puzzle đã làm). Tiếp tục?',
+            resume_until: 'Có thể tiếp tục đến {0}',
+            resume_continue: 'Tiếp tục',
+            resume_discard: 'Kết thúc session',
+            offline_saved: 'Mất kết nối — kết quả được lưu trên máy và sẽ đồng bộ khi có mạng',
+            offline_synced: 'Đã đồng bộ {0} kết quả luyện tập offline',
+            offline_error: 'Không có kết nối mạng',
+
+            // Mistake review
+            review_title: '🔁 Ôn puzzle sai',
+            review_scope: 'Lấy puzzle sai từ',
+            review_by_cycles: 'Các cycle đã chọn',
+            review_last_days: 'N ngày gần nhất',
+            review_date_range: 'Khoảng ngày',
+            review_days: 'Số ngày',
+            review_from: 'Từ ngày',
+            review_to: 'Đến ngày',
+            review_count: '{0} puzzle sai sẽ được ôn lại (không tính vào cycle và streak)',
+            review_none: 'Không có puzzle sai nào trong phạm vi này',
+            review_start: '▶ Bắt đầu ôn',
+            train_review: 'Ôn puzzle sai',
             summary_ended: 'Kết thúc session',
             summary_solved: 'Đã giải',
             summary_accuracy: 'Chính xác',
@@ -139,6 +187,11 @@ const i18n = {
             leaderboard_acc_short: 'chính xác',
             leaderboard_solved: 'đã giải',
             leaderboard_empty: 'Chưa có ai luyện tập set này',
+            leaderboard_everyone: 'Tất cả học viên',
+            rating_label: 'Rating',
+            rating_history: 'Lịch sử rating',
+            rating_history_empty: 'Chưa có lịch sử rating — hãy giải vài puzzle!',
+            rating_provisional: 'tạm tính',
         },
         en: {
             // Login
@@ -150,6 +203,8 @@ const i18n = {
             login_password_ph: 'Enter password',
             login_btn: 'Login',
             logout_btn: 'Logout',
+            two_factor_menu: 'Two-factor authentication',
+            change_password_menu: 'Change password',
 
             // Dashboard
             dash_title: '🧩 Your Puzzle Sets',
@@ -166,6 +221,21 @@ const i18n = {
             detail_days: 'days',
             detail_back: '← Back',
             detail_puzzles: 'puzzles',
+            detail_failed_queued: '{0} failed puzzles queued for retry',
+            detail_review_mistakes: '🔁 Review Mistakes',
+            sr_toggle: 'Spaced repetition',
+            sr_toggle_hint: 'Schedule each puzzle from its solving history (mistakes and solve time)',
+            sr_enabled: 'Spaced repetition enabled',
+            sr_disabled: 'Spaced repetition disabled',
+            sr_title: 'Due Review',
+            sr_due_count: '{0} puzzles due',
+            sr_due_today: 'Due today',
+            retry_policy_immediate: 'retried immediately',
+            retry_policy_end_of_pass: 'retried at the end of the pass',
+            retry_policy_next_session: 'retried next session',
+            ordering_shuffled: 'Shuffled order',
+            ordering_easiest_first: 'Easiest puzzles first',
+            ordering_adaptive: 'Adaptive order',
 
             // Stats
             stat_overall: '📊 Overall Performance',
@@ -178,6 +248,9 @@ const i18n = {
             stat_attempted: 'attempted',
             stat_cycle_breakdown: '📋 Cycle Breakdown',
             stat_no_sessions: 'No sessions yet',
+            stat_themes: '🏷 By Theme',
+            theme_practice: '▶ Practise',
+            theme_practice_hint: 'Theme practice does not count towards the cycle',
 
             // Cycle / Session table
             tbl_session: 'Session',
@@ -188,6 +261,8 @@ const i18n = {
             tbl_ppm: 'PPM',
             tbl_time: 'TIME',
             tbl_solved_count: 'solved',
+            tbl_theme: 'Theme',
+            tbl_avg_time: 'Avg Time',
 
             // Training
             train_puzzle: 'Puzzle',
@@ -225,6 +300,32 @@ const i18n = {
             summary_session_end: 'Session Ended',
             summary_timeout: 'Time\'s up (10 minutes)!',
             summary_all_solved: 'All puzzles solved in this cycle!',
+            summary_practice_all_solved: 'All puzzles of this theme solved!',
+            summary_retry_next_session: 'Failed puzzles will come back next session',
+            summary_review_all_solved: 'All failed puzzles reviewed!',
+            summary_sr_all_done: 'All puzzles due today reviewed!',
+            resume_title: 'Unfinished session',
+            resume_msg: 'A session was interrupted with {0} left ({1} puzzles done). Continue?',
+            resume_until: 'Can be resumed until {0}',
+            resume_continue: 'Continue',
+            resume_discard: 'End session',
+            offline_saved: 'Offline — results are saved on this device and will sync when the connection returns',
+            offline_synced: 'Synced {0} offline training results',
+            offline_error: 'No network connection',
+
+            // Mistake review
+            review_title: '🔁 Review Mistakes',
+            review_scope: 'Take failed puzzles from',
+            review_by_cycles: 'Selected cycles',
+            review_last_days: 'Last N days',
+            review_date_range: 'Date range',
+            review_days: 'Days',
+            review_from: 'From',
+            review_to: 'To',
+            review_count: '{0} failed puzzles to review (not counted towards the cycle or streak)',
+            review_none: 'No failed puzzles in this range',
+            review_start: '▶ Start Review',
+            train_review: 'Review',
             summary_ended: 'Session ended',
             summary_solved: 'Solved',
             summary_accuracy: 'Accuracy',
@@ -274,6 +375,11 @@ const i18n = {
             leaderboard_acc_short: 'accuracy',
             leaderboard_solved: 'solved',
             leaderboard_empty: 'No one has trained this set yet',
+            leaderboard_everyone: 'Everyone',
+            rating_label: 'Rating',
+            rating_history: 'Rating history',
+            rating_history_empty: 'No rating history yet — solve a few puzzles!',
+            rating_provisional: 'provisional',
         }
     },
 
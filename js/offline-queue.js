@@ -0,0 +1,64 @@
+/**
+ * Offline Queue - API writes made without a connection, kept in IndexedDB
+ * and replayed in order (FIFO) once the connection returns.
+ * Entry: { seq, url, method, body, token, queuedAt } — replayed with the token it was made with
+ */
+
+class OfflineQueue {
+    constructor() {
+        this.DB_NAME = 'woodpecker-offline';
+        this.STORE = 'requests';
+        this._db = null;
+    }
+
+    _open() {
+        if (this._db) return Promise.resolve(this._db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(this.STORE, { keyPath: 'seq', autoIncrement: true });
+            };
+            req.onsuccess = () => {
+                this._db = req.result;
+                resolve(this._db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async _run(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const req = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /** Queue { url, method, body, token } */
+    add(request) {
+        return this._run('readwrite', store => store.add({ ...request, queuedAt: new Date().toISOString() }));
+    }
+
+    /** All queued requests, oldest first */
+    all() {
+        return this._run('readonly', store => store.getAll());
+    }
+
+    remove(seq) {
+        return this._run('readwrite', store => store.delete(seq));
+    }
+
+    count() {
+        return this._run('readonly', store => store.count());
+    }
+
+    clear() {
+        return this._run('readwrite', store => store.clear());
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
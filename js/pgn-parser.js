@@ -10,6 +10,18 @@ class PGNParser {
      * @returns {Array<Object>} Array of parsed games
      */
     static parseMultipleGames(pgnText) {
+        return PGNParser.parseGameEntries(pgnText)
+            .filter(entry => entry.game)
+            .map(entry => entry.game);
+    }
+
+    /**
+     * Parse every game in a PGN, keeping empty/failed ones so callers can report on them
+     * @param {string} pgnText - Raw PGN text
+     * @returns {Array<Object>} [{ number, text, game, error }] - number is the 1-based position in the file,
+     *          game is null when the game has no moves or failed to parse
+     */
+    static parseGameEntries(pgnText) {
         // Remove the first line if it's a description (not a PGN header)
         const lines = pgnText.split('\n');
         let startIdx = 0;
@@ -22,18 +34,15 @@ class PGNParser {
         }
         pgnText = lines.slice(startIdx).join('\n');
 
-        const games = [];
         const gameTexts = PGNParser._splitGames(pgnText);
-
-        for (const gameText of gameTexts) {
+        return gameTexts.map((text, i) => {
             try {
-                const game = PGNParser.parseSingleGame(gameText);
-                if (game) games.push(game);
+                return { number: i + 1, text, game: PGNParser.parseSingleGame(text), error: null };
             } catch (e) {
                 console.warn('Failed to parse game:', e.message);
+                return { number: i + 1, text, game: null, error: e.message };
             }
-        }
-        return games;
+        });
     }
 
     /**
@@ -40,9 +40,19 @@ class SpacedRepetition {
     }
 
     processReview(cardId, quality) {
-        const card = this.getCard(cardId);
+        const card = SpacedRepetition.applyReview(this.getCard(cardId), quality);
+        this._save();
+        return card;
+    }
+
+    /**
+     * SM-2 step on a card object (also used server-side for Woodpecker puzzle cards)
+     * @param {number} quality 0-5, 3+ counts as recalled
+     * @param {number} now timestamp of the review
+     */
+    static applyReview(card, quality, now = Date.now()) {
         card.totalAttempts++;
-        card.lastReview = new Date().toISOString();
+        card.lastReview = new Date(now).toISOString();
 
         if (quality >= 3) {
             card.correctAttempts++;
@@ -73,8 +83,7 @@ class SpacedRepetition {
             card.state = 'learning';
         }
 
-        card.nextReview = new Date(Date.now() + card.interval * 24 * 60 * 60 * 1000).toISOString();
-        this._save();
+        card.nextReview = new Date(now + card.interval * 24 * 60 * 60 * 1000).toISOString();
         return card;
     }
 
@@ -13,10 +13,17 @@ class WoodpeckerApp {
         this.currentSet = null;
         this.currentSessionId = null;
         this.solvedPuzzleIndices = new Set();
+        this.sessionOptions = {};          // { theme } / { review } / { sr } for a session outside the cycle
+        this.sessionPuzzleIndices = null;  // puzzles in play for a practice session (null = whole set)
+        this.puzzleQueue = null;           // server order of the cycle's remaining puzzles (retry policy)
+        this.deferredPuzzleCount = 0;      // failed puzzles held back for the next session
+        this.offlineQueue = typeof OfflineQueue !== 'undefined' && typeof indexedDB !== 'undefined' ? new OfflineQueue() : null;
+        this._offlinePending = false;      // requests waiting in the offline queue: new writes go behind them
     }
 
     async init() {
         this._setupBeforeUnload();
+        this._setupOffline();
         if (this.token) {
             try {
                 const res = await this._api('/api/auth/me');
@@ -29,15 +36,25 @@ class WoodpeckerApp {
                     this.user = null;
                     localStorage.removeItem('wp_token');
                     localStorage.removeItem('wp_username');
+                    localStorage.removeItem('wp_user_id');
                     this._showLogin();
                     return;
                 }
                 localStorage.setItem('wp_username', res.username);
-                this._showDashboard();
-            } catch {
+                localStorage.setItem('wp_user_id', res.id);
+                this._enterApp();
+                this._syncOfflineQueue();
+            } catch (err) {
+                // No connection and nothing cached yet: keep the login for when the network returns
+                if (err.offline) {
+                    this._showLogin();
+                    this.showToast(typeof i18n !== 'undefined' ? i18n.t('offline_error') : 'Không có kết nối mạng', 'error');
+                    return;
+                }
                 this.token = null;
                 localStorage.removeItem('wp_token');
                 localStorage.removeItem('wp_username');
+                localStorage.removeItem('wp_user_id');
                 this._showLogin();
             }
         } else {
@@ -48,11 +65,14 @@ class WoodpeckerApp {
     // ===== API HELPER =====
     async _api(url, options = {}) {
         const headers = { ...options.headers };
-        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        if (this.token && !headers['Authorization']) headers['Authorization'] = `Bearer ${this.token}`;
         // Prevent browser/CDN from caching any API responses
         if (url.includes('/api/')) {
             headers['Cache-Control'] = 'no-cache, no-store';
             headers['Pragma'] = 'no-cache';
+            // The service worker keeps its offline copies of API reads per account (sw.js)
+            const userId = this.user ? this.user.id : localStorage.getItem('wp_user_id');
+            if (userId) headers['X-Wp-User'] = userId;
             // Cache-bust GET requests with timestamp to bypass stale CDN cache
             if (!options.method || options.method === 'GET') {
                 const separator = url.includes('?') ? '&' : '?';
@@ -63,14 +83,120 @@ class WoodpeckerApp {
             headers['Content-Type'] = 'application/json';
             options.body = JSON.stringify(options.body);
         }
-        const res = await fetch(url, { ...options, headers });
+        let res;
+        try {
+            res = await fetch(url, { ...options, headers });
+        } catch {
+            const error = new Error('Không có kết nối mạng');
+            error.offline = true;
+            throw error;
+        }
         if (!res.ok) {
             const err = await res.json().catch(() => ({ error: 'Lỗi không xác định' }));
-            throw new Error(err.error || 'Request failed');
+            const error = new Error(err.error || 'Request failed');
+            error.status = res.status;
+            // The service worker answers with X-Offline when there is no network and no cached copy
+            error.offline = res.headers.get('X-Offline') === '1';
+            throw error;
         }
         return res.json();
     }
 
+    // ===== OFFLINE =====
+    // The service worker (sw.js) serves the app shell and the last loaded sets without a connection;
+    // sessions and attempts made offline wait in an IndexedDB queue and are replayed in order.
+    _setupOffline() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+        }
+        window.addEventListener('online', () => this._syncOfflineQueue());
+        if (this.offlineQueue) {
+            this.offlineQueue.count().then(n => { if (n > 0) this._offlinePending = true; }).catch(() => { });
+        }
+    }
+
+    /**
+     * Send a training write, or queue it when offline (or while older writes are still queued, to keep
+     * their order). Resolves to the server response, or null when the request was queued.
+     */
+    async _sendOrQueue(url, method, body) {
+        if (!this.offlineQueue) return this._api(url, { method, body });
+        if (!this._offlinePending && navigator.onLine) {
+            try {
+                return await this._api(url, { method, body });
+            } catch (err) {
+                if (!err.offline) throw err;
+            }
+        }
+        await this.offlineQueue.add({ url, method, body, token: this.token, userId: this.user.id });
+        this._offlinePending = true;
+        return null;
+    }
+
+    // Replay the offline queue oldest first; stops at the first network failure and retries on the next `online`.
+    // Only a validation rejection (400 / 404 / 409) drops an entry. Any other refusal (401 after a login on
+    // another device or the token's expiry, 403, ...) keeps it and the account's later entries, in order,
+    // until that account logs in again and the entries go out with its new token.
+    async _syncOfflineQueue() {
+        if (!this.offlineQueue || this._syncing) return;
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        this._syncing = true;
+        let synced = 0;
+        const held = new Set();     // owners (userId, or token for older entries) whose entries wait
+        const tried = new Set();
+        try {
+            let entries = await this.offlineQueue.all();
+            // Writes queued while syncing go out in the same pass
+            while ((entries = entries.filter(e => !tried.has(e.seq))).length > 0) {
+                for (const entry of entries) {
+                    tried.add(entry.seq);
+                    const owner = entry.userId || entry.token;
+                    if (held.has(owner)) continue;
+                    try {
+                        await this._replayOfflineEntry(entry);
+                        synced++;
+                    } catch (err) {
+                        if (err.offline || err.status >= 500) return;
+                        if (![400, 404, 409].includes(err.status)) {
+                            console.warn('Offline request kept until the next login:', entry.method, entry.url, err.message);
+                            held.add(owner);
+                            continue;
+                        }
+                        // Rejected by the server (e.g. set removed meanwhile): replaying it again won't help
+                        console.warn('Dropped offline request:', entry.method, entry.url, err.message);
+                    }
+                    await this.offlineQueue.remove(entry.seq);
+                }
+                entries = await this.offlineQueue.all();
+            }
+            // Entries held for another account don't hold back the current user's writes
+            this._offlinePending = !!this.user && held.has(this.user.id);
+        } catch (err) {
+            console.warn('Offline sync failed:', err);
+        } finally {
+            this._syncing = false;
+            if (synced > 0) this.showToast(t('offline_synced', synced), 'success');
+        }
+    }
+
+    // Send a queued entry with the token it was made with; if that token was replaced by a newer login of
+    // the same account, send it again with the current one
+    async _replayOfflineEntry(entry) {
+        const send = token => this._api(entry.url, {
+            method: entry.method,
+            body: entry.body,
+            // The server only honours the client's endedAt / recordedAt on a replay (never before the session's start)
+            headers: { 'X-Offline-Replay': '1', ...(token ? { 'Authorization': `Bearer ${token}` } : {}) }
+        });
+        try {
+            return await send(entry.token);
+        } catch (err) {
+            const sameAccount = this.user && entry.userId === this.user.id;
+            if ((err.status !== 401 && err.status !== 403) || !sameAccount || !this.token || this.token === entry.token) throw err;
+            return send(this.token);
+        }
+    }
+
     // ===== VIEW SWITCHING =====
     _switchView(viewId) {
         document.querySelectorAll('.wp-view').forEach(v => v.classList.remove('active'));
@@ -103,7 +229,7 @@ class WoodpeckerApp {
                 <button class="wp-lang-btn ${lang === 'vi' ? 'active' : ''}" onclick="wpApp.switchLang('vi')">VI</button>
                 <button class="wp-lang-btn ${lang === 'en' ? 'active' : ''}" onclick="wpApp.switchLang('en')">EN</button>
             </div>
-            ${this.user.role === 'admin' ? `<button class="wp-btn wp-btn-ghost wp-btn-sm" onclick="wpApp.showAdmin()">⚙ ${t('nav_admin')}</button>` : ''}
+            ${this._isStaff() ? `<button class="wp-btn wp-btn-ghost wp-btn-sm" onclick="wpApp.showAdmin()">⚙ ${t('nav_admin')}</button>` : ''}
             <div class="wp-user-menu" onclick="wpApp._toggleUserMenu(event)">
                 <div class="wp-user-badge">
                     <div class="user-avatar">${initial}</div>
@@ -111,6 +237,8 @@ class WoodpeckerApp {
                     <span class="wp-user-chevron">▾</span>
                 </div>
                 <div class="wp-user-dropdown" id="wp-user-dropdown">
+                    <button onclick="wpApp.showChangePasswordForm()">🔑 ${t('change_password_menu')}</button>
+                    ${this._isStaff() || this.user.twoFactorEnabled ? `<button onclick="wpApp.showTwoFactorSettings()">🔐 ${t('two_factor_menu')}</button>` : ''}
                     <button onclick="wpApp.logout()">🚪 ${t('logout_btn')}</button>
                 </div>
             </div>
@@ -201,6 +329,7 @@ class WoodpeckerApp {
 
     // ===== AUTH =====
     _showLogin() {
+        this._resetLoginStep();
         this._switchView('view-login');
         this._updateHeader();
         this._applyI18n();
@@ -217,6 +346,7 @@ class WoodpeckerApp {
         const password = document.getElementById('reg-password').value;
         const confirmPassword = document.getElementById('reg-confirm-password').value;
         const dateOfBirth = document.getElementById('reg-dob').value;
+        const joinCode = document.getElementById('reg-join-code').value.trim();
         const errorEl = document.getElementById('reg-error');
 
         // Client-side validation
@@ -239,10 +369,12 @@ class WoodpeckerApp {
         btn.innerHTML = '<span class="wp-spinner"></span> Đang đăng ký...';
 
         try {
-            await this._api('/api/auth/register', {
+            const data = await this._api('/api/auth/register', {
                 method: 'POST',
-                body: { fullName, username, password, confirmPassword, dateOfBirth }
+                body: { fullName, username, password, confirmPassword, dateOfBirth, joinCode }
             });
+            document.getElementById('reg-success-pending').style.display = data.approved ? 'none' : '';
+            document.getElementById('reg-success-approved').style.display = data.approved ? '' : 'none';
             this._switchView('view-register-success');
         } catch (err) {
             errorEl.textContent = err.message;
@@ -253,6 +385,9 @@ class WoodpeckerApp {
     }
 
     async login() {
+        // Second step: the password was accepted and the account has 2FA on
+        if (this._loginChallenge) return this._submitLoginCode();
+
         const username = document.getElementById('login-username').value.trim();
         const password = document.getElementById('login-password').value;
         const errorEl = document.getElementById('login-error');
@@ -273,45 +408,177 @@ class WoodpeckerApp {
             this.token = null;
             localStorage.removeItem('wp_token');
             localStorage.removeItem('wp_username');
+            localStorage.removeItem('wp_user_id');
 
             const data = await this._api('/api/auth/login', {
                 method: 'POST',
                 body: { username, password }
             });
-            this.token = data.token;
-            this.user = data.user;
-            localStorage.setItem('wp_token', this.token);
-            localStorage.setItem('wp_username', data.user.username);
-            this._showDashboard();
+            if (data.twoFactorRequired) {
+                this._loginChallenge = data.challenge;
+                document.getElementById('login-password-step').style.display = 'none';
+                document.getElementById('login-2fa-step').style.display = '';
+                document.getElementById('login-totp').focus();
+                return;
+            }
+            this._completeLogin(data);
+        } catch (err) {
+            errorEl.textContent = err.message;
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = this._loginChallenge ? 'Xác nhận' : 'Đăng nhập';
+        }
+    }
+
+    showChangePasswordForm() {
+        const forced = !!this.user.passwordChangeRequired;
+        this._openModal('🔑 Đổi mật khẩu', `
+            ${forced ? `<p style="margin-bottom:16px;color:var(--danger);">Tài khoản đang dùng mật khẩu mặc định cũ. Hãy đổi mật khẩu trước khi tiếp tục.</p>` : ''}
+            <div class="wp-form-group">
+                <label>Mật khẩu hiện tại</label>
+                <input class="wp-input" id="change-password-current" type="password" autocomplete="current-password">
+            </div>
+            <div class="wp-form-group">
+                <label>Mật khẩu mới</label>
+                <input class="wp-input" id="change-password-new" type="password" autocomplete="new-password">
+            </div>
+            <div class="wp-form-group">
+                <label>Xác nhận mật khẩu mới</label>
+                <input class="wp-input" id="change-password-confirm" type="password" autocomplete="new-password"
+                    onkeydown="if(event.key==='Enter')wpApp.changePassword()">
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                ${forced
+                    ? '<button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal();wpApp.logout()">Đăng xuất</button>'
+                    : '<button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>'}
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.changePassword()">Đổi mật khẩu</button>
+            </div>
+        `);
+    }
+
+    async changePassword() {
+        const currentPassword = document.getElementById('change-password-current').value;
+        const newPassword = document.getElementById('change-password-new').value;
+        const confirmPassword = document.getElementById('change-password-confirm').value;
+        if (!currentPassword || !newPassword || !confirmPassword) {
+            this.showToast('Vui lòng điền đầy đủ thông tin', 'error');
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            this.showToast('Mật khẩu xác nhận không khớp', 'error');
+            return;
+        }
+
+        try {
+            const data = await this._api('/api/auth/password', {
+                method: 'POST',
+                body: { currentPassword, newPassword, confirmPassword }
+            });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            // A forced change was blocking the app until now
+            if (this.user.passwordChangeRequired) {
+                this.user.passwordChangeRequired = false;
+                this._enterApp();
+            }
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async _submitLoginCode() {
+        const code = document.getElementById('login-totp').value.trim();
+        const errorEl = document.getElementById('login-error');
+        if (!code) {
+            errorEl.textContent = 'Nhập mã xác thực';
+            return;
+        }
+
+        errorEl.textContent = '';
+        const btn = document.getElementById('login-btn');
+        btn.disabled = true;
+        btn.innerHTML = '<span class="wp-spinner"></span> Đang xác thực...';
+
+        try {
+            const data = await this._api('/api/auth/login/2fa', {
+                method: 'POST',
+                body: { challenge: this._loginChallenge, code }
+            });
+            this._resetLoginStep();
+            this._completeLogin(data);
         } catch (err) {
+            // 410: the challenge expired or took too many wrong codes, 429: the account's second factor is
+            // locked for a while — either way the challenge is gone, back to the password
+            if (err.status === 410 || err.status === 429) this._resetLoginStep();
             errorEl.textContent = err.message;
         } finally {
             btn.disabled = false;
-            btn.innerHTML = 'Đăng nhập';
+            btn.innerHTML = this._loginChallenge ? 'Xác nhận' : 'Đăng nhập';
+        }
+    }
+
+    _resetLoginStep() {
+        this._loginChallenge = null;
+        const passwordStep = document.getElementById('login-password-step');
+        if (!passwordStep) return;
+        passwordStep.style.display = '';
+        document.getElementById('login-2fa-step').style.display = 'none';
+        document.getElementById('login-totp').value = '';
+        document.getElementById('login-btn').innerHTML = 'Đăng nhập';
+    }
+
+    _completeLogin(data) {
+        this.token = data.token;
+        this.user = data.user;
+        localStorage.setItem('wp_token', this.token);
+        localStorage.setItem('wp_username', data.user.username);
+        localStorage.setItem('wp_user_id', data.user.id);
+        this._enterApp();
+        // Offline work held back by the expired / replaced token goes out with the new one
+        this._syncOfflineQueue();
+    }
+
+    // A forced password change, then a required 2FA enrollment, come before anything else
+    _enterApp() {
+        if (this.user.passwordChangeRequired) {
+            this._switchView('view-dashboard');
+            document.getElementById('wp-sets-grid').innerHTML = '';
+            this._updateHeader();
+            this.showChangePasswordForm();
+            return;
         }
+        if (this.user.twoFactorSetupRequired) {
+            this._switchView('view-dashboard');
+            document.getElementById('wp-sets-grid').innerHTML = '';
+            this._updateHeader();
+            this.showTwoFactorSettings();
+            return;
+        }
+        this._showDashboard();
     }
 
     async logout() {
         // End any active training session before logging out
         if (this.trainer && this.trainer.isActive && this.currentSessionId) {
             const duration = this.trainer.getElapsedTime();
-            const payload = JSON.stringify({
-                setId: this.currentSetId,
-                duration: Math.min(duration, this.trainer.SESSION_DURATION),
-                token: this.token
-            });
-            navigator.sendBeacon(
-                `/api/woodpecker/sessions/${this.currentSessionId}/end`,
-                new Blob([payload], { type: 'application/json' })
-            );
+            // Awaited (not a beacon): the end endpoint needs the token, which the logout below deletes
+            try {
+                await this._api(`/api/woodpecker/sessions/${this.currentSessionId}/end`, {
+                    method: 'POST',
+                    body: { setId: this._sessionSetId(), duration: Math.min(duration, this.trainer.SESSION_DURATION) }
+                });
+            } catch { }
             this.trainer.reset();
             this.currentSessionId = null;
         }
         try { await this._api('/api/auth/logout', { method: 'POST' }); } catch { }
+        // Cached sets / profile belong to this user (the offline queue keeps its own tokens)
+        if (typeof caches !== 'undefined') caches.delete('wp-api-v2').catch(() => { });
         this.token = null;
         this.user = null;
         localStorage.removeItem('wp_token');
         localStorage.removeItem('wp_username');
+        localStorage.removeItem('wp_user_id');
         this._showLogin();
     }
 
@@ -334,10 +601,14 @@ class WoodpeckerApp {
         streakContainer.innerHTML = '';
 
         try {
-            const [sets, streak] = await Promise.all([
+            const [sets, streak, due, rating] = await Promise.all([
                 this._api('/api/woodpecker/sets'),
-                this._api('/api/woodpecker/streak').catch(() => ({ currentStreak: 0, longestStreak: 0, totalDays: 0, completedToday: false }))
+                this._api('/api/woodpecker/streak').catch(() => ({ currentStreak: 0, longestStreak: 0, totalDays: 0, completedToday: false })),
+                this._api('/api/woodpecker/sr/due').catch(() => null),
+                this._api('/api/woodpecker/rating').catch(() => null)
             ]);
+            const srEnabled = sets.some(s => s.srEnabled);
+            this._rating = rating;
 
             // Render streak bar
             streakContainer.innerHTML = `
@@ -360,6 +631,16 @@ class WoodpeckerApp {
                             <span class="wp-streak-stat-value">${streak.completedToday ? '✅' : '⬜'}</span>
                             <span class="wp-streak-stat-label">Hôm nay</span>
                         </div>
+                        ${rating ? `
+                        <div class="wp-streak-stat" onclick="wpApp.showRatingHistory()" style="cursor:pointer;" title="${t('rating_history')}">
+                            <span class="wp-streak-stat-value">📈 ${rating.rating}${rating.provisional ? '?' : ''}</span>
+                            <span class="wp-streak-stat-label">${t('rating_label')}</span>
+                        </div>` : ''}
+                        ${srEnabled && due ? `
+                        <div class="wp-streak-stat" ${due.dueToday > 0 ? 'onclick="wpApp.startDueReview()" style="cursor:pointer;"' : ''} title="${t('sr_title')}">
+                            <span class="wp-streak-stat-value">🧠 ${due.dueToday}</span>
+                            <span class="wp-streak-stat-label">${t('sr_due_today')}</span>
+                        </div>` : ''}
                     </div>
                 </div>
             `;
@@ -379,11 +660,12 @@ class WoodpeckerApp {
                 const currentCycle = set.cycles.length > 0 ? set.cycles[set.cycles.length - 1] : null;
                 const cycleNum = currentCycle ? currentCycle.cycleNumber : 0;
                 const isActive = currentCycle && !currentCycle.completedAt;
-                const progress = (cycleNum / 7 * 100).toFixed(0);
+                const totalCycles = set.totalCycles || 7;
+                const progress = (Math.min(cycleNum, totalCycles) / totalCycles * 100).toFixed(0);
 
                 let badgeClass = 'pending';
                 let badgeText = 'Chưa bắt đầu';
-                if (cycleNum >= 7 && currentCycle?.completedAt) {
+                if (cycleNum >= totalCycles && currentCycle?.completedAt) {
                     badgeClass = 'completed';
                     badgeText = 'Hoàn thành!';
                 } else if (isActive) {
@@ -402,7 +684,7 @@ class WoodpeckerApp {
                         </div>
                         <div class="wp-set-card-meta">
                             <span>🧩 ${set.puzzleCount} puzzles</span>
-                            <span>🔄 ${cycleNum}/7 cycles</span>
+                            <span>🔄 ${cycleNum}/${totalCycles} cycles</span>
                         </div>
                         <div class="wp-set-card-progress">
                             <div class="wp-set-card-progress-fill" style="width:${progress}%"></div>
@@ -410,6 +692,8 @@ class WoodpeckerApp {
                     </div>
                 `;
             }).join('');
+
+            this._offerSessionResume();
         } catch (err) {
             grid.innerHTML = `<div class="wp-empty"><div class="empty-text">Lỗi: ${err.message}</div></div>`;
         }
@@ -441,10 +725,9 @@ class WoodpeckerApp {
         const container = document.getElementById('wp-set-detail-content');
         const currentCycle = set.cycles.length > 0 ? set.cycles[set.cycles.length - 1] : null;
         const isActive = currentCycle && !currentCycle.completedAt;
-        const canStartNew = !isActive && set.cycles.length < 7;
-        const allDone = set.cycles.length >= 7 && (!currentCycle || currentCycle.completedAt);
-
-        const CYCLE_DAYS = [28, 14, 7, 4, 3, 2, 1];
+        const cycleDays = set.cycleDays || [28, 14, 7, 4, 3, 2, 1];
+        const canStartNew = !isActive && set.cycles.length < cycleDays.length;
+        const allDone = set.cycles.length >= cycleDays.length && (!currentCycle || currentCycle.completedAt);
 
         // Header
         let html = `
@@ -457,10 +740,17 @@ class WoodpeckerApp {
             <div class="wp-set-header">
                 <div class="wp-set-header-info">
                     <h1>${set.name}</h1>
-                    <p>🧩 ${set.puzzleCount} ${t('detail_puzzles')} · ${set.originalName || ''}</p>
+                    <p>🧩 ${set.puzzleCount} ${t('detail_puzzles')} · ${set.originalName || ''}${set.templateName ? ` · 📅 ${set.templateName}` : ''}</p>
+                    ${isActive && set.failedQueued > 0 ? `<p>↻ ${t('detail_failed_queued', set.failedQueued)} · ${t('retry_policy_' + set.retryPolicy)}</p>` : ''}
+                    ${set.ordering && set.ordering !== 'sequential' ? `<p>🔀 ${t('ordering_' + set.ordering)}</p>` : ''}
+                    <label class="wp-checkbox-label" title="${t('sr_toggle_hint')}">
+                        <input type="checkbox" ${set.srEnabled ? 'checked' : ''} onchange="wpApp.toggleSetSR(this.checked)">
+                        🧠 ${t('sr_toggle')}
+                    </label>
                 </div>
                 <div class="wp-set-header-actions">
                     ${isActive ? `<button class="wp-btn wp-btn-primary wp-btn-lg" onclick="wpApp.startSession()">${t('detail_start_session')}</button>` : ''}
+                    ${set.cycles.length > 0 ? `<button class="wp-btn wp-btn-secondary wp-btn-lg" onclick="wpApp.showMistakeReviewForm()">${t('detail_review_mistakes')}</button>` : ''}
                     ${canStartNew ? `<button class="wp-btn wp-btn-success wp-btn-lg" onclick="wpApp.startNewCycle()">${t('detail_start_cycle')} ${set.cycles.length + 1}</button>` : ''}
                     ${allDone ? `<span class="wp-set-card-badge completed" style="font-size:1rem;padding:8px 16px;">${t('detail_all_done')}</span>` : ''}
                 </div>
@@ -469,7 +759,7 @@ class WoodpeckerApp {
 
         // Cycle Timeline
         html += '<div class="wp-cycle-timeline">';
-        for (let i = 0; i < 7; i++) {
+        for (let i = 0; i < cycleDays.length; i++) {
             const cycle = set.cycles[i];
             let cls = 'locked';
             let checkIcon = '';
@@ -483,7 +773,7 @@ class WoodpeckerApp {
                 <div class="wp-cycle-step ${cls}">
                     ${checkIcon}
                     <div class="wp-cycle-step-number">C${i + 1}</div>
-                    <div class="wp-cycle-step-days">${CYCLE_DAYS[i]} ${t('detail_days')}</div>
+                    <div class="wp-cycle-step-days">${cycle ? cycle.targetDays : cycleDays[i]} ${t('detail_days')}</div>
                 </div>
             `;
         }
@@ -584,6 +874,41 @@ class WoodpeckerApp {
             html += '</div>';
         }
 
+        // Per-theme accuracy / speed, with a practice session per theme
+        if (stats.themes && stats.themes.length > 0) {
+            this._setThemes = stats.themes;
+            html += `
+                <div class="wp-stats-section">
+                    <div class="wp-stats-title">${t('stat_themes')}</div>
+                    <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:8px;">${t('theme_practice_hint')}</div>
+                    <table class="wp-session-table">
+                        <thead>
+                            <tr>
+                                <th>${t('tbl_theme')}</th>
+                                <th>${t('detail_puzzles')}</th>
+                                <th>${t('tbl_attempted')}</th>
+                                <th>${t('tbl_success_rate')}</th>
+                                <th>${t('tbl_avg_time')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${stats.themes.map((th, i) => `
+                                <tr>
+                                    <td><strong>${th.theme}</strong></td>
+                                    <td>${th.puzzleCount}</td>
+                                    <td>${th.attempts}</td>
+                                    <td>${th.attempts > 0 ? `<strong>${th.accuracy}%</strong>` : '-'}</td>
+                                    <td>${th.attempts > 0 ? `${(th.avgTimeMs / 1000).toFixed(1)}s` : '-'}</td>
+                                    <td><button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.startThemePractice(${i})">${t('theme_practice')}</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
         // Leaderboard section
         html += `
             <div class="wp-section" style="margin-top:24px;">
@@ -600,21 +925,27 @@ class WoodpeckerApp {
         this._loadLeaderboard(set.id);
     }
 
-    async _loadLeaderboard(setId) {
+    async _loadLeaderboard(setId, groupId = '') {
         const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
         const container = document.getElementById('wp-leaderboard');
         if (!container) return;
 
         try {
-            const data = await this._api(`/api/woodpecker/sets/${setId}/leaderboard`);
+            const [data, groups] = await Promise.all([
+                this._api(`/api/woodpecker/sets/${setId}/leaderboard${groupId ? `?groupId=${groupId}` : ''}`),
+                this._api('/api/woodpecker/groups').catch(() => [])
+            ]);
             this._leaderboardData = data;
+            this._leaderboardSetId = setId;
+            this._leaderboardGroupId = groupId;
+            this._myGroups = groups;
 
             if (!data || data.length === 0) {
-                container.innerHTML = `<div style="text-align:center;color:var(--text-muted);padding:20px;">${t('leaderboard_empty')}</div>`;
+                container.innerHTML = `${this._leaderboardGroupFilter()}<div style="text-align:center;color:var(--text-muted);padding:20px;">${t('leaderboard_empty')}</div>`;
                 return;
             }
 
-            this._renderLeaderboard('ppm');
+            this._renderLeaderboard(groupId ? (this._leaderboardSort || 'ppm') : 'ppm');
         } catch (err) {
             container.innerHTML = `<div style="color:var(--danger);padding:12px;">${err.message}</div>`;
         }
@@ -625,9 +956,12 @@ class WoodpeckerApp {
         const container = document.getElementById('wp-leaderboard');
         if (!container || !this._leaderboardData) return;
 
+        this._leaderboardSort = sortBy;
         const data = [...this._leaderboardData];
         if (sortBy === 'ppm') {
             data.sort((a, b) => b.ppm - a.ppm);
+        } else if (sortBy === 'rating') {
+            data.sort((a, b) => b.rating - a.rating);
         } else {
             data.sort((a, b) => b.accuracy - a.accuracy);
         }
@@ -635,9 +969,11 @@ class WoodpeckerApp {
         const medals = ['🥇', '🥈', '🥉'];
 
         let html = `
+            ${this._leaderboardGroupFilter()}
             <div class="wp-leaderboard-tabs">
                 <button class="wp-lb-tab ${sortBy === 'ppm' ? 'active' : ''}" onclick="wpApp.switchLeaderboardTab('ppm')">⚡ PPM</button>
                 <button class="wp-lb-tab ${sortBy === 'accuracy' ? 'active' : ''}" onclick="wpApp.switchLeaderboardTab('accuracy')">🎯 ${t('leaderboard_accuracy')}</button>
+                <button class="wp-lb-tab ${sortBy === 'rating' ? 'active' : ''}" onclick="wpApp.switchLeaderboardTab('rating')">📈 ${t('rating_label')}</button>
             </div>
             <div class="wp-leaderboard-list">
         `;
@@ -646,8 +982,10 @@ class WoodpeckerApp {
             const rank = i + 1;
             const medal = rank <= 3 ? medals[i] : `#${rank}`;
             const highlight = entry.isMe ? ' wp-lb-me' : '';
-            const mainStat = sortBy === 'ppm' ? entry.ppm.toFixed(2) : `${entry.accuracy}%`;
-            const subStat = sortBy === 'ppm' ? `${entry.accuracy}% ${t('leaderboard_acc_short')}` : `${entry.ppm.toFixed(2)} PPM`;
+            const rating = `${entry.rating}${entry.ratingProvisional ? '?' : ''}`;
+            const mainStat = sortBy === 'ppm' ? entry.ppm.toFixed(2) : sortBy === 'rating' ? rating : `${entry.accuracy}%`;
+            const subStat = sortBy === 'ppm' ? `${entry.accuracy}% ${t('leaderboard_acc_short')}`
+                : sortBy === 'rating' ? `${entry.accuracy}% · ${entry.ppm.toFixed(2)} PPM` : `${entry.ppm.toFixed(2)} PPM`;
 
             html += `
                 <div class="wp-lb-row${highlight}">
@@ -675,6 +1013,57 @@ class WoodpeckerApp {
         this._renderLeaderboard(tab);
     }
 
+    // Everyone on the set, or only the members of one of the student's groups
+    _leaderboardGroupFilter() {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        if (!this._myGroups || this._myGroups.length === 0) return '';
+        return `
+            <select class="wp-input wp-lb-group" onchange="wpApp.filterLeaderboardGroup(this.value)">
+                <option value="">🌐 ${t('leaderboard_everyone')}</option>
+                ${this._myGroups.map(g => `<option value="${g.id}" ${g.id === this._leaderboardGroupId ? 'selected' : ''}>👥 ${g.name}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    filterLeaderboardGroup(groupId) {
+        if (this._leaderboardSetId) this._loadLeaderboard(this._leaderboardSetId, groupId);
+    }
+
+    // ===== RATING =====
+    showRatingHistory() {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        if (!this._rating) return;
+        this._openModal(`📈 ${t('rating_history')}`, `
+            <div style="text-align:center;margin-bottom:12px;">
+                <div style="font-size:2rem;font-weight:700;">${this._rating.rating}${this._rating.provisional ? '?' : ''}</div>
+                <div style="font-size:0.8rem;color:var(--text-secondary);">±${this._rating.rd * 2}${this._rating.provisional ? ` · ${t('rating_provisional')}` : ''}</div>
+            </div>
+            ${this._ratingChart(this._rating.history) || `<div style="text-align:center;color:var(--text-muted);padding:20px;">${t('rating_history_empty')}</div>`}
+        `);
+    }
+
+    // Inline SVG line of a rating history (oldest first); '' when there is nothing to draw
+    _ratingChart(history, width = 360, height = 120) {
+        if (!history || history.length < 2) return '';
+        const ratings = history.map(h => h.rating);
+        const min = Math.min(...ratings) - 10;
+        const max = Math.max(...ratings) + 10;
+        const x = i => (i / (history.length - 1) * (width - 40) + 36).toFixed(1);
+        const y = r => ((max - r) / (max - min) * (height - 20) + 10).toFixed(1);
+        const points = ratings.map((r, i) => `${x(i)},${y(r)}`).join(' ');
+        return `
+            <svg viewBox="0 0 ${width} ${height}" width="100%" style="max-width:${width}px;display:block;margin:0 auto;">
+                <text x="0" y="14" font-size="10" fill="currentColor" opacity="0.6">${Math.round(max)}</text>
+                <text x="0" y="${height - 4}" font-size="10" fill="currentColor" opacity="0.6">${Math.round(min)}</text>
+                <polyline points="${points}" fill="none" stroke="var(--primary)" stroke-width="2" stroke-linejoin="round"/>
+            </svg>
+            <div style="display:flex;justify-content:space-between;font-size:0.7rem;color:var(--text-muted);padding-left:36px;">
+                <span>${new Date(history[0].recordedAt).toLocaleDateString('vi')}</span>
+                <span>${new Date(history[history.length - 1].recordedAt).toLocaleDateString('vi')}</span>
+            </div>
+        `;
+    }
+
     _toggleCycle(idx) {
         const body = document.getElementById(`cycle-body-${idx}`);
         const toggle = document.getElementById(`cycle-toggle-${idx}`);
@@ -690,6 +1079,8 @@ class WoodpeckerApp {
             const result = await this._api(`/api/woodpecker/sets/${this.currentSetId}/start-cycle`, { method: 'POST' });
             if (result.pending) {
                 this.showToast(result.message || 'Yêu cầu đã được gửi, chờ admin duyệt', 'info');
+            } else if (result.autoApproved) {
+                this.showToast(`Cycle ${result.cycleNumber} được tự động duyệt!`, 'success');
             } else {
                 this.showToast('Đã bắt đầu cycle mới!', 'success');
             }
@@ -704,8 +1095,145 @@ class WoodpeckerApp {
     }
 
     // ===== TRAINING SESSION =====
-    async startSession() {
-        if (!this.currentSetId) return;
+    startThemePractice(themeIdx) {
+        const theme = this._setThemes && this._setThemes[themeIdx];
+        if (theme) this.startSession({ theme: theme.theme });
+    }
+
+    // ===== SPACED REPETITION =====
+    async toggleSetSR(enabled) {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        try {
+            await this._api(`/api/woodpecker/sets/${this.currentSetId}/sr`, { method: 'PUT', body: { enabled } });
+            this.showToast(enabled ? t('sr_enabled') : t('sr_disabled'), 'success');
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    startDueReview() {
+        this.currentSetId = null;
+        this.startSession({ sr: true });
+    }
+
+    // Set of the puzzle at a trainer index (a due review mixes puzzles from several sets)
+    _puzzleSetId(puzzleIndex) {
+        return this.puzzleSetIds ? this.puzzleSetIds[puzzleIndex] : this.currentSetId;
+    }
+
+    // Set used to authorize ending the session (any set of the due review)
+    _sessionSetId() {
+        return this.currentSetId || (this.puzzleSetIds && this.puzzleSetIds[0]) || null;
+    }
+
+    // ===== MISTAKE REVIEW =====
+    showMistakeReviewForm() {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        const cycles = this.currentSet ? this.currentSet.cycles : [];
+        const today = new Date().toISOString().slice(0, 10);
+
+        this._openModal(t('review_title'), `
+            <div class="wp-form-group">
+                <label>${t('review_scope')}</label>
+                <select class="wp-input" id="review-scope" onchange="wpApp._onReviewScopeChange()">
+                    <option value="cycles">${t('review_by_cycles')}</option>
+                    <option value="days">${t('review_last_days')}</option>
+                    <option value="range">${t('review_date_range')}</option>
+                </select>
+            </div>
+            <div class="wp-form-group" id="review-cycles-group">
+                <div class="wp-checkbox-group">
+                    ${cycles.map(c => `
+                        <label class="wp-checkbox-label">
+                            <input type="checkbox" name="reviewCycle" value="${c.cycleNumber}" checked onchange="wpApp._previewMistakes()">
+                            ${t('train_cycle')} ${c.cycleNumber}${c.completedAt ? ' ✓' : ''}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="wp-form-group" id="review-days-group" style="display:none;">
+                <label>${t('review_days')}</label>
+                <input class="wp-input" type="number" id="review-days" min="1" value="7" onchange="wpApp._previewMistakes()">
+            </div>
+            <div id="review-range-group" style="display:none;">
+                <div class="wp-form-group">
+                    <label>${t('review_from')}</label>
+                    <input class="wp-input" type="date" id="review-from" value="${today}" onchange="wpApp._previewMistakes()">
+                </div>
+                <div class="wp-form-group">
+                    <label>${t('review_to')}</label>
+                    <input class="wp-input" type="date" id="review-to" value="${today}" onchange="wpApp._previewMistakes()">
+                </div>
+            </div>
+            <div id="review-preview" style="font-size:0.9rem;margin:8px 0;"></div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">${t('end_cancel')}</button>
+                <button class="wp-btn wp-btn-primary" id="review-start-btn" onclick="wpApp.startMistakeReview()">${t('review_start')}</button>
+            </div>
+        `);
+        this._previewMistakes();
+    }
+
+    _onReviewScopeChange() {
+        const scope = document.getElementById('review-scope').value;
+        document.getElementById('review-cycles-group').style.display = scope === 'cycles' ? 'block' : 'none';
+        document.getElementById('review-days-group').style.display = scope === 'days' ? 'block' : 'none';
+        document.getElementById('review-range-group').style.display = scope === 'range' ? 'block' : 'none';
+        this._previewMistakes();
+    }
+
+    // Review scope from the form: { cycles } / { days } / { from, to }
+    _reviewScope() {
+        const scope = document.getElementById('review-scope').value;
+        if (scope === 'days') return { days: parseInt(document.getElementById('review-days').value) || 7 };
+        if (scope === 'range') {
+            return { from: document.getElementById('review-from').value, to: document.getElementById('review-to').value };
+        }
+        const cycles = Array.from(document.querySelectorAll('input[name="reviewCycle"]:checked')).map(cb => parseInt(cb.value));
+        return { cycles };
+    }
+
+    async _previewMistakes() {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        const preview = document.getElementById('review-preview');
+        const startBtn = document.getElementById('review-start-btn');
+        if (!preview) return;
+
+        const scope = this._reviewScope();
+        if (scope.cycles && scope.cycles.length === 0) {
+            preview.textContent = t('review_none');
+            startBtn.disabled = true;
+            return;
+        }
+        try {
+            const params = new URLSearchParams();
+            Object.entries(scope).forEach(([k, v]) => params.set(k, Array.isArray(v) ? v.join(',') : v));
+            const mistakes = await this._api(`/api/woodpecker/sets/${this.currentSetId}/mistakes?${params}`);
+            preview.textContent = mistakes.length > 0 ? t('review_count', mistakes.length) : t('review_none');
+            startBtn.disabled = mistakes.length === 0;
+        } catch (err) {
+            preview.textContent = err.message;
+        }
+    }
+
+    startMistakeReview() {
+        const review = this._reviewScope();
+        this.closeModal();
+        this.startSession({ review });
+    }
+
+    /**
+     * Start a 10-minute session on the current set.
+     * options.theme: practice that theme's puzzles only; options.review: { cycles } / { days } / { from, to },
+     * replay the puzzles failed in that scope; options.sr: today's spaced-repetition due queue across
+     * all sets. None of these sessions is part of a cycle.
+     * options.resume: a suspended session from /sessions/resumable — restored with its remaining
+     * time, recorded attempts and the puzzle that was on the board.
+     */
+    async startSession(options = {}) {
+        if (!this.currentSetId && !options.sr && !options.resume) return;
+        const resume = options.resume || null;
+        this.sessionOptions = options;
 
         this._switchView('view-training');
         const statusEl = document.getElementById('wp-training-status');
@@ -716,36 +1244,38 @@ class WoodpeckerApp {
         this._sentAttemptIndices = new Set();
 
         try {
-            // Create session
-            const sessionData = await this._api('/api/woodpecker/sessions', {
-                method: 'POST',
-                body: { setId: this.currentSetId }
-            });
+            let sessionData;
+            if (resume) {
+                // Reactivate the suspended session; its kind decides how the puzzles are loaded
+                sessionData = await this._api(`/api/woodpecker/sessions/${resume.session.id}/resume`, { method: 'POST' });
+                this.currentSetId = sessionData.setId;
+                options = {
+                    theme: sessionData.mode === 'practice' ? sessionData.theme : undefined,
+                    review: sessionData.mode === 'review' ? {} : undefined,
+                    sr: sessionData.mode === 'sr'
+                };
+                this.sessionOptions = options;
+            } else if (options.sr || options.review) {
+                // Due / mistake queues are computed by the server: these need a connection
+                sessionData = await this._api('/api/woodpecker/sessions', {
+                    method: 'POST',
+                    body: options.sr ? { sr: true } : { setId: this.currentSetId, review: options.review }
+                });
+            } else {
+                // Cycle / theme sessions can start offline: the client names the session, the server creates it on sync
+                const session = { id: WoodpeckerTrainer.newClientId(), startedAt: new Date().toISOString() };
+                sessionData = await this._sendOrQueue('/api/woodpecker/sessions', 'POST', {
+                    id: session.id, setId: this.currentSetId, theme: options.theme
+                }) || {
+                    session: { ...session, duration: 0, puzzlesAttempted: 0, puzzlesSolved: 0, attempts: [] },
+                    mode: options.theme ? 'practice' : 'cycle', theme: options.theme
+                };
+            }
             this.currentSessionId = sessionData.session.id;
 
-            // Load PGN
-            const res = await fetch(`/api/woodpecker/sets/${this.currentSetId}/pgn`, {
-                headers: { 'Authorization': `Bearer ${this.token}` }
-            });
-            const pgnText = await res.text();
-            const games = PGNParser.parseMultipleGames(pgnText);
-
-            // Determine already solved puzzles in this cycle
-            this.solvedPuzzleIndices = new Set();
-            const set = await this._api(`/api/woodpecker/sets/${this.currentSetId}`);
-            this.currentSet = set;
-            const currentCycle = set.cycles[set.cycles.length - 1];
-            if (currentCycle) {
-                for (const session of currentCycle.sessions) {
-                    // Don't count current session
-                    if (session.id === this.currentSessionId) continue;
-                    for (const attempt of session.attempts) {
-                        if (attempt.correct) {
-                            this.solvedPuzzleIndices.add(attempt.puzzleIndex);
-                        }
-                    }
-                }
-            }
+            const { games, title, badge } = options.sr
+                ? await this._loadDueReviewPuzzles(sessionData.puzzles)
+                : await this._loadSetPuzzles(options, sessionData);
 
             // Initialize board if needed
             if (!this.board) {
@@ -769,13 +1299,22 @@ class WoodpeckerApp {
             this.trainer.onStatusChange = (data) => this._onStatusChange(data);
             this.trainer.onMoveCompleted = (data) => this._onMoveCompleted(data);
 
-            // Start timer
-            this.trainer.startTimer();
+            // Start timer (a resumed session continues with the time it had left)
+            this.trainer.startTimer(resume ? sessionData.session.duration : 0);
 
             // Update title
-            document.getElementById('wp-training-set-name').textContent = set.name;
-            document.getElementById('wp-training-cycle-badge').textContent =
-                `${typeof i18n !== 'undefined' ? i18n.t('train_cycle') : 'Cycle'} ${currentCycle ? currentCycle.cycleNumber : 1}`;
+            document.getElementById('wp-training-set-name').textContent = title;
+            document.getElementById('wp-training-cycle-badge').textContent = badge;
+
+            if (resume) {
+                this._restoreSessionAttempts(sessionData.session.attempts);
+                const current = sessionData.currentPuzzleId ? this.puzzleIds.indexOf(sessionData.currentPuzzleId) : -1;
+                if (current >= 0 && !this.solvedPuzzleIndices.has(current)) {
+                    this.trainer.startPuzzle(current);
+                    this._updateProgress();
+                    return;
+                }
+            }
 
             // Start first puzzle
             this._startNextPuzzle();
@@ -786,64 +1325,230 @@ class WoodpeckerApp {
         }
     }
 
-    _startNextPuzzle() {
-        const nextIdx = this.trainer.getNextPuzzleIndex(this.solvedPuzzleIndices);
+    // Puzzles of the current set: the cycle's remaining puzzles, or a theme / mistake-review selection
+    async _loadSetPuzzles(options, sessionData) {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        const practice = !!(options.theme || options.review);
+        this.puzzleSetIds = null;
 
-        if (nextIdx === -1) {
-            // All puzzles solved in this cycle!
-            this.trainer.endSession('all_solved');
-            return;
+        // Load PGN
+        const res = await fetch(`/api/woodpecker/sets/${this.currentSetId}/pgn`, {
+            headers: { 'Authorization': `Bearer ${this.token}`, 'X-Wp-User': this.user.id }
+        });
+        if (!res.ok) throw new Error(res.headers.get('X-Offline') ? 'Không có kết nối mạng' : 'Không tải được PGN');
+        const pgnText = await res.text();
+        const games = PGNParser.parseMultipleGames(pgnText);
+
+        // Stable puzzle IDs, index-aligned with the parsed games (server uses the same parser)
+        const puzzles = await this._api(`/api/woodpecker/sets/${this.currentSetId}/puzzles`);
+        this.puzzleIds = puzzles.map(p => p.id);
+        if (options.review) {
+            this.sessionPuzzleIndices = new Set(sessionData.puzzleIds.map(id => this.puzzleIds.indexOf(id)).filter(i => i >= 0));
+        } else if (options.theme) {
+            this.sessionPuzzleIndices = new Set(puzzles.map((p, i) => (p.themes || []).includes(options.theme) ? i : -1).filter(i => i >= 0));
+        } else {
+            this.sessionPuzzleIndices = null;
         }
 
-        this.trainer.startPuzzle(nextIdx);
-        this._updateProgress();
-    }
+        // Determine already solved puzzles in this cycle (a practice session starts from scratch)
+        this.solvedPuzzleIndices = new Set();
+        const set = await this._api(`/api/woodpecker/sets/${this.currentSetId}`);
+        this.currentSet = set;
+        const currentCycle = set.cycles[set.cycles.length - 1];
+        if (currentCycle && !practice) {
+            for (const session of currentCycle.sessions) {
+                // Don't count current session
+                if (session.id === this.currentSessionId) continue;
+                for (const attempt of session.attempts) {
+                    if (!attempt.correct) continue;
+                    // Map by puzzle ID so a replaced/reordered PGN keeps solved puzzles
+                    const idx = attempt.puzzleId ? this.puzzleIds.indexOf(attempt.puzzleId) : attempt.puzzleIndex;
+                    if (idx !== null && idx >= 0) this.solvedPuzzleIndices.add(idx);
+                }
+            }
+        }
 
-    _updateProgress() {
-        const total = this.trainer.puzzles.length;
-        const solved = this.solvedPuzzleIndices.size;
-        const pct = total > 0 ? (solved / total * 100).toFixed(0) : 0;
+        // Serving order of the cycle (where failed puzzles go depends on the set's retry policy)
+        this.puzzleQueue = null;
+        this.deferredPuzzleCount = 0;
+        if (!practice) {
+            try {
+                this._applyPuzzleQueue(await this._api(
+                    `/api/woodpecker/sets/${this.currentSetId}/queue?sessionId=${this.currentSessionId}`
+                ));
+            } catch (err) {
+                // Offline: serve the remaining puzzles in set order
+                if (!err.offline) throw err;
+            }
+        }
 
-        const bar = document.getElementById('wp-progress-fill');
-        const text = document.getElementById('wp-progress-text');
-        if (bar) bar.style.width = pct + '%';
-        if (text) text.textContent = `${solved}/${total}`;
+        const badge = options.review ? `🔁 ${t('train_review')}`
+            : options.theme ? `🏷 ${options.theme}`
+            : `${t('train_cycle')} ${currentCycle ? currentCycle.cycleNumber : 1}`;
+        return { games, title: set.name, badge };
     }
 
-    _updateTimer(remaining) {
-        const timerEl = document.getElementById('wp-timer-value');
-        const timerContainer = document.getElementById('wp-timer');
-        if (!timerEl) return;
-
-        const min = Math.floor(remaining / 60);
-        const sec = remaining % 60;
-        timerEl.textContent = `${min}:${sec.toString().padStart(2, '0')}`;
-
-        if (timerContainer) {
-            timerContainer.className = 'wp-timer';
-            if (remaining <= 60) timerContainer.classList.add('danger');
-            else if (remaining <= 180) timerContainer.classList.add('warning');
+    // Attempts a resumed session already recorded: counted in the trainer, not sent again
+    _restoreSessionAttempts(attempts) {
+        for (const a of attempts) {
+            const idx = a.puzzleId ? this.puzzleIds.indexOf(a.puzzleId) : a.puzzleIndex;
+            if (idx === null || idx < 0) continue;
+            this.trainer.sessionAttempts.push({ puzzleIndex: idx, correct: a.correct, timeMs: a.timeMs, mistakes: a.mistakes || 0 });
+            this._sentAttemptIndices.add(idx);
+            if (a.correct || this.sessionOptions.sr) this.solvedPuzzleIndices.add(idx);
         }
     }
 
-    _onPuzzleStart(data) {
-        const counterEl = document.getElementById('wp-puzzle-counter');
-        const statusEl = document.getElementById('wp-training-status');
+    // Offer to continue a session interrupted by a reload / closed tab (once per page load)
+    async _offerSessionResume() {
+        if (this._resumeOffered) return;
+        this._resumeOffered = true;
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
 
-        if (counterEl) counterEl.textContent = `${typeof i18n !== 'undefined' ? i18n.t('train_puzzle') : 'Puzzle'} ${data.puzzleIndex + 1}/${data.totalPuzzles}`;
-        if (statusEl) {
-            statusEl.textContent = typeof i18n !== 'undefined' ? i18n.t('train_your_turn_hint') : 'Lượt của bạn!';
-            statusEl.className = 'wp-training-status thinking';
+        let data;
+        try {
+            data = await this._api('/api/woodpecker/sessions/resumable');
+        } catch {
+            return;
         }
+        if (!data.session) return;
+        this._resumable = data;
 
-        this._updateSessionQuickStats();
+        const remaining = `${Math.floor(data.remainingSeconds / 60)}:${String(data.remainingSeconds % 60).padStart(2, '0')}`;
+        this._openModal(`⏸ ${t('resume_title')}`, `
+            <div style="text-align:center;padding:16px;">
+                <p style="margin-bottom:8px;color:var(--text-secondary);">${t('resume_msg', remaining, data.session.puzzlesAttempted)}</p>
+                <p style="margin-bottom:24px;font-size:0.8rem;color:var(--text-muted);">${t('resume_until', new Date(data.resumableUntil).toLocaleTimeString())}</p>
+                <div style="display:flex;gap:12px;justify-content:center;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.discardResumableSession()">${t('resume_discard')}</button>
+                    <button class="wp-btn wp-btn-primary" onclick="wpApp.resumeSession()">▶ ${t('resume_continue')}</button>
+                </div>
+            </div>
+        `);
     }
 
-    async _onPuzzleComplete(data) {
-        const statusEl = document.getElementById('wp-training-status');
-
+    resumeSession() {
+        this.closeModal();
+        if (this._resumable) this.startSession({ resume: this._resumable });
+    }
+
+    // End the suspended session now, with the time it had used
+    async discardResumableSession() {
+        this.closeModal();
+        const data = this._resumable;
+        if (!data) return;
+        this._resumable = null;
+        try {
+            await this._api(`/api/woodpecker/sessions/${data.session.id}`, {
+                method: 'PUT',
+                body: { setId: data.setId || (data.puzzles && data.puzzles[0] && data.puzzles[0].setId), duration: data.session.duration }
+            });
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    // Spaced-repetition review: today's due puzzles, mixed from every set they belong to
+    async _loadDueReviewPuzzles(due) {
+        const t = (k, ...a) => typeof i18n !== 'undefined' ? i18n.t(k, ...a) : k;
+        const gamesBySet = {};
+        for (const setId of new Set(due.map(d => d.setId))) {
+            const res = await fetch(`/api/woodpecker/sets/${setId}/pgn`, {
+                headers: { 'Authorization': `Bearer ${this.token}`, 'X-Wp-User': this.user.id }
+            });
+            gamesBySet[setId] = PGNParser.parseMultipleGames(await res.text());
+        }
+
+        const available = due.filter(d => gamesBySet[d.setId][d.index]);
+        this.puzzleIds = available.map(d => d.puzzleId);
+        this.puzzleSetIds = available.map(d => d.setId);
+        this.sessionPuzzleIndices = null;
+        this.solvedPuzzleIndices = new Set();
+        this.puzzleQueue = null;
+        this.deferredPuzzleCount = 0;
+
+        return {
+            games: available.map(d => gamesBySet[d.setId][d.index]),
+            title: t('sr_title'),
+            badge: `🧠 ${t('sr_due_count', available.length)}`
+        };
+    }
+
+    _applyPuzzleQueue(queue) {
+        if (!queue) return;
+        this.puzzleQueue = queue.queue.map(p => this.puzzleIds.indexOf(p.id)).filter(i => i >= 0);
+        this.deferredPuzzleCount = queue.deferred.length;
+    }
+
+    _startNextPuzzle() {
+        // Practice sessions skip the puzzles outside their theme
+        const skipped = this.sessionPuzzleIndices
+            ? new Set(this.trainer.puzzles.map((_, i) => i).filter(i => !this.sessionPuzzleIndices.has(i) || this.solvedPuzzleIndices.has(i)))
+            : this.solvedPuzzleIndices;
+        const nextIdx = this.trainer.getNextPuzzleIndex(skipped, this.sessionPuzzleIndices ? null : this.puzzleQueue);
+
+        if (nextIdx === -1 && this.deferredPuzzleCount > 0 && !this.sessionPuzzleIndices) {
+            // Only puzzles failed in this session are left: they come back next session
+            this.trainer.endSession('retry_next_session');
+            return;
+        }
+
+        if (nextIdx === -1) {
+            // All puzzles solved in this cycle!
+            this.trainer.endSession('all_solved');
+            return;
+        }
+
+        this.trainer.startPuzzle(nextIdx);
+        this._updateProgress();
+    }
+
+    _updateProgress() {
+        const total = this.sessionPuzzleIndices ? this.sessionPuzzleIndices.size : this.trainer.puzzles.length;
+        const solved = this.solvedPuzzleIndices.size;
+        const pct = total > 0 ? (solved / total * 100).toFixed(0) : 0;
+
+        const bar = document.getElementById('wp-progress-fill');
+        const text = document.getElementById('wp-progress-text');
+        if (bar) bar.style.width = pct + '%';
+        if (text) text.textContent = `${solved}/${total}`;
+    }
+
+    _updateTimer(remaining) {
+        const timerEl = document.getElementById('wp-timer-value');
+        const timerContainer = document.getElementById('wp-timer');
+        if (!timerEl) return;
+
+        const min = Math.floor(remaining / 60);
+        const sec = remaining % 60;
+        timerEl.textContent = `${min}:${sec.toString().padStart(2, '0')}`;
+
+        if (timerContainer) {
+            timerContainer.className = 'wp-timer';
+            if (remaining <= 60) timerContainer.classList.add('danger');
+            else if (remaining <= 180) timerContainer.classList.add('warning');
+        }
+    }
+
+    _onPuzzleStart(data) {
+        const counterEl = document.getElementById('wp-puzzle-counter');
+        const statusEl = document.getElementById('wp-training-status');
+
+        if (counterEl) counterEl.textContent = `${typeof i18n !== 'undefined' ? i18n.t('train_puzzle') : 'Puzzle'} ${data.puzzleIndex + 1}/${data.totalPuzzles}`;
+        if (statusEl) {
+            statusEl.textContent = typeof i18n !== 'undefined' ? i18n.t('train_your_turn_hint') : 'Lượt của bạn!';
+            statusEl.className = 'wp-training-status thinking';
+        }
+
+        this._updateSessionQuickStats();
+    }
+
+    async _onPuzzleComplete(data) {
+        const statusEl = document.getElementById('wp-training-status');
+
+        // A due review shows each puzzle once, solved or not; the card schedules the retry
+        if (data.correct || this.sessionOptions.sr) this.solvedPuzzleIndices.add(data.puzzleIndex);
         if (data.correct) {
-            this.solvedPuzzleIndices.add(data.puzzleIndex);
             if (statusEl) {
                 statusEl.textContent = typeof i18n !== 'undefined' ? i18n.t('train_complete') : '✓ Hoàn thành puzzle!';
                 statusEl.className = 'wp-training-status correct';
@@ -855,19 +1560,21 @@ class WoodpeckerApp {
             }
         }
 
-        // Record attempt to server
+        // Record attempt to server (queued on this device when offline)
         try {
-            await this._api(`/api/woodpecker/sessions/${this.currentSessionId}/attempt`, {
-                method: 'POST',
-                body: {
-                    setId: this.currentSetId,
-                    puzzleIndex: data.puzzleIndex,
-                    correct: data.correct,
-                    timeMs: data.timeMs
-                }
-            });
+            const result = await this._sendOrQueue(`/api/woodpecker/sessions/${this.currentSessionId}/attempt`, 'POST',
+                this._attemptBody(data));
             // Mark as sent
             this._sentAttemptIndices.add(data.puzzleIndex);
+            if (!result) {
+                this._notifyOffline();
+            } else {
+                // The server's verdict counts (it replays the moves): keep a rejected solve in the cycle
+                if (!result.attempt.correct && data.correct && !this.sessionOptions.sr) {
+                    this.solvedPuzzleIndices.delete(data.puzzleIndex);
+                }
+                if (!this.sessionPuzzleIndices) this._applyPuzzleQueue(result.queue);
+            }
         } catch (err) {
             console.warn('Failed to record attempt:', err);
         }
@@ -888,15 +1595,8 @@ class WoodpeckerApp {
         const unsentAttempts = data.attempts.filter(a => !this._sentAttemptIndices.has(a.puzzleIndex));
         for (const attempt of unsentAttempts) {
             try {
-                await this._api(`/api/woodpecker/sessions/${this.currentSessionId}/attempt`, {
-                    method: 'POST',
-                    body: {
-                        setId: this.currentSetId,
-                        puzzleIndex: attempt.puzzleIndex,
-                        correct: attempt.correct,
-                        timeMs: attempt.timeMs
-                    }
-                });
+                await this._sendOrQueue(`/api/woodpecker/sessions/${this.currentSessionId}/attempt`, 'POST',
+                    this._attemptBody(attempt));
             } catch (err) {
                 console.warn('Failed to record attempt:', err);
             }
@@ -904,22 +1604,21 @@ class WoodpeckerApp {
 
         // Then end the session on server
         try {
-            await this._api(`/api/woodpecker/sessions/${this.currentSessionId}`, {
-                method: 'PUT',
-                body: {
-                    setId: this.currentSetId,
-                    duration: data.duration
-                }
+            await this._sendOrQueue(`/api/woodpecker/sessions/${this.currentSessionId}`, 'PUT', {
+                setId: this._sessionSetId(),
+                duration: data.duration,
+                endedAt: new Date().toISOString()
             });
         } catch (err) {
             console.warn('Failed to save session:', err);
         }
 
-        // Check if all puzzles in cycle are solved
-        const allSolved = this.solvedPuzzleIndices.size >= this.trainer.puzzles.length;
+        // Check if all puzzles in cycle are solved (practice sessions never complete the cycle)
+        const practice = !!(this.sessionOptions.theme || this.sessionOptions.review || this.sessionOptions.sr);
+        const allSolved = !practice && this.solvedPuzzleIndices.size >= this.trainer.puzzles.length;
         if (allSolved) {
             try {
-                await this._api(`/api/woodpecker/sets/${this.currentSetId}/complete-cycle`, { method: 'POST' });
+                await this._sendOrQueue(`/api/woodpecker/sets/${this.currentSetId}/complete-cycle`, 'POST', {});
             } catch { }
         }
 
@@ -936,7 +1635,12 @@ class WoodpeckerApp {
         let reasonText = '';
         switch (data.reason) {
             case 'timeout': reasonText = t('summary_timeout'); break;
-            case 'all_solved': reasonText = t('summary_all_solved'); break;
+            case 'all_solved':
+                reasonText = this.sessionOptions.sr ? t('summary_sr_all_done')
+                    : this.sessionOptions.review ? t('summary_review_all_solved')
+                    : this.sessionOptions.theme ? t('summary_practice_all_solved') : t('summary_all_solved');
+                break;
+            case 'retry_next_session': reasonText = t('summary_retry_next_session'); break;
             default: reasonText = t('summary_ended');
         }
 
@@ -961,7 +1665,7 @@ class WoodpeckerApp {
                 </div>
                 <div class="summary-actions">
                     <button class="wp-btn wp-btn-secondary" onclick="wpApp.backToSetDetail()">${t('summary_view_stats')}</button>
-                    ${!cycleComplete ? `<button class="wp-btn wp-btn-primary" onclick="wpApp.closeModal();wpApp.startSession();">${t('summary_continue')}</button>` : ''}
+                    ${!cycleComplete ? `<button class="wp-btn wp-btn-primary" onclick="wpApp.closeModal();wpApp.startSession(wpApp.sessionOptions);">${t('summary_continue')}</button>` : ''}
                 </div>
             </div>
         `);
@@ -1101,6 +1805,27 @@ class WoodpeckerApp {
         `);
     }
 
+    // Attempt payload; the trainer's clientId makes a resend or an offline replay a no-op on the server.
+    // The server replays `moves` to decide correct / mistakes itself.
+    _attemptBody(attempt) {
+        return {
+            setId: this._puzzleSetId(attempt.puzzleIndex),
+            puzzleId: this.puzzleIds[attempt.puzzleIndex],
+            puzzleIndex: attempt.puzzleIndex,
+            moves: attempt.moves || [],
+            timeMs: attempt.timeMs,
+            clientId: attempt.clientId,
+            recordedAt: attempt.recordedAt
+        };
+    }
+
+    // Tell the student once per session that results are kept on the device
+    _notifyOffline() {
+        if (this._offlineNotifiedSession === this.currentSessionId) return;
+        this._offlineNotifiedSession = this.currentSessionId;
+        this.showToast(typeof i18n !== 'undefined' ? i18n.t('offline_saved') : 'Đang offline — kết quả được lưu trên máy', 'info');
+    }
+
     async _confirmEndSession() {
         this.closeModal();
         if (!this.trainer) return;
@@ -1108,22 +1833,28 @@ class WoodpeckerApp {
     }
 
     /**
-     * Save session on page unload (F5 / close tab)
+     * Suspend session on page unload (F5 / close tab): it can be resumed within the grace window
      */
     _setupBeforeUnload() {
         window.addEventListener('beforeunload', () => {
             if (this.trainer && this.trainer.isActive && this.currentSessionId) {
                 const duration = this.trainer.getElapsedTime();
                 // Use sendBeacon for reliable delivery during unload
-                const payload = JSON.stringify({
-                    setId: this.currentSetId,
+                const body = {
+                    setId: this._sessionSetId(),
                     duration: Math.min(duration, this.trainer.SESSION_DURATION),
-                    token: this.token
-                });
-                navigator.sendBeacon(
-                    `/api/woodpecker/sessions/${this.currentSessionId}/end`,
-                    new Blob([payload], { type: 'application/json' })
-                );
+                    token: this.token,
+                    suspend: true,
+                    puzzleId: this.puzzleIds ? this.puzzleIds[this.trainer.currentPuzzleIndex] || null : null,
+                    endedAt: new Date().toISOString()
+                };
+                const url = `/api/woodpecker/sessions/${this.currentSessionId}/end`;
+                // Offline (or earlier writes still queued): the suspend goes behind them in the queue
+                if (this.offlineQueue && (this._offlinePending || !navigator.onLine)) {
+                    this.offlineQueue.add({ url, method: 'POST', body, token: this.token, userId: this.user.id });
+                    return;
+                }
+                navigator.sendBeacon(url, new Blob([JSON.stringify(body)], { type: 'application/json' }));
             }
         });
     }
@@ -1222,8 +1953,17 @@ class WoodpeckerApp {
     }
 
     // ===== ADMIN VIEW =====
+    // Coaches share the admin view, limited to their roster; admin-only sections and buttons are hidden
+    _isStaff() {
+        return !!this.user && (this.user.role === 'admin' || this.user.role === 'coach');
+    }
+
     async showAdmin() {
-        if (!this.user || this.user.role !== 'admin') return;
+        if (!this._isStaff()) return;
+        const isAdmin = this.user.role === 'admin';
+        document.querySelectorAll('#view-admin [data-admin-only]').forEach(el => {
+            el.style.display = isAdmin ? '' : 'none';
+        });
         this._switchView('view-admin');
         await this._loadAdminData();
     }
@@ -1237,13 +1977,33 @@ class WoodpeckerApp {
         const cycleReqSection = document.getElementById('wp-admin-cycle-requests-section');
         const cycleReqList = document.getElementById('wp-admin-cycle-requests-list');
         const cycleReqCount = document.getElementById('wp-cycle-requests-count');
+        const templatesContainer = document.getElementById('wp-admin-templates-list');
+        const rulesContainer = document.getElementById('wp-admin-approval-rules-list');
+        const flagsList = document.getElementById('wp-admin-flags-list');
+        const flagsCount = document.getElementById('wp-activity-flags-count');
+        const groupsContainer = document.getElementById('wp-admin-groups-list');
+        const joinCodesContainer = document.getElementById('wp-admin-join-codes-list');
+        const auditContainer = document.getElementById('wp-admin-audit-list');
+        const isAdmin = this.user.role === 'admin';
 
         try {
-            const [users, sets, cycleRequests] = await Promise.all([
+            const [users, sets, cycleRequests, templates, approvalRules, flags, groups, joinCodes, settings, auditLog] = await Promise.all([
                 this._api('/api/admin/users'),
                 this._api('/api/admin/puzzle-sets'),
-                this._api('/api/admin/cycle-requests')
+                this._api('/api/admin/cycle-requests'),
+                this._api('/api/admin/cycle-templates'),
+                isAdmin ? this._api('/api/admin/cycle-approval-rules') : [],
+                this._api('/api/admin/activity-flags'),
+                this._api('/api/admin/groups'),
+                isAdmin ? this._api('/api/admin/join-codes') : [],
+                isAdmin ? this._api('/api/admin/settings') : {},
+                isAdmin ? this._api('/api/admin/audit-log') : []
             ]);
+            this._adminGroups = groups;
+            this._cycleTemplates = templates;
+            this._approvalRules = approvalRules;
+            this._adminUsers = users;
+            this._librarySets = sets;
 
             // Separate pending and active users
             const pendingUsers = users.filter(u => u.status === 'pending');
@@ -1280,6 +2040,7 @@ class WoodpeckerApp {
                         <div class="wp-admin-item-info">
                             <div class="wp-admin-item-name">${r.fullName} <span class="wp-status-badge pending">Cycle ${r.cycleNumber}</span></div>
                             <div class="wp-admin-item-meta">Bộ: ${r.setName} · Yêu cầu: ${new Date(r.createdAt).toLocaleDateString('vi')}</div>
+                            ${r.reason ? `<div class="wp-admin-item-meta">⏸ ${r.reason}</div>` : ''}
                         </div>
                         <div class="wp-admin-item-actions">
                             <button class="wp-btn wp-btn-success wp-btn-sm" onclick="wpApp.approveCycleRequest('${r.id}')" title="Duyệt">✓ Duyệt</button>
@@ -1291,49 +2052,152 @@ class WoodpeckerApp {
                 cycleReqSection.style.display = 'none';
             }
 
-            // Render active users
+            // Render suspicious activity flags
+            flagsCount.textContent = flags.length;
+            flagsList.innerHTML = flags.length === 0
+                ? '<div class="wp-empty"><div class="empty-sub">Không có cảnh báo nào</div></div>'
+                : flags.map(f => `
+                    <div class="wp-admin-item wp-pending-item">
+                        <div class="wp-admin-item-icon">🚩</div>
+                        <div class="wp-admin-item-info">
+                            <div class="wp-admin-item-name">${f.fullName} <span class="wp-status-badge pending">${this._flagLabel(f.kind)}</span></div>
+                            <div class="wp-admin-item-meta">${this._flagDetails(f)}</div>
+                            <div class="wp-admin-item-meta">Bộ: ${f.session.setName || 'N/A'} · Session: ${new Date(f.session.startedAt).toLocaleString('vi')} · ${f.session.puzzlesSolved}/${f.session.puzzlesAttempted} đúng</div>
+                        </div>
+                        <div class="wp-admin-item-actions">
+                            <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.dismissActivityFlag('${f.id}')" title="Bỏ qua">✓ Bỏ qua</button>
+                            <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.excludeFlaggedSession('${f.id}')" title="Loại khỏi thống kê">✕ Loại khỏi thống kê</button>
+                        </div>
+                    </div>
+                `).join('');
+
+            // Render active users (a coach gets their roster)
+            const roleIcon = { admin: '👑', coach: '🎓' };
             usersContainer.innerHTML = activeUsers.map(u => `
                 <div class="wp-admin-item">
-                    <div class="wp-admin-item-icon">${u.role === 'admin' ? '👑' : '👤'}</div>
+                    <div class="wp-admin-item-icon">${roleIcon[u.role] || '👤'}</div>
                     <div class="wp-admin-item-info" style="cursor:pointer;" onclick="wpApp.viewUserStats('${u.id}')">
                         <div class="wp-admin-item-name">${u.username}${u.fullName ? ` <span style="opacity:0.6;font-size:0.85em;">(${u.fullName})</span>` : ''} <span style="font-size:0.7em;opacity:0.4;">📊</span></div>
-                        <div class="wp-admin-item-meta">${u.role} · ${new Date(u.createdAt).toLocaleDateString('vi')}</div>
+                        <div class="wp-admin-item-meta">${u.role}${isAdmin && u.coachName ? ` · HLV: ${u.coachName}` : ''}${u.twoFactorEnabled ? ' · 🔐 2FA' : ''} · ${new Date(u.createdAt).toLocaleDateString('vi')}</div>
                     </div>
                     <div class="wp-admin-item-actions">
-                        ${u.role !== 'admin' ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showResetPasswordForm('${u.id}', '${(u.fullName || u.username).replace(/'/g, "\\\\'")}')" title="Đặt lại mật khẩu">🔑</button><button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteUser('${u.id}')">🗑</button>` : ''}
+                        ${isAdmin && u.id !== this.user.id ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showUserRoleForm('${u.id}')" title="Vai trò / huấn luyện viên">🎓</button>` : ''}
+                        ${isAdmin && u.twoFactorEnabled && u.id !== this.user.id ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showResetTwoFactorForm('${u.id}', '${u.username}')" title="Đặt lại xác thực 2 bước">🔓</button>` : ''}
+                        ${u.role !== 'admin' ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showResetPasswordForm('${u.id}', '${(u.fullName || u.username).replace(/'/g, "\\\\'")}')" title="Đặt lại mật khẩu">🔑</button>` : ''}
+                        ${isAdmin && u.role !== 'admin' ? `<button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteUser('${u.id}')">🗑</button>` : ''}
                     </div>
                 </div>
             `).join('');
 
-            // Group sets by pgnFile for compact display
-            const grouped = {};
-            for (const s of sets) {
-                const key = s.pgnFile || s.originalName || s.name;
-                if (!grouped[key]) {
-                    grouped[key] = { name: s.name, pgnFile: s.pgnFile, puzzleCount: s.puzzleCount, users: [] };
-                }
-                grouped[key].users.push({ id: s.id, username: s.assignedUsername, assignedTo: s.assignedTo, cycles: s.cycles });
-            }
-            const groupedArr = Object.values(grouped);
+            // Render security settings + audit log
+            document.getElementById('wp-require-admin-2fa').checked = settings.requireAdmin2fa === true;
+            auditContainer.innerHTML = auditLog.length > 0 ? auditLog.map(a => `
+                <div class="wp-admin-item">
+                    <div class="wp-admin-item-icon">${a.action === 'totp_reset' ? '🔓' : a.action === 'totp_lockout' ? '⛔' : a.action === 'settings_updated' ? '⚙' : '🔐'}</div>
+                    <div class="wp-admin-item-info">
+                        <div class="wp-admin-item-name">${this._auditLabel(a)}</div>
+                        <div class="wp-admin-item-meta">${new Date(a.createdAt).toLocaleString('vi')}${a.details && a.details.reason ? ` · Lý do: ${a.details.reason}` : ''}</div>
+                    </div>
+                </div>
+            `).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có thay đổi bảo mật nào</div></div>';
+
+            // Render join codes (used up / expired ones dimmed)
+            joinCodesContainer.innerHTML = joinCodes.length > 0 ? joinCodes.map(jc => `
+                <div class="wp-admin-item" style="${jc.active ? '' : 'opacity:0.5;'}">
+                    <div class="wp-admin-item-icon">🎟</div>
+                    <div class="wp-admin-item-info" style="flex:1;min-width:0;">
+                        <div class="wp-admin-item-name"><code style="font-size:1.05em;letter-spacing:1px;">${jc.code}</code>${jc.active ? '' : ' <span class="wp-status-badge pending">Hết hiệu lực</span>'}</div>
+                        <div class="wp-admin-item-meta">${jc.useCount}/${jc.maxUses} lượt · Hết hạn: ${new Date(jc.expiresAt).toLocaleDateString('vi')}${jc.createdBy ? ` · Tạo bởi ${jc.createdBy}` : ''}</div>
+                        <div class="wp-admin-item-meta">${[...jc.setNames.map(n => `🧩 ${n}`), ...jc.courseNames.map(n => `📚 ${n}`)].join(' · ')}</div>
+                    </div>
+                    <div class="wp-admin-item-actions">
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.copyJoinCode('${jc.code}')" title="Sao chép">📋</button>
+                        <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteJoinCode('${jc.id}')" title="Thu hồi">🗑</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có mã nào — học viên tự đăng ký chờ admin duyệt</div></div>';
+
+            // Render groups, with their sets as badges
+            groupsContainer.innerHTML = groups.length > 0 ? groups.map(g => `
+                <div class="wp-admin-item">
+                    <div class="wp-admin-item-icon">🏫</div>
+                    <div class="wp-admin-item-info" style="flex:1;min-width:0;">
+                        <div class="wp-admin-item-name">${g.name}</div>
+                        <div class="wp-admin-item-meta">${g.members.length} học viên · ${g.sets.length} bộ puzzle · ${g.courses.length} khóa học${isAdmin && g.coachName ? ` · HLV: ${g.coachName}` : ''}</div>
+                        <div class="wp-admin-set-users">${g.sets.map(gs => `<span class="wp-user-badge">
+                            🧩 ${gs.name}${gs.templateName ? ` <span class="wp-badge-cycle">(${gs.templateName})</span>` : ''}
+                            <span class="wp-user-badge-del" onclick="event.stopPropagation();wpApp.removeGroupSet('${g.id}', '${gs.libraryId}')" title="Bỏ khỏi nhóm">✕</span>
+                        </span>`).join('')}</div>
+                    </div>
+                    <div class="wp-admin-item-actions">
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showGroupMembersForm('${g.id}')" title="Thành viên">👥</button>
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showGroupSetForm('${g.id}')" title="Gán bộ puzzle">🧩+</button>
+                        ${isAdmin ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showGroupCoursesForm('${g.id}')" title="Khóa học">📚</button>` : ''}
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showGroupForm('${g.id}')" title="Sửa">✏</button>
+                        <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteGroup('${g.id}')" title="Xóa">🗑</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có nhóm nào</div></div>';
+
+            // Render auto-approval rules
+            const ruleTypeLabel = (rule) => {
+                if (rule.type === 'min_accuracy') return `Chính xác cycle trước ≥ ${rule.minAccuracy}%`;
+                if (rule.type === 'within_target') return 'Hoàn thành cycle trước đúng hạn';
+                const names = rule.userIds.map(id => users.find(u => u.id === id)?.username || '?');
+                return `Học viên tin cậy: ${names.join(', ')}`;
+            };
+            rulesContainer.innerHTML = approvalRules.length > 0 ? approvalRules.map(rule => `
+                <div class="wp-admin-item" style="${rule.enabled ? '' : 'opacity:0.5;'}">
+                    <div class="wp-admin-item-icon">🤖</div>
+                    <div class="wp-admin-item-info">
+                        <div class="wp-admin-item-name">${rule.name}${rule.enabled ? '' : ' <span class="wp-status-badge pending">Tắt</span>'}</div>
+                        <div class="wp-admin-item-meta">${ruleTypeLabel(rule)}</div>
+                    </div>
+                    <div class="wp-admin-item-actions">
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.toggleApprovalRule('${rule.id}', ${!rule.enabled})" title="${rule.enabled ? 'Tắt' : 'Bật'}">${rule.enabled ? '⏸' : '▶'}</button>
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showApprovalRuleForm('${rule.id}')" title="Sửa">✏</button>
+                        <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteApprovalRule('${rule.id}')" title="Xóa">🗑</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có quy tắc nào — mọi yêu cầu cycle chờ admin duyệt</div></div>';
+
+            // Render cycle schedule templates
+            templatesContainer.innerHTML = templates.length > 0 ? templates.map(tpl => `
+                <div class="wp-admin-item">
+                    <div class="wp-admin-item-icon">📅</div>
+                    <div class="wp-admin-item-info">
+                        <div class="wp-admin-item-name">${tpl.name}</div>
+                        <div class="wp-admin-item-meta">${tpl.totalCycles} cycles · ${tpl.cycleDays.join(' → ')} ngày · ${tpl.setCount} sets</div>
+                    </div>
+                    <div class="wp-admin-item-actions">
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showCycleTemplateForm('${tpl.id}')" title="Sửa">✏</button>
+                        <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deleteCycleTemplate('${tpl.id}')" title="Xóa">🗑</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có lịch nào — các set dùng lịch chuẩn 28 → 14 → 7 → 4 → 3 → 2 → 1 ngày</div></div>';
 
-            setsContainer.innerHTML = groupedArr.length > 0 ? groupedArr.map(g => {
-                const firstSetId = g.users[0].id;
-                const userBadges = g.users.map(u =>
+            // One row per library set, with its assignees as badges
+            setsContainer.innerHTML = sets.length > 0 ? sets.map(set => {
+                const userBadges = set.assignees.map(a =>
                     `<span class="wp-user-badge">
-                        ${u.username} <span class="wp-badge-cycle">(C${u.cycles.length})</span>
-                        <span class="wp-user-badge-del" onclick="event.stopPropagation();wpApp.deletePuzzleSet('${u.id}')" title="Xóa">✕</span>
+                        ${a.username} <span class="wp-badge-cycle">(C${a.cycles.length})</span>
+                        <span class="wp-user-badge-del" onclick="event.stopPropagation();wpApp.unassignPuzzleSet('${set.id}', '${a.userId}')" title="Bỏ gán">✕</span>
                     </span>`
                 ).join('');
                 return `
                 <div class="wp-admin-item">
                     <div class="wp-admin-item-icon">🧩</div>
                     <div class="wp-admin-item-info" style="flex:1;min-width:0;">
-                        <div class="wp-admin-item-name">${g.name}</div>
-                        <div class="wp-admin-item-meta">${g.puzzleCount} puzzles · ${g.users.length} users</div>
+                        <div class="wp-admin-item-name">${set.name}</div>
+                        <div class="wp-admin-item-meta">${set.puzzleCount} puzzles · ${set.assignees.length} users · 📅 ${set.templateName || 'Lịch chuẩn'} · ${set.originalName} (v${set.version})</div>
                         <div class="wp-admin-set-users">${userBadges}</div>
                     </div>
                     <div class="wp-admin-item-actions">
-                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showAssignSetForm('${firstSetId}', '${g.name.replace(/'/g, "\\\\'")}', '${g.pgnFile}')" title="Gán thêm User">👥+</button>
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showAssignSetForm('${set.id}')" title="Gán thêm User">👥+</button>
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showPuzzleStats('${set.id}')" title="Thống kê từng puzzle">📊</button>
+                        ${isAdmin ? `<button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showEditPuzzleSetForm('${set.id}')" title="Sửa / thay PGN">✏</button>
+                        <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.showPuzzleSetVersions('${set.id}')" title="Lịch sử phiên bản">🕘</button>
+                        <button class="wp-btn wp-btn-danger wp-btn-sm" onclick="wpApp.deletePuzzleSet('${set.id}')" title="Xóa">🗑</button>` : ''}
                     </div>
                 </div>`;
             }).join('') : '<div class="wp-empty"><div class="empty-sub">Chưa có puzzle set nào</div></div>';
@@ -1342,121 +2206,433 @@ class WoodpeckerApp {
         }
     }
 
-    showCreateUserForm() {
-        this._openModal('Tạo User Mới', `
-            <div class="wp-form-group">
-                <label>Username</label>
-                <input class="wp-input" id="new-user-username" placeholder="Nhập username">
-            </div>
+    // ===== CYCLE AUTO-APPROVAL RULES =====
+    showApprovalRuleForm(ruleId = null) {
+        const rule = ruleId ? (this._approvalRules || []).find(r => r.id === ruleId) : null;
+        const type = rule ? rule.type : 'min_accuracy';
+        const userCheckboxes = (this._adminUsers || []).filter(u => u.role !== 'admin' && u.status !== 'pending').map(u =>
+            `<label class="wp-checkbox-label">
+                <input type="checkbox" name="ruleUsers" value="${u.id}" ${rule && rule.userIds.includes(u.id) ? 'checked' : ''}> ${u.username}
+            </label>`
+        ).join('');
+
+        this._openModal(rule ? 'Sửa quy tắc tự động duyệt' : 'Tạo quy tắc tự động duyệt', `
             <div class="wp-form-group">
-                <label>Password</label>
-                <input class="wp-input" id="new-user-password" type="password" placeholder="Nhập password">
+                <label>Tên quy tắc</label>
+                <input class="wp-input" id="rule-name" placeholder="Ví dụ: Chính xác ≥ 85%" value="${rule ? rule.name : ''}">
             </div>
             <div class="wp-form-group">
-                <label>Role</label>
-                <select class="wp-input" id="new-user-role">
-                    <option value="user">User</option>
-                    <option value="admin">Admin</option>
+                <label>Điều kiện</label>
+                <select class="wp-input" id="rule-type" onchange="wpApp._onApprovalRuleTypeChange()">
+                    <option value="min_accuracy" ${type === 'min_accuracy' ? 'selected' : ''}>Chính xác cycle trước ≥ X%</option>
+                    <option value="within_target" ${type === 'within_target' ? 'selected' : ''}>Hoàn thành cycle trước trong số ngày mục tiêu</option>
+                    <option value="trusted_users" ${type === 'trusted_users' ? 'selected' : ''}>Học viên trong danh sách tin cậy</option>
                 </select>
             </div>
+            <div class="wp-form-group" id="rule-accuracy-group" style="${type === 'min_accuracy' ? '' : 'display:none;'}">
+                <label>Ngưỡng chính xác (%)</label>
+                <input class="wp-input" id="rule-accuracy" type="number" min="0" max="100" value="${rule ? rule.minAccuracy : 85}">
+            </div>
+            <div class="wp-form-group" id="rule-users-group" style="${type === 'trusted_users' ? '' : 'display:none;'}">
+                <label>Học viên tin cậy</label>
+                <div class="wp-checkbox-group" id="rule-users">
+                    ${userCheckboxes || '<span style="color:var(--text-muted)">Chưa có user nào</span>'}
+                </div>
+            </div>
             <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
                 <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
-                <button class="wp-btn wp-btn-primary" onclick="wpApp.createUser()">Tạo</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveApprovalRule(${rule ? `'${rule.id}'` : ''})">${rule ? 'Lưu' : 'Tạo'}</button>
             </div>
         `);
     }
 
-    async createUser() {
-        const username = document.getElementById('new-user-username').value.trim();
-        const password = document.getElementById('new-user-password').value;
-        const role = document.getElementById('new-user-role').value;
+    _onApprovalRuleTypeChange() {
+        const type = document.getElementById('rule-type').value;
+        document.getElementById('rule-accuracy-group').style.display = type === 'min_accuracy' ? '' : 'none';
+        document.getElementById('rule-users-group').style.display = type === 'trusted_users' ? '' : 'none';
+    }
 
-        if (!username || !password) {
-            this.showToast('Nhập đầy đủ thông tin', 'error');
+    async saveApprovalRule(ruleId) {
+        const name = document.getElementById('rule-name').value.trim();
+        const type = document.getElementById('rule-type').value;
+        const minAccuracy = document.getElementById('rule-accuracy').value;
+        const userIds = Array.from(document.querySelectorAll('#rule-users input[name="ruleUsers"]:checked')).map(cb => cb.value);
+
+        if (!name) {
+            this.showToast('Nhập tên quy tắc', 'error');
             return;
         }
 
         try {
-            await this._api('/api/admin/users', {
-                method: 'POST',
-                body: { username, password, role }
+            await this._api(ruleId ? `/api/admin/cycle-approval-rules/${ruleId}` : '/api/admin/cycle-approval-rules', {
+                method: ruleId ? 'PUT' : 'POST',
+                body: { name, type, minAccuracy, userIds }
             });
             this.closeModal();
-            this.showToast('Đã tạo user mới!', 'success');
+            this.showToast(ruleId ? 'Đã cập nhật quy tắc!' : 'Đã tạo quy tắc!', 'success');
             this._loadAdminData();
         } catch (err) {
             this.showToast(err.message, 'error');
         }
     }
 
-    async approveUser(userId) {
+    async toggleApprovalRule(ruleId, enabled) {
         try {
-            const data = await this._api(`/api/admin/users/${userId}/approve`, { method: 'POST' });
-            this.showToast(data.message || 'Đã duyệt user!', 'success');
+            await this._api(`/api/admin/cycle-approval-rules/${ruleId}`, { method: 'PUT', body: { enabled } });
             this._loadAdminData();
         } catch (err) {
             this.showToast(err.message, 'error');
         }
     }
 
-    async rejectUser(userId) {
-        this._openModal('Xác nhận từ chối', `
-            <p style="margin-bottom:16px;">Bạn có chắc muốn từ chối đăng ký này? Tài khoản sẽ bị xóa.</p>
+    deleteApprovalRule(ruleId) {
+        this._openModal('Xóa quy tắc', `
+            <p style="margin-bottom:16px;">Bạn có chắc muốn xóa quy tắc này?</p>
             <div style="display:flex;gap:10px;justify-content:flex-end;">
                 <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
-                <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmRejectUser('${userId}')">Từ chối</button>
+                <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmDeleteApprovalRule('${ruleId}')">Xóa</button>
             </div>
         `);
     }
 
-    async _confirmRejectUser(userId) {
+    async _confirmDeleteApprovalRule(ruleId) {
+        this.closeModal();
         try {
-            const data = await this._api(`/api/admin/users/${userId}/reject`, { method: 'POST' });
+            await this._api(`/api/admin/cycle-approval-rules/${ruleId}`, { method: 'DELETE' });
+            this.showToast('Đã xóa quy tắc', 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async evaluateCycleRequests() {
+        try {
+            const data = await this._api('/api/admin/cycle-requests/evaluate', { method: 'POST' });
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    _flagLabel(kind) {
+        const labels = {
+            fast_solves: 'Giải quá nhanh',
+            perfect_run: 'Chuỗi đúng bất thường',
+            concurrent_sessions: 'Nhiều session cùng lúc',
+            accuracy_jump: 'Độ chính xác tăng đột biến'
+        };
+        return labels[kind] || kind;
+    }
+
+    _flagDetails(flag) {
+        const d = flag.details || {};
+        const sec = ms => (ms / 1000).toFixed(1) + 's';
+        switch (flag.kind) {
+            case 'fast_solves':
+                return `${d.count} puzzle giải nhanh hơn nhiều so với trung vị (vd: ${(d.examples || []).map(e => `${sec(e.timeMs)} / ${sec(e.medianMs)}`).join(', ')})`;
+            case 'perfect_run':
+                return `${d.length} puzzle đúng liên tiếp, trung bình ${sec(d.avgTimeMs)}/puzzle`;
+            case 'concurrent_sessions':
+                return `Ghi nhận song song với ${(d.sessionIds || []).length} session khác`;
+            case 'accuracy_jump':
+                return `Chính xác ${d.accuracy}% so với ${d.baselineAccuracy}% trước đó (${d.baselineAttempts} lượt)`;
+            default:
+                return '';
+        }
+    }
+
+    async scanActivity() {
+        try {
+            const data = await this._api('/api/admin/activity-flags/scan', { method: 'POST' });
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async dismissActivityFlag(flagId) {
+        try {
+            const data = await this._api(`/api/admin/activity-flags/${flagId}/dismiss`, { method: 'POST' });
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    excludeFlaggedSession(flagId) {
+        this._openModal('Loại session khỏi thống kê', `
+            <p style="margin-bottom:16px;">Session này sẽ không được tính vào thống kê, bảng xếp hạng và chuỗi ngày tập. Thay đổi rating từ session cũng được hoàn lại.</p>
+            <div style="display:flex;gap:10px;justify-content:flex-end;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmExcludeFlaggedSession('${flagId}')">Loại khỏi thống kê</button>
+            </div>
+        `);
+    }
+
+    async _confirmExcludeFlaggedSession(flagId) {
+        try {
+            const data = await this._api(`/api/admin/activity-flags/${flagId}/exclude`, { method: 'POST' });
             this.closeModal();
-            this.showToast(data.message || 'Đã từ chối đăng ký!', 'success');
+            this.showToast(data.message, 'success');
             this._loadAdminData();
         } catch (err) {
             this.showToast(err.message, 'error');
         }
     }
 
-    showResetPasswordForm(userId, displayName) {
-        this._openModal('🔑 Đặt lại mật khẩu', `
+    _retryPolicyOptions(selected = 'immediate') {
+        const labels = {
+            immediate: 'Làm lại ngay',
+            end_of_pass: 'Làm lại cuối lượt (sau khi làm hết các puzzle khác)',
+            next_session: 'Làm lại ở session sau'
+        };
+        return Object.entries(labels).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    _orderingOptions(selected = 'sequential') {
+        const labels = {
+            sequential: 'Theo thứ tự trong file',
+            shuffled: 'Xáo trộn (cố định trong mỗi cycle)',
+            easiest_first: 'Dễ trước (theo tỷ lệ sai)',
+            adaptive: 'Thích ứng (gần tỷ lệ giải đúng của học viên)'
+        };
+        return Object.entries(labels).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    // ===== CYCLE TEMPLATES =====
+    _templateOptions(selectedId = null) {
+        const templates = this._cycleTemplates || [];
+        return `<option value="">Lịch chuẩn (28 → 14 → 7 → 4 → 3 → 2 → 1)</option>` + templates.map(tpl =>
+            `<option value="${tpl.id}" ${tpl.id === selectedId ? 'selected' : ''}>${tpl.name} (${tpl.cycleDays.join(' → ')})</option>`
+        ).join('');
+    }
+
+    showCycleTemplateForm(templateId = null) {
+        const tpl = templateId ? (this._cycleTemplates || []).find(x => x.id === templateId) : null;
+        this._openModal(tpl ? 'Sửa lịch Cycle' : 'Tạo lịch Cycle', `
             <div class="wp-form-group">
-                <label>User: <strong>${displayName}</strong></label>
+                <label>Tên lịch</label>
+                <input class="wp-input" id="tpl-name" placeholder="Ví dụ: Nhẹ nhàng (U10)" value="${tpl ? tpl.name : ''}">
             </div>
             <div class="wp-form-group">
-                <label>Mật khẩu mới</label>
-                <input class="wp-input" id="reset-pw-input" type="password" placeholder="Nhập mật khẩu mới (≥ 4 ký tự)" minlength="4">
+                <label>Số ngày mục tiêu cho từng cycle (cách nhau bởi dấu phẩy)</label>
+                <input class="wp-input" id="tpl-days" placeholder="Ví dụ: 21, 14, 10, 7, 5" value="${tpl ? tpl.cycleDays.join(', ') : ''}">
+                ${tpl ? '<div style="font-size:0.75rem;color:var(--text-muted);margin-top:4px;">Thay đổi chỉ áp dụng cho các cycle bắt đầu sau này</div>' : ''}
             </div>
             <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
                 <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
-                <button class="wp-btn wp-btn-primary" onclick="wpApp.resetPassword('${userId}')">Đặt lại</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveCycleTemplate(${tpl ? `'${tpl.id}'` : ''})">${tpl ? 'Lưu' : 'Tạo'}</button>
             </div>
         `);
-        setTimeout(() => document.getElementById('reset-pw-input')?.focus(), 100);
     }
 
-    async resetPassword(userId) {
-        const newPassword = document.getElementById('reset-pw-input')?.value;
-        if (!newPassword || newPassword.length < 4) {
-            this.showToast('Mật khẩu phải có ít nhất 4 ký tự', 'error');
+    async saveCycleTemplate(templateId) {
+        const name = document.getElementById('tpl-name').value.trim();
+        const cycleDays = document.getElementById('tpl-days').value.split(',').map(d => d.trim()).filter(Boolean);
+
+        if (!name || cycleDays.length === 0) {
+            this.showToast('Nhập đầy đủ thông tin', 'error');
             return;
         }
+
         try {
-            const data = await this._api(`/api/admin/users/${userId}/reset-password`, {
-                method: 'POST',
-                body: { newPassword }
+            await this._api(templateId ? `/api/admin/cycle-templates/${templateId}` : '/api/admin/cycle-templates', {
+                method: templateId ? 'PUT' : 'POST',
+                body: { name, cycleDays }
             });
             this.closeModal();
-            this.showToast(data.message || 'Đã đặt lại mật khẩu!', 'success');
+            this.showToast(templateId ? 'Đã cập nhật lịch cycle!' : 'Đã tạo lịch cycle!', 'success');
+            this._loadAdminData();
         } catch (err) {
             this.showToast(err.message, 'error');
         }
     }
 
-    // ===== VIEW USER STATS (Admin) =====
-    async viewUserStats(userId) {
+    deleteCycleTemplate(templateId) {
+        this._openModal('Xóa lịch Cycle', `
+            <p style="margin-bottom:16px;">Bạn có chắc muốn xóa lịch này?</p>
+            <div style="display:flex;gap:10px;justify-content:flex-end;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmDeleteCycleTemplate('${templateId}')">Xóa</button>
+            </div>
+        `);
+    }
+
+    async _confirmDeleteCycleTemplate(templateId) {
+        this.closeModal();
+        try {
+            await this._api(`/api/admin/cycle-templates/${templateId}`, { method: 'DELETE' });
+            this.showToast('Đã xóa lịch cycle', 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showCreateUserForm() {
+        this._openModal('Tạo User Mới', `
+            <div class="wp-form-group">
+                <label>Username</label>
+                <input class="wp-input" id="new-user-username" placeholder="Nhập username">
+            </div>
+            <div class="wp-form-group">
+                <label>Password</label>
+                <input class="wp-input" id="new-user-password" type="password" placeholder="Nhập password">
+            </div>
+            ${this.user.role === 'admin' ? `<div class="wp-form-group">
+                <label>Role</label>
+                <select class="wp-input" id="new-user-role">
+                    <option value="user">User</option>
+                    <option value="coach">Coach</option>
+                    <option value="admin">Admin</option>
+                </select>
+            </div>` : ''}
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.createUser()">Tạo</button>
+            </div>
+        `);
+    }
+
+    showUserRoleForm(userId) {
+        const user = (this._adminUsers || []).find(u => u.id === userId);
+        if (!user) return;
+        const coaches = this._adminUsers.filter(u => u.role === 'coach' && u.id !== userId);
+        this._openModal(`🎓 ${user.fullName || user.username}`, `
+            <div class="wp-form-group">
+                <label>Vai trò</label>
+                <select class="wp-input" id="user-role-select" onchange="document.getElementById('user-coach-group').style.display = this.value === 'user' ? '' : 'none'">
+                    <option value="user" ${user.role === 'user' ? 'selected' : ''}>User</option>
+                    <option value="coach" ${user.role === 'coach' ? 'selected' : ''}>Coach</option>
+                    <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+                </select>
+            </div>
+            <div class="wp-form-group" id="user-coach-group" style="${user.role === 'user' ? '' : 'display:none;'}">
+                <label>Huấn luyện viên</label>
+                <select class="wp-input" id="user-coach-select">
+                    <option value="">— Không có —</option>
+                    ${coaches.map(c => `<option value="${c.id}" ${user.coachId === c.id ? 'selected' : ''}>${c.fullName || c.username}</option>`).join('')}
+                </select>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveUserRole('${userId}')">Lưu</button>
+            </div>
+        `);
+    }
+
+    async saveUserRole(userId) {
+        const role = document.getElementById('user-role-select').value;
+        const coachId = document.getElementById('user-coach-select').value || null;
+        try {
+            const data = await this._api(`/api/admin/users/${userId}`, { method: 'PUT', body: { role, coachId } });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async createUser() {
+        const username = document.getElementById('new-user-username').value.trim();
+        const password = document.getElementById('new-user-password').value;
+        const role = document.getElementById('new-user-role')?.value || 'user';
+
+        if (!username || !password) {
+            this.showToast('Nhập đầy đủ thông tin', 'error');
+            return;
+        }
+
+        try {
+            await this._api('/api/admin/users', {
+                method: 'POST',
+                body: { username, password, role }
+            });
+            this.closeModal();
+            this.showToast('Đã tạo user mới!', 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async approveUser(userId) {
+        try {
+            const data = await this._api(`/api/admin/users/${userId}/approve`, { method: 'POST' });
+            this.showToast(data.message || 'Đã duyệt user!', 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async rejectUser(userId) {
+        this._openModal('Xác nhận từ chối', `
+            <p style="margin-bottom:16px;">Bạn có chắc muốn từ chối đăng ký này? Tài khoản sẽ bị xóa.</p>
+            <div style="display:flex;gap:10px;justify-content:flex-end;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmRejectUser('${userId}')">Từ chối</button>
+            </div>
+        `);
+    }
+
+    async _confirmRejectUser(userId) {
+        try {
+            const data = await this._api(`/api/admin/users/${userId}/reject`, { method: 'POST' });
+            this.closeModal();
+            this.showToast(data.message || 'Đã từ chối đăng ký!', 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showResetPasswordForm(userId, displayName) {
+        this._openModal('🔑 Đặt lại mật khẩu', `
+            <div class="wp-form-group">
+                <label>User: <strong>${displayName}</strong></label>
+            </div>
+            <div class="wp-form-group">
+                <label>Mật khẩu mới</label>
+                <input class="wp-input" id="reset-pw-input" type="password" placeholder="Nhập mật khẩu mới (≥ 4 ký tự)" minlength="4">
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.resetPassword('${userId}')">Đặt lại</button>
+            </div>
+        `);
+        setTimeout(() => document.getElementById('reset-pw-input')?.focus(), 100);
+    }
+
+    async resetPassword(userId) {
+        const newPassword = document.getElementById('reset-pw-input')?.value;
+        if (!newPassword || newPassword.length < 4) {
+            this.showToast('Mật khẩu phải có ít nhất 4 ký tự', 'error');
+            return;
+        }
+        try {
+            const data = await this._api(`/api/admin/users/${userId}/reset-password`, {
+                method: 'POST',
+                body: { newPassword }
+            });
+            this.closeModal();
+            this.showToast(data.message || 'Đã đặt lại mật khẩu!', 'success');
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    // ===== VIEW USER STATS (Admin) =====
+    async viewUserStats(userId) {
         try {
             const data = await this._api(`/api/admin/users/${userId}/stats`);
             const html = this._buildUserStatsHtml(data);
@@ -1468,6 +2644,8 @@ class WoodpeckerApp {
 
     _buildUserStatsHtml(data, forPdf = false) {
         const { user, streak, puzzleSets, stats } = data;
+        const themes = data.themes || [];
+        const rating = data.rating;
 
         const setsHtml = puzzleSets.length > 0 ? puzzleSets.map(s => {
             const pct = s.puzzleCount > 0 ? (s.puzzlesSolved / s.puzzleCount * 100).toFixed(0) : 0;
@@ -1480,7 +2658,7 @@ class WoodpeckerApp {
                     <div style="margin-top:6px;height:6px;border-radius:3px;background:var(--border);overflow:hidden;">
                         <div style="height:100%;width:${pct}%;background:var(--primary);border-radius:3px;transition:width 0.3s;"></div>
                     </div>
-                    <div style="font-size:0.75em;color:var(--text-secondary);margin-top:4px;">Cycle ${s.currentCycle || 0}/7 · ${s.completedCycles} hoàn thành</div>
+                    <div style="font-size:0.75em;color:var(--text-secondary);margin-top:4px;">Cycle ${s.currentCycle || 0}/${s.scheduledCycles || 7} · ${s.completedCycles} hoàn thành</div>
                 </div>
             `;
         }).join('') : '<div style="color:var(--text-secondary);font-size:0.9em;">Chưa có bộ puzzle nào</div>';
@@ -1522,20 +2700,41 @@ class WoodpeckerApp {
                         <div>✅ Đúng: <strong>${stats.totalSolved}/${stats.totalAttempted}</strong></div>
                         <div>🎯 Chính xác: <strong>${stats.accuracy}%</strong></div>
                         <div>⚡ PPM: <strong>${stats.ppm}</strong></div>
+                        ${rating ? `<div>📈 Rating: <strong>${rating.rating}${rating.provisional ? '?' : ''}</strong> (±${rating.rd * 2})</div>` : ''}
                     </div>
+                    ${rating ? this._ratingChart(rating.history) : ''}
                 </div>
 
                 <div>
                     <h3 style="font-size:0.95rem;margin-bottom:8px;">📚 Bộ puzzle</h3>
                     ${setsHtml}
                 </div>
+
+                ${themes.length > 0 ? `
+                <div style="margin-top:16px;">
+                    <h3 style="font-size:0.95rem;margin-bottom:8px;">🏷 Theo chủ đề</h3>
+                    <table class="wp-session-table" style="font-size:0.85em;">
+                        <thead><tr><th>Chủ đề</th><th>Đúng</th><th>Chính xác</th><th>TB thời gian</th></tr></thead>
+                        <tbody>
+                            ${[...themes].sort((a, b) => parseFloat(a.accuracy) - parseFloat(b.accuracy)).map(th => `
+                                <tr>
+                                    <td>${th.theme}</td>
+                                    <td>${th.solved}/${th.attempts}</td>
+                                    <td style="color:${parseFloat(th.accuracy) < 50 ? 'var(--danger, #e74c3c)' : 'inherit'};"><strong>${th.accuracy}%</strong></td>
+                                    <td>${(th.avgTimeMs / 1000).toFixed(1)}s</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
             </div>
         `;
     }
 
     // ===== ADMIN REPORT =====
-    async showAdminReport() {
-        if (!this.user || this.user.role !== 'admin') return;
+    async showAdminReport(groupId = '') {
+        if (!this._isStaff()) return;
+        this._reportGroupId = groupId;
 
         this._openModal('📊 Báo cáo tổng hợp', `
             <div style="text-align:center;padding:32px;">
@@ -1545,7 +2744,7 @@ class WoodpeckerApp {
         `);
 
         try {
-            const data = await this._api('/api/admin/report');
+            const data = await this._api(`/api/admin/report${groupId ? `?groupId=${groupId}` : ''}`);
             this._reportData = data.users;
             const html = this._buildReportHtml(data.users);
             document.getElementById('wp-modal-body').innerHTML = html;
@@ -1561,9 +2760,23 @@ class WoodpeckerApp {
         }
     }
 
+    // Group filter: reloads the report with only that group's members
+    _reportGroupFilterHtml() {
+        const groups = this._adminGroups || [];
+        if (groups.length === 0) return '';
+        return `
+            <label>🏫 Nhóm:</label>
+            <select id="report-group-filter" onchange="wpApp.showAdminReport(this.value)">
+                <option value="">— Tất cả —</option>
+                ${groups.map(g => `<option value="${g.id}" ${this._reportGroupId === g.id ? 'selected' : ''}>${g.name}</option>`).join('')}
+            </select>
+        `;
+    }
+
     _buildReportHtml(users, filterUserId = '', sortBy = 'name') {
         if (!users || users.length === 0) {
-            return `<div class="report-empty"><div class="empty-icon">📭</div><div class="empty-text">Chưa có dữ liệu</div></div>`;
+            return `${this._reportGroupId ? `<div class="admin-report-filter">${this._reportGroupFilterHtml()}</div>` : ''}
+                <div class="report-empty"><div class="empty-icon">📭</div><div class="empty-text">Chưa có dữ liệu</div></div>`;
         }
 
         // Filter dropdown
@@ -1577,6 +2790,7 @@ class WoodpeckerApp {
 
         const filterHtml = `
             <div class="admin-report-filter">
+                ${this._reportGroupFilterHtml()}
                 <label>👤 Lọc:</label>
                 <select id="report-user-filter" onchange="wpApp.filterReport()">
                     <option value="">— Tất cả (${users.length}) —</option>
@@ -1630,8 +2844,8 @@ class WoodpeckerApp {
 
             // Sets with cycle tables
             const setsHtml = user.sets.length > 0 ? user.sets.map(set => {
-                // Build columns: Metric | C1 | C2 | ... | C7 | Tổng
-                const maxCycle = 7;
+                // Build columns: Metric | C1 | C2 | ... | Cn | Tổng
+                const maxCycle = Math.max(set.totalCycles || 7, set.cycles.length);
                 const cycleMap = {};
                 set.cycles.forEach(c => { cycleMap[c.cycleNumber] = c; });
 
@@ -1783,8 +2997,16 @@ class WoodpeckerApp {
                 </label>
             `).join('');
 
+            const groups = this._adminGroups || [];
             this._openModal('📄 Xuất PDF thống kê', `
                 <div style="max-width:400px;">
+                    ${groups.length > 0 ? `<div class="wp-form-group">
+                        <label>🏫 Nhóm</label>
+                        <select class="wp-input" id="pdf-group-filter" onchange="wpApp._selectPdfGroup(this.value)">
+                            <option value="">— Tất cả —</option>
+                            ${groups.map(g => `<option value="${g.id}">${g.name} (${g.members.length})</option>`).join('')}
+                        </select>
+                    </div>` : ''}
                     <div style="margin-bottom:12px;">
                         <label style="display:flex;align-items:center;gap:8px;font-weight:600;cursor:pointer;">
                             <input type="checkbox" id="pdf-select-all" checked onchange="document.querySelectorAll('.pdf-user-cb').forEach(c=>c.checked=this.checked)">
@@ -1804,6 +3026,17 @@ class WoodpeckerApp {
         }
     }
 
+    // Tick exactly the members of the chosen group (every user when no group is chosen)
+    _selectPdfGroup(groupId) {
+        const group = (this._adminGroups || []).find(g => g.id === groupId);
+        const memberIds = group ? group.members.map(m => m.userId) : null;
+        document.querySelectorAll('.pdf-user-cb').forEach(cb => {
+            cb.checked = !memberIds || memberIds.includes(cb.value);
+        });
+        const selectAll = document.getElementById('pdf-select-all');
+        if (selectAll) selectAll.checked = !memberIds;
+    }
+
     async exportUserStatsPdf() {
         const checked = document.querySelectorAll('.pdf-user-cb:checked');
         if (checked.length === 0) {
@@ -1812,6 +3045,8 @@ class WoodpeckerApp {
         }
 
         const userIds = Array.from(checked).map(c => c.value);
+        const groupId = document.getElementById('pdf-group-filter')?.value;
+        const groupName = groupId ? (this._adminGroups || []).find(g => g.id === groupId)?.name : '';
         this.showToast(`Đang tải thống kê ${userIds.length} users...`, 'info');
 
         try {
@@ -1845,6 +3080,7 @@ class WoodpeckerApp {
                         <span>✅ <b>${stats.totalSolved}/${stats.totalAttempted}</b></span>
                         <span>🎯 <b>${stats.accuracy}%</b></span>
                         <span>⚡ <b>${stats.ppm}</b></span>
+                        ${data.rating ? `<span>📈 <b>${data.rating.rating}${data.rating.provisional ? '?' : ''}</b></span>` : ''}
                     </div>
                     <div class="sets-section">${setsLines || '<span class="no-sets">Chưa có bài</span>'}</div>
                 </div>`;
@@ -1884,7 +3120,7 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
 <body>
 <div class="header">
     <h1>♞ TriTueTre Chess - Thống kê học viên</h1>
-    <p>Ngày: ${today} · ${allStats.length} học viên</p>
+    <p>Ngày: ${today}${groupName ? ` · Nhóm: ${groupName}` : ''} · ${allStats.length} học viên</p>
 </div>
 <div class="grid">${cards}</div>
 <script>window.onload=()=>window.print()</script>
@@ -1986,19 +3222,76 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
                 <input class="wp-input" id="new-set-name" placeholder="Ví dụ: Tactics Level 1">
             </div>
             <div class="wp-form-group">
-                <label>Gán cho Users (chọn nhiều)</label>
+                <label>Gán cho Users (chọn nhiều, có thể gán sau)</label>
                 <div class="wp-checkbox-group" id="new-set-users">
                     ${userCheckboxes || '<span style="color:var(--text-muted)">Chưa có user nào</span>'}
                 </div>
             </div>
             <div class="wp-form-group">
-                <label>File PGN</label>
+                <label>Lịch Cycle</label>
+                <select class="wp-input" id="new-set-template">
+                    ${this._templateOptions()}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Puzzle giải sai</label>
+                <select class="wp-input" id="new-set-retry">
+                    ${this._retryPolicyOptions()}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Thứ tự puzzle</label>
+                <select class="wp-input" id="new-set-ordering">
+                    ${this._orderingOptions()}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Nguồn puzzle</label>
+                <select class="wp-input" id="new-set-source" onchange="wpApp._onPuzzleSourceChange()">
+                    <option value="pgn">File PGN / EPD / FEN</option>
+                    <option value="lichess">Lichess puzzle CSV</option>
+                </select>
+            </div>
+            <div class="wp-form-group" id="new-set-pgn-group">
+                <label>File PGN / EPD / FEN</label>
                 <div class="wp-file-upload" id="wp-file-upload">
-                    <input type="file" id="new-set-pgn" accept=".pgn">
+                    <input type="file" id="new-set-pgn" accept=".pgn,.epd,.fen">
                     <div class="upload-icon">📁</div>
-                    <div class="upload-text">Kéo thả file PGN hoặc click để chọn</div>
+                    <div class="upload-text">Kéo thả file PGN, EPD hoặc FEN hoặc click để chọn</div>
                     <div class="upload-filename" id="upload-filename"></div>
                 </div>
+                <div id="new-set-validation"></div>
+            </div>
+            <div id="new-set-lichess-group" style="display:none;">
+                <div class="wp-form-group">
+                    <label>File CSV (lichess_db_puzzle.csv, đã giải nén)</label>
+                    <div class="wp-file-upload">
+                        <input type="file" id="new-set-csv" accept=".csv">
+                        <div class="upload-icon">📁</div>
+                        <div class="upload-text">PuzzleId,FEN,Moves,Rating,...,Themes,...</div>
+                        <div class="upload-filename" id="csv-filename"></div>
+                    </div>
+                </div>
+                <div class="wp-form-group" style="display:flex;gap:10px;">
+                    <div style="flex:1;">
+                        <label>Rating từ</label>
+                        <input class="wp-input" id="lichess-min-rating" type="number" min="0" placeholder="800">
+                    </div>
+                    <div style="flex:1;">
+                        <label>đến</label>
+                        <input class="wp-input" id="lichess-max-rating" type="number" min="0" placeholder="1600">
+                    </div>
+                    <div style="flex:1;">
+                        <label>Tối đa</label>
+                        <input class="wp-input" id="lichess-limit" type="number" min="1" max="5000" value="100">
+                    </div>
+                </div>
+                <div class="wp-form-group">
+                    <label>Chủ đề (themes, cách nhau bởi dấu phẩy — để trống = tất cả)</label>
+                    <input class="wp-input" id="lichess-themes" placeholder="fork, pin, mateIn2">
+                </div>
+                <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.previewLichessImport()">🔍 Xem trước</button>
+                <div id="lichess-preview" style="font-size:0.85rem;margin-top:8px;"></div>
             </div>
             <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
                 <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
@@ -2013,19 +3306,144 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
                 fileInput.addEventListener('change', (e) => {
                     const name = e.target.files[0]?.name || '';
                     document.getElementById('upload-filename').textContent = name;
+                    this._previewPGN(e.target.files[0], 'new-set-validation');
+                });
+            }
+            const csvInput = document.getElementById('new-set-csv');
+            if (csvInput) {
+                csvInput.addEventListener('change', (e) => {
+                    document.getElementById('csv-filename').textContent = e.target.files[0]?.name || '';
+                    document.getElementById('lichess-preview').innerHTML = '';
                 });
             }
         }, 100);
     }
 
+    _onPuzzleSourceChange() {
+        const source = document.getElementById('new-set-source').value;
+        document.getElementById('new-set-pgn-group').style.display = source === 'pgn' ? '' : 'none';
+        document.getElementById('new-set-lichess-group').style.display = source === 'lichess' ? '' : 'none';
+    }
+
+    // Lichess CSV import fields as FormData (shared by preview and create)
+    _lichessFormData() {
+        const file = document.getElementById('new-set-csv').files[0];
+        if (!file) return null;
+        const formData = new FormData();
+        formData.append('csv', file);
+        formData.append('minRating', document.getElementById('lichess-min-rating').value);
+        formData.append('maxRating', document.getElementById('lichess-max-rating').value);
+        formData.append('limit', document.getElementById('lichess-limit').value);
+        formData.append('themes', document.getElementById('lichess-themes').value);
+        return formData;
+    }
+
+    async previewLichessImport() {
+        const formData = this._lichessFormData();
+        if (!formData) {
+            this.showToast('Chọn file CSV', 'error');
+            return;
+        }
+        formData.append('preview', '1');
+
+        const container = document.getElementById('lichess-preview');
+        container.innerHTML = '<div class="wp-loading"><span class="wp-spinner"></span> Đang đọc CSV...</div>';
+        try {
+            const result = await this._api('/api/admin/puzzle-sets/import/lichess', { method: 'POST', body: formData });
+            container.innerHTML = `✓ ${result.puzzleCount} puzzle khớp bộ lọc (đã đọc ${result.scanned} dòng${result.skipped ? `, bỏ ${result.skipped} dòng lỗi` : ''})`;
+        } catch (err) {
+            container.innerHTML = `<span style="color:var(--danger);">${err.message}</span>`;
+        }
+    }
+
+    // Validate a PGN on the server and show the report; games with errors are pre-selected to be dropped
+    async _previewPGN(file, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        if (!file) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = '<div class="wp-loading"><span class="wp-spinner"></span> Đang kiểm tra PGN...</div>';
+
+        let report;
+        try {
+            const formData = new FormData();
+            formData.append('pgn', file);
+            report = await this._api('/api/admin/puzzle-sets/validate', { method: 'POST', body: formData });
+        } catch (err) {
+            container.innerHTML = `<div style="color:var(--danger);font-size:0.85rem;margin-top:8px;">Lỗi kiểm tra PGN: ${err.message}</div>`;
+            return;
+        }
+
+        const skipped = report.skippedRecords || [];
+        const summary = `${report.totalGames} ván · ${report.puzzleCount} puzzle đọc được · `
+            + `<span style="color:var(--danger);">${report.errorGames} lỗi</span> · ${report.warningGames} cảnh báo`
+            + (skipped.length > 0 ? ` · ${skipped.length} dòng EPD bị bỏ qua` : '');
+        const skippedList = skipped.length === 0 ? '' : `
+            <div style="font-size:0.8rem;color:var(--text-muted);margin:4px 0;max-height:100px;overflow-y:auto;">
+                ${skipped.map(s => `<div>⚠ Dòng ${s.line}: ${s.error}</div>`).join('')}
+            </div>`;
+        if (report.games.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85rem;margin-top:8px;">✓ ${summary}</div>${skippedList}`;
+            return;
+        }
+
+        const rows = report.games.map(g => {
+            const hasError = g.issues.some(i => i.level === 'error');
+            const title = [g.header.white, g.header.black].filter(Boolean).join(' – ') || g.header.event || '';
+            const issues = g.issues.map(i =>
+                `<div style="color:${i.level === 'error' ? 'var(--danger)' : 'var(--text-muted)'};">
+                    ${i.level === 'error' ? '✗' : '⚠'} ${i.message}${i.move ? ` — <b>${i.move}</b>` : ''}
+                </div>`
+            ).join('');
+            return `
+                <label class="wp-checkbox-label" style="align-items:flex-start;">
+                    <input type="checkbox" name="excludeGame" value="${g.number}" ${hasError ? 'checked' : ''}>
+                    <div>
+                        <div>Ván ${g.number}${title ? ` · ${title}` : ''}</div>
+                        <div style="font-size:0.8rem;">${issues}</div>
+                    </div>
+                </label>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div style="font-size:0.85rem;margin-top:8px;">${summary}</div>${skippedList}
+            <div style="font-size:0.8rem;color:var(--text-muted);margin:4px 0;">Đánh dấu các ván muốn bỏ khi tạo set</div>
+            <div class="wp-checkbox-group" style="max-height:220px;overflow-y:auto;">${rows}</div>
+        `;
+    }
+
+    _excludedGames(containerId) {
+        return Array.from(document.querySelectorAll(`#${containerId} input[name="excludeGame"]:checked`))
+            .map(cb => parseInt(cb.value));
+    }
+
     async createPuzzleSet() {
         const name = document.getElementById('new-set-name').value.trim();
         const checkboxes = document.querySelectorAll('#new-set-users input[name="assignUsers"]:checked');
         const selectedUsers = Array.from(checkboxes).map(cb => cb.value);
         const fileInput = document.getElementById('new-set-pgn');
 
-        if (selectedUsers.length === 0) {
-            this.showToast('Chọn ít nhất 1 user', 'error');
+        if (document.getElementById('new-set-source').value === 'lichess') {
+            const formData = this._lichessFormData();
+            if (!formData) {
+                this.showToast('Chọn file CSV', 'error');
+                return;
+            }
+            formData.append('name', name);
+            formData.append('assignedTo', JSON.stringify(selectedUsers));
+            formData.append('templateId', document.getElementById('new-set-template').value);
+            formData.append('retryPolicy', document.getElementById('new-set-retry').value);
+            formData.append('ordering', document.getElementById('new-set-ordering').value);
+            try {
+                const set = await this._api('/api/admin/puzzle-sets/import/lichess', { method: 'POST', body: formData });
+                this.closeModal();
+                this.showToast(`Đã tạo puzzle set với ${set.puzzleCount} puzzle từ Lichess!`, 'success');
+                this._loadAdminData();
+            } catch (err) {
+                this.showToast(err.message, 'error');
+            }
             return;
         }
 
@@ -2037,9 +3455,13 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
         try {
             const formData = new FormData();
             formData.append('pgn', fileInput.files[0]);
-            formData.append('name', name || fileInput.files[0].name.replace('.pgn', ''));
+            formData.append('name', name || fileInput.files[0].name.replace(/\.(pgn|epd|fen)$/i, ''));
             // Send multiple users as JSON array
             formData.append('assignedTo', JSON.stringify(selectedUsers));
+            formData.append('templateId', document.getElementById('new-set-template').value);
+            formData.append('retryPolicy', document.getElementById('new-set-retry').value);
+            formData.append('ordering', document.getElementById('new-set-ordering').value);
+            formData.append('excludeGames', JSON.stringify(this._excludedGames('new-set-validation')));
 
             await this._api('/api/admin/puzzle-sets', {
                 method: 'POST',
@@ -2078,55 +3500,304 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
         }
     }
 
-    async showAssignSetForm(setId, setName, pgnFile) {
-        let users = [];
-        try {
-            users = await this._api('/api/admin/users');
-        } catch { }
-
-        // Get existing assignments for this PGN file
-        let allSets = [];
-        try {
-            allSets = await this._api('/api/admin/puzzle-sets');
-        } catch { }
-        const assignedUserIds = allSets.filter(s => s.pgnFile === pgnFile).map(s => s.assignedTo);
-
-        const userCheckboxes = users.filter(u => u.role !== 'admin').map(u => {
-            const checked = assignedUserIds.includes(u.id) ? 'checked disabled' : '';
-            return `<label class="wp-checkbox-label">
-                <input type="checkbox" name="assignUsers" value="${u.id}" ${checked}> ${u.username}
-                ${assignedUserIds.includes(u.id) ? '<span style="font-size:0.75rem;color:var(--text-muted);">(đã gán)</span>' : ''}
-            </label>`;
-        }).join('');
-
-        this._openModal(`Gán "${setName}" cho Users`, `
-            <div class="wp-form-group">
-                <label>Chọn users để gán thêm</label>
-                <div class="wp-checkbox-group" id="assign-set-users">
-                    ${userCheckboxes}
+    unassignPuzzleSet(setId, userId) {
+        const set = (this._librarySets || []).find(s => s.id === setId);
+        const assignee = set ? set.assignees.find(a => a.userId === userId) : null;
+        this._openModal('Bỏ gán Puzzle Set?', `
+            <div style="text-align:center;padding:16px;">
+                <div style="font-size:2rem;margin-bottom:12px;">⚠️</div>
+                <p style="margin-bottom:24px;color:var(--text-secondary);">Bỏ gán "${set ? set.name : ''}" khỏi ${assignee ? assignee.username : 'user'}? Toàn bộ cycle và lịch sử luyện tập của user với set này sẽ bị xóa.</p>
+                <div style="display:flex;gap:12px;justify-content:center;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                    <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmUnassignPuzzleSet('${setId}', '${userId}')">Bỏ gán</button>
                 </div>
             </div>
-            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
-                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
-                <button class="wp-btn wp-btn-primary" onclick="wpApp._confirmAssignSet('${setId}')">Gán</button>
-            </div>
-`);
+        `);
     }
 
-    async _confirmAssignSet(sourceSetId) {
-        const checkboxes = document.querySelectorAll('#assign-set-users input[name="assignUsers"]:checked:not(:disabled)');
-        const newUserIds = Array.from(checkboxes).map(cb => cb.value);
-
-        if (newUserIds.length === 0) {
-            this.showToast('Chọn ít nhất 1 user mới', 'error');
-            return;
-        }
-
+    async _confirmUnassignPuzzleSet(setId, userId) {
+        this.closeModal();
+        try {
+            await this._api(`/api/admin/puzzle-sets/${setId}/assignments/${userId}`, { method: 'DELETE' });
+            this.showToast('Đã bỏ gán puzzle set', 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async showPuzzleStats(setId) {
+        const set = (this._librarySets || []).find(s => s.id === setId);
+        if (!set) return;
+
+        let puzzles;
+        try {
+            puzzles = await this._api(`/api/admin/puzzle-sets/${setId}/puzzles`);
+        } catch (err) {
+            this.showToast(err.message, 'error');
+            return;
+        }
+
+        // Most-failed first
+        const sorted = [...puzzles].sort((a, b) => parseFloat(b.failRate) - parseFloat(a.failRate) || b.failures - a.failures);
+        const rows = sorted.map(p => `
+            <tr>
+                <td>#${p.index + 1}</td>
+                <td>${p.headers.White || ''}${p.headers.Black ? ' – ' + p.headers.Black : ''}</td>
+                <td>${p.attempts}</td>
+                <td>${p.failures}</td>
+                <td style="color:${parseFloat(p.failRate) >= 50 ? 'var(--danger, #e74c3c)' : 'inherit'};">${p.failRate}%</td>
+                <td>${p.users}</td>
+                <td>${(p.avgTimeMs / 1000).toFixed(1)}s</td>
+                <td title="${p.rating ? `Rating gốc: ${p.rating}` : ''}">${p.currentRating || p.rating || '–'}</td>
+                <td><input class="wp-input" style="min-width:140px;padding:4px 8px;font-size:0.8rem;" value="${p.themes.join(' ')}"
+                    placeholder="fork pin" onchange="wpApp.savePuzzleThemes('${p.id}', this.value)"></td>
+            </tr>
+        `).join('');
+
+        document.querySelector('.wp-modal')?.classList.add('wp-modal-wide');
+        this._openModal(`📊 ${set.name}`, puzzles.length > 0 ? `
+            <div style="overflow-x:auto;max-height:60vh;">
+                <table class="wp-session-table">
+                    <thead><tr><th>Puzzle</th><th>Ván</th><th>Lượt giải</th><th>Sai</th><th>Tỷ lệ sai</th><th>Users</th><th>TB thời gian</th><th>Rating</th><th>Chủ đề</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        ` : '<div class="wp-empty"><div class="empty-sub">Set chưa có puzzle nào</div></div>');
+    }
+
+    async savePuzzleThemes(puzzleId, value) {
+        try {
+            const data = await this._api(`/api/admin/puzzles/${puzzleId}/themes`, { method: 'PUT', body: { themes: value } });
+            this.showToast(data.themes.length > 0 ? `Đã lưu chủ đề: ${data.themes.join(', ')}` : 'Đã xóa chủ đề', 'success');
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showEditPuzzleSetForm(setId) {
+        const set = (this._librarySets || []).find(s => s.id === setId);
+        if (!set) return;
+
+        this._openModal('Sửa Puzzle Set', `
+            <div class="wp-form-group">
+                <label>Tên Puzzle Set</label>
+                <input class="wp-input" id="edit-set-name" value="${set.name}">
+            </div>
+            <div class="wp-form-group">
+                <label>Puzzle giải sai</label>
+                <select class="wp-input" id="edit-set-retry">
+                    ${this._retryPolicyOptions(set.retryPolicy)}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Thứ tự puzzle</label>
+                <select class="wp-input" id="edit-set-ordering">
+                    ${this._orderingOptions(set.ordering)}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Thay file PGN / EPD / FEN (để trống nếu không thay đổi)</label>
+                <div class="wp-file-upload">
+                    <input type="file" id="edit-set-pgn" accept=".pgn,.epd,.fen">
+                    <div class="upload-icon">📁</div>
+                    <div class="upload-text">File hiện tại: ${set.originalName}</div>
+                    <div class="upload-filename" id="edit-upload-filename"></div>
+                </div>
+                <div id="edit-set-validation"></div>
+                <div style="font-size:0.75rem;color:var(--text-muted);margin-top:6px;">Thay đổi áp dụng cho tất cả ${set.assignees.length} user đã được gán. Bản cũ được lưu trong lịch sử; puzzle giữ nguyên (cùng FEN + lời giải) vẫn được tính là đã giải.</div>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.savePuzzleSet('${setId}')">Lưu</button>
+            </div>
+        `);
+
+        setTimeout(() => {
+            const fileInput = document.getElementById('edit-set-pgn');
+            if (fileInput) {
+                fileInput.addEventListener('change', (e) => {
+                    document.getElementById('edit-upload-filename').textContent = e.target.files[0]?.name || '';
+                    this._previewPGN(e.target.files[0], 'edit-set-validation');
+                });
+            }
+        }, 100);
+    }
+
+    async savePuzzleSet(setId) {
+        const name = document.getElementById('edit-set-name').value.trim();
+        const file = document.getElementById('edit-set-pgn').files[0];
+        if (!name) {
+            this.showToast('Nhập tên puzzle set', 'error');
+            return;
+        }
+
+        const retryPolicy = document.getElementById('edit-set-retry').value;
+        const ordering = document.getElementById('edit-set-ordering').value;
+        const set = (this._librarySets || []).find(s => s.id === setId);
+        try {
+            if (!set || set.name !== name || set.retryPolicy !== retryPolicy || set.ordering !== ordering) {
+                await this._api(`/api/admin/puzzle-sets/${setId}`, { method: 'PUT', body: { name, retryPolicy, ordering } });
+            }
+
+            let changes = null;
+            if (file) {
+                const formData = new FormData();
+                formData.append('pgn', file);
+                formData.append('excludeGames', JSON.stringify(this._excludedGames('edit-set-validation')));
+                changes = await this._api(`/api/admin/puzzle-sets/${setId}/replace`, { method: 'POST', body: formData });
+            }
+
+            this._loadAdminData();
+            if (changes) {
+                this._showReplaceChanges(name, changes);
+            } else {
+                this.closeModal();
+                this.showToast('Đã cập nhật puzzle set', 'success');
+            }
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    // Summary of a PGN replacement: added / removed / changed puzzles
+    _showReplaceChanges(setName, changes) {
+        const list = (items, render) => items.length > 0
+            ? `<ul style="margin:4px 0 12px 18px;font-size:0.85rem;">${items.map(render).join('')}</ul>`
+            : '<div style="font-size:0.85rem;color:var(--text-muted);margin:4px 0 12px;">Không có</div>';
+
+        this._openModal(`Đã thay PGN - ${setName} (v${changes.version})`, `
+            <div style="font-size:0.9rem;margin-bottom:12px;">
+                ${changes.puzzleCount} puzzles · ${changes.moved} puzzle đổi vị trí · ${changes.remappedAttempts} lượt giải được cập nhật
+            </div>
+            <div><b>➕ Thêm (${changes.added.length})</b></div>
+            ${list(changes.added, p => `<li>#${p.index + 1} ${p.label}</li>`)}
+            <div><b>➖ Bỏ (${changes.removed.length})</b></div>
+            ${list(changes.removed, p => `<li>#${p.oldIndex + 1} ${p.label}</li>`)}
+            <div><b>✏ Sửa lời giải (${changes.changed.length})</b></div>
+            ${list(changes.changed, p => `<li>#${p.index + 1} ${p.label}: <s>${p.oldSolution}</s> → ${p.solution}</li>`)}
+            <div style="display:flex;justify-content:flex-end;margin-top:16px;">
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.closeModal()">Đóng</button>
+            </div>
+        `);
+    }
+
+    async showPuzzleSetVersions(setId) {
+        const set = (this._librarySets || []).find(s => s.id === setId);
+        if (!set) return;
+
+        let versions;
+        try {
+            versions = await this._api(`/api/admin/puzzle-sets/${setId}/versions`);
+        } catch (err) {
+            this.showToast(err.message, 'error');
+            return;
+        }
+
+        const rows = versions.map(v => `
+            <div class="wp-admin-item">
+                <div class="wp-admin-item-icon">🕘</div>
+                <div class="wp-admin-item-info">
+                    <div class="wp-admin-item-name">v${v.version} · ${v.originalName} · ${v.puzzleCount} puzzles</div>
+                    <div class="wp-admin-item-meta">
+                        Thay bởi ${v.replacedBy || '?'} lúc ${new Date(v.replacedAt).toLocaleString('vi-VN')} ·
+                        +${v.changes.added.length} / −${v.changes.removed.length} / ✏${v.changes.changed.length}
+                    </div>
+                </div>
+                <div class="wp-admin-item-actions">
+                    <button class="wp-btn wp-btn-secondary wp-btn-sm" onclick="wpApp.downloadPuzzleSetVersion('${setId}', ${v.version}, '${v.originalName.replace(/'/g, "\\'")}')" title="Tải PGN">⬇</button>
+                </div>
+            </div>
+        `).join('');
+
+        this._openModal(`Lịch sử phiên bản - ${set.name} (hiện tại v${set.version})`,
+            rows || '<div class="wp-empty"><div class="empty-sub">Chưa thay PGN lần nào</div></div>');
+    }
+
+    async downloadPuzzleSetVersion(setId, version, fileName) {
+        try {
+            const res = await fetch(`/api/admin/puzzle-sets/${setId}/versions/${version}/pgn`, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+            if (!res.ok) throw new Error('Không tải được PGN');
+            const url = URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `v${version}-${fileName || 'puzzles.pgn'}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async showAssignSetForm(setId) {
+        let users = [];
+        try {
+            users = await this._api('/api/admin/users');
+        } catch { }
+
+        const sourceSet = (this._librarySets || []).find(s => s.id === setId);
+        if (!sourceSet) return;
+        const setName = sourceSet.name;
+        const assignedUserIds = sourceSet.assignees.map(a => a.userId);
+
+        const userCheckboxes = users.filter(u => u.role !== 'admin').map(u => {
+            const checked = assignedUserIds.includes(u.id) ? 'checked disabled' : '';
+            return `<label class="wp-checkbox-label">
+                <input type="checkbox" name="assignUsers" value="${u.id}" ${checked}> ${u.username}
+                ${assignedUserIds.includes(u.id) ? '<span style="font-size:0.75rem;color:var(--text-muted);">(đã gán)</span>' : ''}
+            </label>`;
+        }).join('');
+
+        const groups = this._adminGroups || [];
+        this._openModal(`Gán "${setName}" cho Users`, `
+            ${groups.length > 0 ? `<div class="wp-form-group">
+                <label>Gán cho cả nhóm</label>
+                <select class="wp-input" id="assign-set-group" onchange="document.getElementById('assign-set-users').style.display = this.value ? 'none' : ''">
+                    <option value="">— Chọn từng user bên dưới —</option>
+                    ${groups.map(g => `<option value="${g.id}">${g.name} (${g.members.length} học viên)</option>`).join('')}
+                </select>
+            </div>` : ''}
+            <div class="wp-form-group">
+                <label>Chọn users để gán thêm</label>
+                <div class="wp-checkbox-group" id="assign-set-users">
+                    ${userCheckboxes}
+                </div>
+            </div>
+            <div class="wp-form-group">
+                <label>Lịch Cycle</label>
+                <select class="wp-input" id="assign-set-template">
+                    ${this._templateOptions(sourceSet ? sourceSet.templateId : null)}
+                </select>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp._confirmAssignSet('${setId}')">Gán</button>
+            </div>
+`);
+    }
+
+    async _confirmAssignSet(sourceSetId) {
+        const checkboxes = document.querySelectorAll('#assign-set-users input[name="assignUsers"]:checked:not(:disabled)');
+        const newUserIds = Array.from(checkboxes).map(cb => cb.value);
+        const templateSelect = document.getElementById('assign-set-template');
+        const groupId = document.getElementById('assign-set-group')?.value;
+        if (groupId) {
+            this._assignSetToGroup(groupId, sourceSetId, templateSelect ? templateSelect.value : '');
+            return;
+        }
+
+        if (newUserIds.length === 0) {
+            this.showToast('Chọn ít nhất 1 user mới', 'error');
+            return;
+        }
+
         this.closeModal();
         try {
             await this._api(`/api/admin/puzzle-sets/${sourceSetId}/assign`, {
                 method: 'POST',
-                body: { userIds: newUserIds }
+                body: { userIds: newUserIds, templateId: templateSelect ? templateSelect.value : undefined }
             });
             this.showToast(`Đã gán cho ${newUserIds.length} user(s)`, 'success');
             this._loadAdminData();
@@ -2135,6 +3806,504 @@ body{font-family:'Segoe UI',Arial,sans-serif;color:#1a1a2e;padding:14px;backgrou
         }
     }
 
+    // ===== TWO-FACTOR AUTH =====
+    _auditLabel(a) {
+        const actor = a.actorName || '(đã xóa)';
+        switch (a.action) {
+            case 'totp_enabled': return `${actor} bật xác thực 2 bước`;
+            case 'totp_disabled': return `${actor} tắt xác thực 2 bước`;
+            case 'totp_lockout': return `${actor}: khóa xác thực 2 bước sau ${a.details ? a.details.failedAttempts : ''} lần nhập sai mã`;
+            case 'totp_reset': return `${actor} đặt lại xác thực 2 bước của ${a.targetName || '(đã xóa)'}`;
+            case 'settings_updated': return `${actor} ${a.details && a.details.requireAdmin2fa ? 'bật' : 'tắt'} yêu cầu 2FA cho admin`;
+            default: return `${actor}: ${a.action}`;
+        }
+    }
+
+    async showTwoFactorSettings() {
+        let status;
+        try {
+            status = await this._api('/api/auth/2fa');
+        } catch (err) {
+            this.showToast(err.message, 'error');
+            return;
+        }
+        const forced = !!this.user.twoFactorSetupRequired;
+
+        if (!status.enabled) {
+            this._openModal('🔐 Xác thực 2 bước', `
+                ${forced ? `<p style="margin-bottom:12px;color:var(--danger);">Tổ chức yêu cầu tài khoản admin bật xác thực 2 bước trước khi tiếp tục.</p>` : ''}
+                <p style="margin-bottom:20px;color:var(--text-secondary);">Khi đăng nhập, ngoài mật khẩu bạn cần nhập mã 6 chữ số từ ứng dụng xác thực (Google Authenticator, Authy, ...).</p>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    ${forced
+                        ? '<button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal();wpApp.logout()">Đăng xuất</button>'
+                        : '<button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>'}
+                    <button class="wp-btn wp-btn-primary" onclick="wpApp.startTwoFactorSetup()">Bắt đầu thiết lập</button>
+                </div>
+            `);
+            return;
+        }
+
+        this._openModal('🔐 Xác thực 2 bước', `
+            <p style="margin-bottom:16px;">✅ Đang bật · còn <strong>${status.recoveryCodesLeft}</strong> mã khôi phục</p>
+            ${status.required ? `
+                <p style="margin-bottom:20px;color:var(--text-secondary);">Tổ chức bắt buộc admin dùng xác thực 2 bước nên không thể tắt.</p>
+                <div style="display:flex;justify-content:flex-end;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Đóng</button>
+                </div>
+            ` : `
+                <div class="wp-form-group">
+                    <label>Mật khẩu</label>
+                    <input class="wp-input" id="twofa-disable-password" type="password">
+                </div>
+                <div class="wp-form-group">
+                    <label>Mã xác thực hoặc mã khôi phục</label>
+                    <input class="wp-input" id="twofa-disable-code" type="text" autocomplete="one-time-code"
+                        onkeydown="if(event.key==='Enter')wpApp.disableTwoFactor()">
+                </div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Đóng</button>
+                    <button class="wp-btn wp-btn-danger" onclick="wpApp.disableTwoFactor()">Tắt xác thực 2 bước</button>
+                </div>
+            `}
+        `);
+    }
+
+    async startTwoFactorSetup() {
+        let setup;
+        try {
+            setup = await this._api('/api/auth/2fa/setup', { method: 'POST' });
+        } catch (err) {
+            this.showToast(err.message, 'error');
+            return;
+        }
+
+        this._openModal('🔐 Quét mã QR', `
+            <p style="margin-bottom:12px;color:var(--text-secondary);">Quét mã bằng ứng dụng xác thực, rồi nhập mã 6 chữ số ứng dụng hiển thị.</p>
+            <div id="twofa-qr" style="display:flex;justify-content:center;padding:12px;background:#fff;border-radius:8px;margin-bottom:12px;"></div>
+            <p style="font-size:0.8rem;color:var(--text-secondary);margin-bottom:16px;text-align:center;">
+                Không quét được? Nhập khóa: <code style="letter-spacing:1px;">${setup.secret.match(/.{1,4}/g).join(' ')}</code>
+            </p>
+            <div class="wp-form-group">
+                <label>Mã xác thực</label>
+                <input class="wp-input" id="twofa-enable-code" type="text" inputmode="numeric" autocomplete="one-time-code"
+                    placeholder="123456" onkeydown="if(event.key==='Enter')wpApp.enableTwoFactor()">
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.showTwoFactorSettings()">← Quay lại</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.enableTwoFactor()">Bật xác thực 2 bước</button>
+            </div>
+        `);
+        if (typeof QRCode !== 'undefined') {
+            new QRCode(document.getElementById('twofa-qr'), { text: setup.otpauthUrl, width: 180, height: 180 });
+        }
+        document.getElementById('twofa-enable-code').focus();
+    }
+
+    async enableTwoFactor() {
+        const code = document.getElementById('twofa-enable-code').value.trim();
+        if (!code) {
+            this.showToast('Nhập mã xác thực', 'error');
+            return;
+        }
+
+        try {
+            const data = await this._api('/api/auth/2fa/enable', { method: 'POST', body: { code } });
+            this.user.twoFactorEnabled = true;
+            this._openModal('🔑 Mã khôi phục', `
+                <p style="margin-bottom:12px;color:var(--text-secondary);">Lưu các mã này ở nơi an toàn. Mỗi mã dùng được một lần để đăng nhập khi không có ứng dụng xác thực. Các mã sẽ không hiển thị lại.</p>
+                <pre id="twofa-recovery-codes" style="font-size:1rem;line-height:1.8;text-align:center;padding:12px;border-radius:8px;background:var(--bg-secondary);">${data.recoveryCodes.join('\n')}</pre>
+                <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp._copyRecoveryCodes()">📋 Sao chép</button>
+                    <button class="wp-btn wp-btn-primary" onclick="wpApp._finishTwoFactorSetup()">Đã lưu các mã</button>
+                </div>
+            `);
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async _copyRecoveryCodes() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('twofa-recovery-codes').textContent);
+            this.showToast('Đã sao chép mã khôi phục', 'success');
+        } catch {
+            this.showToast('Không sao chép được, hãy chép tay các mã', 'error');
+        }
+    }
+
+    _finishTwoFactorSetup() {
+        this.closeModal();
+        this.showToast('Đã bật xác thực 2 bước', 'success');
+        // A required enrollment was blocking the app until now
+        if (this.user.twoFactorSetupRequired) {
+            this.user.twoFactorSetupRequired = false;
+            this._showDashboard();
+            return;
+        }
+        this._updateHeader();
+    }
+
+    async disableTwoFactor() {
+        const password = document.getElementById('twofa-disable-password').value;
+        const code = document.getElementById('twofa-disable-code').value.trim();
+        if (!password || !code) {
+            this.showToast('Nhập mật khẩu và mã xác thực', 'error');
+            return;
+        }
+
+        try {
+            const data = await this._api('/api/auth/2fa/disable', { method: 'POST', body: { password, code } });
+            this.user.twoFactorEnabled = false;
+            this.closeModal();
+            this.showToast(data.message, 'info');
+            this._updateHeader();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showResetTwoFactorForm(userId, username) {
+        this._openModal(`🔓 Đặt lại 2FA: ${username}`, `
+            <p style="margin-bottom:16px;color:var(--text-secondary);">Xác thực 2 bước của ${username} sẽ bị tắt và phiên đăng nhập hiện tại kết thúc. Thao tác được ghi vào nhật ký bảo mật.</p>
+            <div class="wp-form-group">
+                <label>Lý do</label>
+                <input class="wp-input" id="reset-2fa-reason" type="text" placeholder="VD: mất điện thoại">
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-danger" onclick="wpApp.resetUserTwoFactor('${userId}')">Đặt lại</button>
+            </div>
+        `);
+    }
+
+    async resetUserTwoFactor(userId) {
+        const reason = document.getElementById('reset-2fa-reason').value.trim();
+        try {
+            const data = await this._api(`/api/admin/users/${userId}/reset-2fa`, { method: 'POST', body: { reason } });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async toggleRequireAdmin2fa(checkbox) {
+        try {
+            const data = await this._api('/api/admin/settings', { method: 'PUT', body: { requireAdmin2fa: checkbox.checked } });
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            checkbox.checked = !checkbox.checked;
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    // ===== JOIN CODES =====
+    async showJoinCodeForm() {
+        let courses = [];
+        try {
+            courses = await this._api('/api/courses');
+        } catch { }
+        const sets = this._librarySets || [];
+        const defaultExpiry = new Date(Date.now() + 14 * 86400000).toISOString().slice(0, 10);
+
+        this._openModal('🎟 Tạo mã tham gia lớp', `
+            <div class="wp-form-group">
+                <label>Puzzle sets được gán</label>
+                <div class="wp-checkbox-group" id="join-code-sets">
+                    ${sets.map(s => `<label class="wp-checkbox-label">
+                        <input type="checkbox" name="joinCodeSets" value="${s.id}"> ${s.name}
+                    </label>`).join('') || '<div class="wp-empty"><div class="empty-sub">Chưa có puzzle set nào</div></div>'}
+                </div>
+            </div>
+            <div class="wp-form-group">
+                <label>Khóa học được mở</label>
+                <div class="wp-checkbox-group" id="join-code-courses">
+                    ${courses.map(c => `<label class="wp-checkbox-label">
+                        <input type="checkbox" name="joinCodeCourses" value="${c.id}"> ${c.icon || ''} ${c.name}
+                    </label>`).join('') || '<div class="wp-empty"><div class="empty-sub">Chưa có khóa học nào</div></div>'}
+                </div>
+            </div>
+            <div style="display:flex;gap:12px;">
+                <div class="wp-form-group" style="flex:1;">
+                    <label>Hết hạn sau ngày</label>
+                    <input class="wp-input" id="join-code-expires" type="date" value="${defaultExpiry}">
+                </div>
+                <div class="wp-form-group" style="flex:1;">
+                    <label>Số lượt dùng tối đa</label>
+                    <input class="wp-input" id="join-code-max-uses" type="number" min="1" max="1000" value="30">
+                </div>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.createJoinCode()">Tạo mã</button>
+            </div>
+        `);
+    }
+
+    async createJoinCode() {
+        const libraryIds = Array.from(document.querySelectorAll('#join-code-sets input[name="joinCodeSets"]:checked')).map(cb => cb.value);
+        const courseIds = Array.from(document.querySelectorAll('#join-code-courses input[name="joinCodeCourses"]:checked')).map(cb => cb.value);
+        const expires = document.getElementById('join-code-expires').value;
+        const maxUses = document.getElementById('join-code-max-uses').value;
+        if (libraryIds.length === 0 && courseIds.length === 0) {
+            this.showToast('Chọn ít nhất 1 puzzle set hoặc khóa học', 'error');
+            return;
+        }
+        if (!expires) {
+            this.showToast('Chọn ngày hết hạn', 'error');
+            return;
+        }
+
+        try {
+            // Valid through the whole chosen day (local time)
+            const expiresAt = new Date(`${expires}T23:59:59`).toISOString();
+            const data = await this._api('/api/admin/join-codes', {
+                method: 'POST',
+                body: { libraryIds, courseIds, expiresAt, maxUses }
+            });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async copyJoinCode(code) {
+        try {
+            await navigator.clipboard.writeText(code);
+            this.showToast(`Đã sao chép mã ${code}`, 'success');
+        } catch {
+            this.showToast(code, 'info');
+        }
+    }
+
+    deleteJoinCode(codeId) {
+        this._openModal('Thu hồi mã?', `
+            <div style="text-align:center;padding:16px;">
+                <div style="font-size:2rem;margin-bottom:12px;">⚠️</div>
+                <p style="margin-bottom:24px;color:var(--text-secondary);">Mã sẽ không dùng để đăng ký được nữa. Học viên đã đăng ký bằng mã này vẫn giữ bộ puzzle và khóa học.</p>
+                <div style="display:flex;gap:12px;justify-content:center;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                    <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmDeleteJoinCode('${codeId}')">Thu hồi</button>
+                </div>
+            </div>
+        `);
+    }
+
+    async _confirmDeleteJoinCode(codeId) {
+        this.closeModal();
+        try {
+            const data = await this._api(`/api/admin/join-codes/${codeId}`, { method: 'DELETE' });
+            this.showToast(data.message, 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    // ===== GROUPS =====
+    showGroupForm(groupId = null) {
+        const group = groupId ? (this._adminGroups || []).find(g => g.id === groupId) : null;
+        const coaches = (this._adminUsers || []).filter(u => u.role === 'coach');
+        this._openModal(group ? 'Sửa nhóm' : 'Tạo nhóm', `
+            <div class="wp-form-group">
+                <label>Tên nhóm</label>
+                <input class="wp-input" id="group-name" placeholder="Ví dụ: Lớp U10 tối thứ 3" value="${group ? group.name : ''}">
+            </div>
+            ${this.user.role === 'admin' ? `<div class="wp-form-group">
+                <label>Huấn luyện viên</label>
+                <select class="wp-input" id="group-coach">
+                    <option value="">— Không có —</option>
+                    ${coaches.map(c => `<option value="${c.id}" ${group && group.coachId === c.id ? 'selected' : ''}>${c.fullName || c.username}</option>`).join('')}
+                </select>
+            </div>` : ''}
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveGroup(${group ? `'${group.id}'` : 'null'})">${group ? 'Lưu' : 'Tạo'}</button>
+            </div>
+        `);
+        setTimeout(() => document.getElementById('group-name')?.focus(), 100);
+    }
+
+    async saveGroup(groupId) {
+        const name = document.getElementById('group-name').value.trim();
+        if (!name) {
+            this.showToast('Cần nhập tên nhóm', 'error');
+            return;
+        }
+        const body = { name };
+        const coachSelect = document.getElementById('group-coach');
+        if (coachSelect) body.coachId = coachSelect.value || null;
+
+        try {
+            await this._api(groupId ? `/api/admin/groups/${groupId}` : '/api/admin/groups', {
+                method: groupId ? 'PUT' : 'POST', body
+            });
+            this.closeModal();
+            this.showToast(groupId ? 'Đã lưu nhóm' : 'Đã tạo nhóm', 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    deleteGroup(groupId) {
+        const group = (this._adminGroups || []).find(g => g.id === groupId);
+        this._openModal('Xóa nhóm?', `
+            <div style="text-align:center;padding:16px;">
+                <div style="font-size:2rem;margin-bottom:12px;">⚠️</div>
+                <p style="margin-bottom:24px;color:var(--text-secondary);">Xóa nhóm "${group ? group.name : ''}"? Các bộ puzzle đã gán cho học viên vẫn được giữ nguyên.</p>
+                <div style="display:flex;gap:12px;justify-content:center;">
+                    <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                    <button class="wp-btn wp-btn-danger" onclick="wpApp._confirmDeleteGroup('${groupId}')">Xóa</button>
+                </div>
+            </div>
+        `);
+    }
+
+    async _confirmDeleteGroup(groupId) {
+        this.closeModal();
+        try {
+            const data = await this._api(`/api/admin/groups/${groupId}`, { method: 'DELETE' });
+            this.showToast(data.message, 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showGroupMembersForm(groupId) {
+        const group = (this._adminGroups || []).find(g => g.id === groupId);
+        if (!group) return;
+        const memberIds = group.members.map(m => m.userId);
+        const userCheckboxes = (this._adminUsers || []).filter(u => u.role !== 'admin' && u.status !== 'pending').map(u =>
+            `<label class="wp-checkbox-label">
+                <input type="checkbox" name="groupUsers" value="${u.id}" ${memberIds.includes(u.id) ? 'checked' : ''}> ${u.username}${u.fullName ? ` <span style="opacity:0.6;">(${u.fullName})</span>` : ''}
+            </label>`
+        ).join('');
+
+        this._openModal(`👥 Thành viên "${group.name}"`, `
+            <div class="wp-form-group">
+                <label>Học viên mới được gán ngay các bộ puzzle của nhóm</label>
+                <div class="wp-checkbox-group" id="group-members">
+                    ${userCheckboxes || '<div class="wp-empty"><div class="empty-sub">Chưa có học viên nào</div></div>'}
+                </div>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveGroupMembers('${groupId}')">Lưu</button>
+            </div>
+        `);
+    }
+
+    async saveGroupMembers(groupId) {
+        const userIds = Array.from(document.querySelectorAll('#group-members input[name="groupUsers"]:checked')).map(cb => cb.value);
+        try {
+            const data = await this._api(`/api/admin/groups/${groupId}/members`, { method: 'PUT', body: { userIds } });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    showGroupSetForm(groupId) {
+        const group = (this._adminGroups || []).find(g => g.id === groupId);
+        if (!group) return;
+        const groupSetIds = group.sets.map(gs => gs.libraryId);
+        const sets = (this._librarySets || []).filter(s => !groupSetIds.includes(s.id));
+        if (sets.length === 0) {
+            this.showToast('Nhóm đã có tất cả các bộ puzzle', 'info');
+            return;
+        }
+
+        this._openModal(`🧩 Gán bộ puzzle cho "${group.name}"`, `
+            <div class="wp-form-group">
+                <label>Bộ puzzle</label>
+                <select class="wp-input" id="group-set-library">
+                    ${sets.map(s => `<option value="${s.id}">${s.name} (${s.puzzleCount} puzzles)</option>`).join('')}
+                </select>
+            </div>
+            <div class="wp-form-group">
+                <label>Lịch Cycle</label>
+                <select class="wp-input" id="group-set-template">
+                    <option value="">Lịch mặc định của bộ</option>
+                    ${(this._cycleTemplates || []).map(tpl => `<option value="${tpl.id}">${tpl.name} (${tpl.cycleDays.join(' → ')})</option>`).join('')}
+                </select>
+            </div>
+            <p style="font-size:0.85rem;color:var(--text-muted);">Gán cho ${group.members.length} học viên hiện tại và cả học viên vào nhóm sau này.</p>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp._assignSetToGroup('${groupId}', document.getElementById('group-set-library').value, document.getElementById('group-set-template').value)">Gán</button>
+            </div>
+        `);
+    }
+
+    async _assignSetToGroup(groupId, libraryId, templateId) {
+        this.closeModal();
+        try {
+            const data = await this._api(`/api/admin/groups/${groupId}/sets`, {
+                method: 'POST',
+                body: { libraryId, templateId: templateId || null }
+            });
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async removeGroupSet(groupId, libraryId) {
+        try {
+            const data = await this._api(`/api/admin/groups/${groupId}/sets/${libraryId}`, { method: 'DELETE' });
+            this.showToast(data.message, 'info');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
+    async showGroupCoursesForm(groupId) {
+        const group = (this._adminGroups || []).find(g => g.id === groupId);
+        if (!group) return;
+        let courses = [];
+        try {
+            courses = await this._api('/api/courses');
+        } catch { }
+        const courseIds = group.courses.map(c => c.id);
+
+        this._openModal(`📚 Khóa học của "${group.name}"`, `
+            <div class="wp-form-group">
+                <label>Thành viên nhóm được xem các khóa học này</label>
+                <div class="wp-checkbox-group" id="group-courses">
+                    ${courses.map(c => `<label class="wp-checkbox-label">
+                        <input type="checkbox" name="groupCourses" value="${c.id}" ${courseIds.includes(c.id) ? 'checked' : ''}> ${c.icon || ''} ${c.name}
+                    </label>`).join('') || '<div class="wp-empty"><div class="empty-sub">Chưa có khóa học nào</div></div>'}
+                </div>
+            </div>
+            <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                <button class="wp-btn wp-btn-secondary" onclick="wpApp.closeModal()">Hủy</button>
+                <button class="wp-btn wp-btn-primary" onclick="wpApp.saveGroupCourses('${groupId}')">Lưu</button>
+            </div>
+        `);
+    }
+
+    async saveGroupCourses(groupId) {
+        const courseIds = Array.from(document.querySelectorAll('#group-courses input[name="groupCourses"]:checked')).map(cb => cb.value);
+        try {
+            const data = await this._api(`/api/admin/groups/${groupId}/courses`, { method: 'PUT', body: { courseIds } });
+            this.closeModal();
+            this.showToast(data.message, 'success');
+            this._loadAdminData();
+        } catch (err) {
+            this.showToast(err.message, 'error');
+        }
+    }
+
     // ===== MODAL =====
     _openModal(title, bodyHtml) {
         document.getElementById('wp-modal-title').textContent = title;
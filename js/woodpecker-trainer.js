@@ -12,9 +12,11 @@ class WoodpeckerTrainer {
         this.puzzles = []; // All parsed games (puzzles)
         this.currentPuzzleIndex = -1;
         this.currentMoves = [];
+        this.alternativeMoves = [];     // Normalized SANs accepted in place of the last mainline move
         this.moveIndex = 0;
         this.playerColor = 'w';
         this.mistakes = 0;
+        this.playedMoves = [];          // SANs of every legal move tried on the current puzzle
         this.puzzleStartTime = 0;
         this.isActive = false;
         this.isPaused = false;
@@ -56,15 +58,182 @@ class WoodpeckerTrainer {
 
     /**
      * Get the next puzzle index to solve (for current cycle)
-     * Uses the solvedIndices to determine which puzzle is next
+     * Uses the solvedIndices to determine which puzzle is next; with a queue (the server's
+     * order for the set's ordering strategy and retry policy) the first unsolved entry of the queue is next
      */
-    getNextPuzzleIndex(solvedIndices) {
+    getNextPuzzleIndex(solvedIndices, queue = null) {
+        if (queue) {
+            const next = queue.find(i => !solvedIndices.has(i));
+            return next === undefined ? -1 : next;
+        }
         for (let i = 0; i < this.puzzles.length; i++) {
             if (!solvedIndices.has(i)) return i;
         }
         return -1; // All puzzles solved
     }
 
+    // ===== ORDERING STRATEGIES =====
+    // How a set's puzzles are ordered within a cycle. The server orders the cycle queue with these
+    // (js/woodpecker-trainer.js is shared), so every device serves the same order.
+
+    static get ORDERINGS() {
+        return ['sequential', 'shuffled', 'easiest_first', 'adaptive'];
+    }
+
+    /**
+     * Order puzzles by a strategy
+     * @param {Array<{ index: number, failRate: number|null, rating: number|null }>} puzzles
+     *        failRate 0-1 over all attempts (null = never attempted), rating = puzzle rating if known
+     * @param {string} strategy one of ORDERINGS
+     * @param {{ seed?: number, userRating?: number, targetSuccess?: number }} context
+     *        seed: shuffled; userRating + targetSuccess (0-1): adaptive
+     * @returns {Array} a new array, ties kept in PGN order
+     */
+    static orderPuzzles(puzzles, strategy, context = {}) {
+        const list = [...puzzles].sort((a, b) => a.index - b.index);
+        if (strategy === 'shuffled') {
+            return WoodpeckerTrainer._seededShuffle(list, context.seed || 1);
+        }
+        if (strategy === 'easiest_first') {
+            const failRate = p => p.failRate === null || p.failRate === undefined ? 0.5 : p.failRate;
+            return list.sort((a, b) => failRate(a) - failRate(b));
+        }
+        if (strategy === 'adaptive') {
+            // Puzzles whose expected success is closest to the student's current success rate first
+            const target = context.targetSuccess === undefined ? 0.75 : context.targetSuccess;
+            const distance = p => Math.abs(WoodpeckerTrainer.expectedSuccess(p, context.userRating) - target);
+            return list.sort((a, b) => distance(a) - distance(b));
+        }
+        return list;
+    }
+
+    /**
+     * Chance the student solves a puzzle: from the ratings when both are known (Elo curve),
+     * else from the puzzle's fail rate
+     */
+    static expectedSuccess(puzzle, userRating) {
+        if (puzzle.rating && userRating) {
+            return 1 / (1 + Math.pow(10, (puzzle.rating - userRating) / 400));
+        }
+        if (puzzle.failRate !== null && puzzle.failRate !== undefined) return 1 - puzzle.failRate;
+        return 0.5;
+    }
+
+    // ID for sessions and attempts created on the client, so a retried or replayed request is stored once
+    static newClientId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+    }
+
+    /**
+     * Replay the moves a student made on a puzzle, without a board or delays, by the same rules as the
+     * interactive trainer: the mainline move, a [BestMoves] or mating alternative on the last mainline move,
+     * player variations (a "?"/"??" one is a mistake, a good one is played out) and opponent variations
+     * (explored before the opponent's move). The server decides `correct` and the mistake count with it.
+     * @param {Object} game - parsed game (PGNParser)
+     * @param {string[]} playedMoves - every legal move the student made, in order (SAN)
+     * @param {Function} ChessImpl - chess.js constructor
+     * @returns {{ valid: boolean, complete: boolean, correct: boolean, mistakes: number }}
+     *          valid = false for an illegal move or moves after the puzzle was finished
+     */
+    static verifySolution(game, playedMoves, ChessImpl = Chess) {
+        const normalize = san => san.replace(/[+#!?]/g, '').trim();
+        const fen = game.fen || (game.headers && game.headers['FEN']);
+        const chess = fen ? new ChessImpl(fen) : new ChessImpl();
+        const mainline = game.moves || [];
+        const playerColor = fen ? (fen.split(' ')[1] || 'w') : (mainline.length > 0 && !mainline[0].isWhite ? 'b' : 'w');
+        const isPlayerTurn = node => (playerColor === 'w') === node.isWhite;
+        const bestMoves = ((game.headers && game.headers['BestMoves']) || '').split(/\s+/).filter(Boolean).map(normalize);
+
+        let moves = mainline;
+        let moveIndex = 0;
+        let variationsDone = false;
+        const stack = [];
+        let mistakes = 0;
+
+        // Play opponent moves and enter / leave variations until the student is to move (false when finished)
+        const advance = () => {
+            for (;;) {
+                if (moveIndex >= moves.length) {
+                    if (stack.length === 0) return false;
+                    const saved = stack.pop();
+                    chess.load(saved.fen);
+                    if (saved.pending.length > 0) {
+                        stack.push(saved);
+                        moves = saved.pending.shift();
+                        moveIndex = 0;
+                    } else {
+                        moves = saved.moves;
+                        moveIndex = saved.moveIndex;
+                        variationsDone = !saved.playerVariation;
+                    }
+                    continue;
+                }
+                const node = moves[moveIndex];
+                if (node.variations && node.variations.length > 0 && !variationsDone && !isPlayerTurn(node)) {
+                    stack.push({ moves, moveIndex, fen: chess.fen(), pending: node.variations.slice(1), playerVariation: false });
+                    moves = node.variations[0];
+                    moveIndex = 0;
+                    continue;
+                }
+                variationsDone = false;
+                if (isPlayerTurn(node)) return true;
+                if (!chess.move(node.san, { sloppy: true })) return false;
+                moveIndex++;
+            }
+        };
+
+        for (const san of playedMoves) {
+            if (!advance()) return { valid: false, complete: true, correct: false, mistakes };
+            const expected = moves[moveIndex];
+            const fenBefore = chess.fen();
+            const played = chess.move(san, { sloppy: true });
+            if (!played) return { valid: false, complete: false, correct: false, mistakes };
+
+            const attempt = normalize(played.san);
+            const lastMainlineMove = stack.length === 0 && moveIndex === moves.length - 1;
+            if (attempt === normalize(expected.san)
+                || (lastMainlineMove && (bestMoves.includes(attempt) || chess.in_checkmate()))) {
+                moveIndex++;
+                continue;
+            }
+
+            const variation = (expected.variations || []).find(v => v.length > 0 && normalize(v[0].san) === attempt);
+            if (!variation) {
+                chess.undo();
+                mistakes++;
+            } else if (variation[0].nags.includes(2) || variation[0].nags.includes(4)) {
+                // Bad variation: shown to the student, then back to the same position
+                chess.load(fenBefore);
+                mistakes++;
+            } else {
+                stack.push({ moves, moveIndex, fen: fenBefore, pending: [], playerVariation: true });
+                moves = variation;
+                moveIndex = 1;
+            }
+        }
+
+        const complete = !advance();
+        return { valid: true, complete, correct: complete && mistakes === 0, mistakes };
+    }
+
+    // Fisher-Yates with a seeded PRNG (mulberry32): the same seed gives the same order everywhere
+    static _seededShuffle(list, seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
+    }
+
     /**
      * Start a puzzle by index
      */
@@ -74,11 +243,16 @@ class WoodpeckerTrainer {
         const game = this.puzzles[puzzleIndex];
         this.currentPuzzleIndex = puzzleIndex;
         this.mistakes = 0;
+        this.playedMoves = [];
         this.puzzleStartTime = Date.now();
 
         // Get mainline moves
         this.currentMoves = PGNParser.getMainline(game.moves);
 
+        // Equally good final moves ([BestMoves "Qg6 Rxf7"], e.g. EPD puzzles with several bm)
+        const bestMoves = (game.headers && game.headers['BestMoves']) || '';
+        this.alternativeMoves = bestMoves.split(/\s+/).filter(Boolean).map(san => this._normalizeSan(san));
+
         // Reset chess engine and load FEN position
         this.chess.reset();
         const fen = game.fen || (game.headers && game.headers['FEN']);
@@ -142,11 +316,11 @@ class WoodpeckerTrainer {
     }
 
     /**
- * Start session timer
+ * Start session timer (elapsedSeconds: time already used by a resumed session)
  */
-    startTimer() {
-        this.sessionStartTime = Date.now();
-        this.remainingSeconds = this.SESSION_DURATION;
+    startTimer(elapsedSeconds = 0) {
+        this.sessionStartTime = Date.now() - elapsedSeconds * 1000;
+        this.remainingSeconds = Math.max(0, this.SESSION_DURATION - elapsedSeconds);
         this._pausedTotal = 0;
         this._pauseStart = null;
 
@@ -206,7 +380,10 @@ class WoodpeckerTrainer {
                     puzzleIndex: this.currentPuzzleIndex,
                     correct: false,
                     timeMs,
-                    mistakes: this.mistakes
+                    mistakes: this.mistakes,
+                    moves: [...this.playedMoves],
+                    clientId: WoodpeckerTrainer.newClientId(),
+                    recordedAt: new Date().toISOString()
                 };
                 this.sessionAttempts.push(attempt);
 
@@ -477,12 +654,13 @@ class WoodpeckerTrainer {
         });
 
         if (!attemptResult) return; // Invalid move
+        this.playedMoves.push(attemptResult.san);
 
         // Check if it matches expected mainline move
         const normalizedAttempt = this._normalizeSan(attemptResult.san);
         const normalizedExpected = this._normalizeSan(expectedMove.san);
 
-        if (normalizedAttempt === normalizedExpected) {
+        if (normalizedAttempt === normalizedExpected || this._isAlternativeSolution(normalizedAttempt)) {
             // Correct!
             this.board.setPosition(this.chess, true);
             this.board.showLastMove(from, to);
@@ -547,6 +725,16 @@ class WoodpeckerTrainer {
         }
     }
 
+    /**
+     * Check if a player's move is one of the puzzle's equally good final moves: listed in [BestMoves],
+     * or any mate (only on the last mainline move, outside variations; the move is already on this.chess)
+     */
+    _isAlternativeSolution(normalizedAttempt) {
+        return !this.isInVariation
+            && this.moveIndex === this.currentMoves.length - 1
+            && (this.alternativeMoves.includes(normalizedAttempt) || this.chess.in_checkmate());
+    }
+
     /**
      * Check if a player's move matches any variation of the expected move
      * Returns { variation, isBad, firstMove } or null if not available
@@ -720,7 +908,10 @@ class WoodpeckerTrainer {
             puzzleIndex: this.currentPuzzleIndex,
             correct,
             timeMs,
-            mistakes: this.mistakes
+            mistakes: this.mistakes,
+            moves: [...this.playedMoves],
+            clientId: WoodpeckerTrainer.newClientId(),
+            recordedAt: new Date().toISOString()
         };
 
         this.sessionAttempts.push(attempt);
@@ -778,6 +969,7 @@ class WoodpeckerTrainer {
         this.currentMoves = [];
         this.moveIndex = 0;
         this.mistakes = 0;
+        this.playedMoves = [];
         this.sessionAttempts = [];
         this.moveStack = [];
         this._variationsDone = false;
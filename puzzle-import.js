@@ -0,0 +1,196 @@
+const fs = require('fs');
+const readline = require('readline');
+const { Chess } = require('chess.js');
+
+// Column order of the Lichess puzzle database when the file has no header row
+const LICHESS_COLUMNS = ['PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation', 'Popularity', 'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'];
+
+function uciToMove(uci) {
+    return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || undefined };
+}
+
+// Number SAN moves from a FEN's side to move / fullmove counter ("12... Qxd5 13. Nxd5")
+function formatMovetext(fen, sans) {
+    const parts = fen.split(' ');
+    let moveNumber = parseInt(parts[5]) || 1;
+    let white = parts[1] !== 'b';
+    const out = [];
+    sans.forEach((san, i) => {
+        if (white) out.push(`${moveNumber}. ${san}`);
+        else out.push(i === 0 ? `${moveNumber}... ${san}` : san);
+        if (!white) moveNumber++;
+        white = !white;
+    });
+    return out.join(' ');
+}
+
+function pgnHeader(name, value) {
+    return `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+}
+
+/**
+ * Convert one Lichess puzzle row to a PGN game.
+ * The CSV FEN is the position before the opponent's move; the first UCI move is that
+ * setup move, so the puzzle starts after it with the player to move.
+ * @returns {string|null} PGN text, or null if the FEN/moves don't replay
+ */
+function lichessPuzzleToPGN(row) {
+    const chess = new Chess();
+    if (!row.FEN || !chess.load(row.FEN)) return null;
+
+    const uci = (row.Moves || '').trim().split(/\s+/).filter(Boolean);
+    if (uci.length < 2) return null;
+    if (!chess.move(uciToMove(uci[0]))) return null;
+
+    const fen = chess.fen();
+    const sans = [];
+    for (const m of uci.slice(1)) {
+        const result = chess.move(uciToMove(m));
+        if (!result) return null;
+        sans.push(result.san);
+    }
+
+    const headers = [
+        pgnHeader('Event', `Lichess puzzle ${row.PuzzleId}`),
+        pgnHeader('Site', `https://lichess.org/training/${row.PuzzleId}`),
+        pgnHeader('PuzzleId', row.PuzzleId),
+        pgnHeader('SetUp', '1'),
+        pgnHeader('FEN', fen)
+    ];
+    if (row.Rating) headers.push(pgnHeader('Rating', row.Rating));
+    if (row.Themes) headers.push(pgnHeader('Theme', row.Themes));
+    if (row.GameUrl) headers.push(pgnHeader('GameUrl', row.GameUrl));
+
+    return `${headers.join('\n')}\n\n${formatMovetext(fen, sans)} *`;
+}
+
+/**
+ * Stream a Lichess puzzle CSV and build a PGN from the rows matching the filters.
+ * Reading stops once `limit` puzzles are collected; the result is ordered by rating.
+ * @param {string} filePath
+ * @param {{ minRating?: number, maxRating?: number, themes?: string[], limit: number }} filters
+ *        themes: a puzzle matches if it has any of them
+ * @returns {Promise<{ pgnContent: string, imported: number, scanned: number, skipped: number }>}
+ */
+async function importLichessCSV(filePath, filters) {
+    const themes = (filters.themes || []).map(t => t.toLowerCase());
+    const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+    let columns = LICHESS_COLUMNS;
+    let first = true;
+    let scanned = 0, skipped = 0;
+    const puzzles = [];
+
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        const cells = line.split(',');
+        if (first) {
+            first = false;
+            if (cells[0] === 'PuzzleId') {
+                columns = cells;
+                continue;
+            }
+        }
+
+        scanned++;
+        const row = {};
+        columns.forEach((c, i) => { row[c] = (cells[i] || '').trim(); });
+
+        const rating = parseInt(row.Rating) || 0;
+        if (filters.minRating && rating < filters.minRating) continue;
+        if (filters.maxRating && rating > filters.maxRating) continue;
+        if (themes.length > 0) {
+            const rowThemes = row.Themes.toLowerCase().split(/\s+/);
+            if (!themes.some(t => rowThemes.includes(t))) continue;
+        }
+
+        const pgn = lichessPuzzleToPGN(row);
+        if (!pgn) { skipped++; continue; }
+        puzzles.push({ rating, pgn });
+        if (puzzles.length >= filters.limit) break;
+    }
+    rl.close();
+
+    puzzles.sort((a, b) => a.rating - b.rating);
+    return {
+        pgnContent: puzzles.map(p => p.pgn).join('\n\n'),
+        imported: puzzles.length, scanned, skipped
+    };
+}
+
+// Split EPD operations: `bm Qg6 Rxf7; id "WAC.001"; c0 "Mate threat";`
+function parseEpdOperations(text) {
+    const ops = {};
+    const re = /([A-Za-z][A-Za-z0-9_]*)\s*((?:"[^"]*"|[^;"])*);/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        ops[match[1]] = match[2].trim();
+    }
+    return ops;
+}
+
+function unquote(value) {
+    return (value || '').replace(/^"|"$/g, '');
+}
+
+/**
+ * Convert one EPD / FEN-list record into a one-move puzzle.
+ * bm moves are correct (the first is the mainline, all are listed in [BestMoves]),
+ * am moves are added as "?" variations so the trainer counts them as mistakes,
+ * id becomes the title ([Event]) and c0 the game comment.
+ * @returns {{ pgn: string }|{ error: string }}
+ */
+function epdRecordToPGN(line) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 4) return { error: 'Thiếu trường FEN' };
+
+    // A FEN-list line may carry the halfmove / fullmove counters; EPD uses hmvc / fmvn opcodes instead
+    const hasCounters = /^\d+$/.test(fields[4] || '') && /^\d+$/.test(fields[5] || '');
+    const opsText = fields.slice(hasCounters ? 6 : 4).join(' ');
+    const ops = parseEpdOperations(opsText);
+    const fen = `${fields.slice(0, 4).join(' ')} ${hasCounters ? fields[4] : (ops.hmvc || 0)} ${hasCounters ? fields[5] : (ops.fmvn || 1)}`;
+
+    const chess = new Chess();
+    if (!chess.load(fen)) return { error: 'FEN không hợp lệ' };
+
+    // Canonical SAN for each operand (EPD files are loose about +, #, !)
+    const toSan = (operand) => {
+        const result = chess.move(operand.replace(/[!?]+$/, ''), { sloppy: true });
+        if (!result) return null;
+        chess.undo();
+        return result.san;
+    };
+    const bm = (ops.bm || '').split(/\s+/).filter(Boolean).map(toSan);
+    const am = (ops.am || '').split(/\s+/).filter(Boolean).map(toSan);
+    if (bm.length === 0) return { error: 'Không có nước bm' };
+    if (bm.includes(null) || am.includes(null)) return { error: 'Nước bm/am không hợp lệ' };
+
+    const headers = [pgnHeader('Event', unquote(ops.id) || 'EPD puzzle')];
+    if (ops.id) headers.push(pgnHeader('PuzzleId', unquote(ops.id)));
+    headers.push(pgnHeader('SetUp', '1'), pgnHeader('FEN', fen));
+    if (bm.length > 1) headers.push(pgnHeader('BestMoves', bm.join(' ')));
+    if (am.length > 0) headers.push(pgnHeader('AvoidMoves', am.join(' ')));
+
+    const comment = unquote(ops.c0);
+    const variations = am.map(san => ` (${formatMovetext(fen, [san])}?)`).join('');
+    const movetext = `${comment ? `{${comment.replace(/[{}]/g, '')}} ` : ''}${formatMovetext(fen, [bm[0]])}${variations} *`;
+    return { pgn: `${headers.join('\n')}\n\n${movetext}` };
+}
+
+/**
+ * Convert an .epd / .fen file into PGN, one puzzle per record.
+ * @returns {{ pgnContent: string, imported: number, skipped: Array<{ line: number, error: string }> }}
+ */
+function epdToPGN(text) {
+    const games = [];
+    const skipped = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const result = epdRecordToPGN(line);
+        if (result.pgn) games.push(result.pgn);
+        else skipped.push({ line: i + 1, error: result.error });
+    });
+    return { pgnContent: games.join('\n\n'), imported: games.length, skipped };
+}
+
+module.exports = { importLichessCSV, lichessPuzzleToPGN, epdToPGN, formatMovetext };
@@ -3,7 +3,16 @@ const multer = require('multer');
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const { pool, initDB, generateId } = require('./db');
+const { Chess } = require('chess.js');
+const PGNParser = require('./js/pgn-parser');
+const { importLichessCSV, epdToPGN } = require('./puzzle-import');
+const SpacedRepetition = require('./js/spaced-repetition');
+const glicko2 = require('./glicko2');
+const WoodpeckerTrainer = require('./js/woodpecker-trainer');
+const totp = require('./totp');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,8 +35,9 @@ app.get('/healthz', (req, res) => {
     res.status(200).json({ status: 'ok', uptime: process.uptime() });
 });
 
-// Serve Woodpecker app at root
+// Serve Woodpecker app at root (the setup page until the first admin exists)
 app.get('/', (req, res) => {
+    if (setupToken) return res.redirect('/setup');
     res.sendFile(path.join(__dirname, 'woodpecker.html'));
 });
 
@@ -46,36 +56,79 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB max
 });
 
+// Multer for puzzle set uploads: PGN, or EPD / FEN lists converted to PGN on the server
+const puzzleUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(pgn|epd|fen)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Chỉ chấp nhận file PGN, EPD hoặc FEN'));
+        }
+    },
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB max
+});
+
+// Multer for Lichess puzzle CSVs (disk storage — the database dump is large and streamed, then deleted)
+const csvUpload = multer({
+    dest: os.tmpdir(),
+    fileFilter: (req, file, cb) => {
+        if (file.originalname.toLowerCase().endsWith('.csv')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Chỉ chấp nhận file CSV'));
+        }
+    },
+    limits: { fileSize: 1024 * 1024 * 1024 } // 1GB max
+});
+
 // ===== HELPERS =====
 function generateToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
 // ===== AUTH MIDDLEWARE =====
+// Helper: the user a login token belongs to, as { userId }, or { error } (a 401 message).
+// Tokens expire after 7 days; an expired one is deleted.
+async function resolveLoginToken(token) {
+    const { rows: sessions } = await pool.query(
+        'SELECT user_id, created_at FROM sessions WHERE token = $1', [token]
+    );
+    if (sessions.length === 0) return { error: 'Phiên đăng nhập không hợp lệ' };
+
+    const session = sessions[0];
+
+    // Check expiry (7 days)
+    if (Date.now() - new Date(session.created_at).getTime() > 7 * 24 * 60 * 60 * 1000) {
+        await pool.query('DELETE FROM sessions WHERE token = $1', [token]);
+        return { error: 'Phiên đăng nhập đã hết hạn' };
+    }
+    return { userId: session.user_id };
+}
+
 async function authMiddleware(req, res, next) {
     const token = req.headers['authorization']?.replace('Bearer ', '');
     if (!token) return res.status(401).json({ error: 'Cần đăng nhập' });
 
     try {
-        const { rows: sessions } = await pool.query(
-            'SELECT user_id, created_at FROM sessions WHERE token = $1', [token]
-        );
-        if (sessions.length === 0) return res.status(401).json({ error: 'Phiên đăng nhập không hợp lệ' });
-
-        const session = sessions[0];
-
-        // Check expiry (7 days)
-        if (Date.now() - new Date(session.created_at).getTime() > 7 * 24 * 60 * 60 * 1000) {
-            await pool.query('DELETE FROM sessions WHERE token = $1', [token]);
-            return res.status(401).json({ error: 'Phiên đăng nhập đã hết hạn' });
-        }
+        const login = await resolveLoginToken(token);
+        if (login.error) return res.status(401).json({ error: login.error });
 
         const { rows: users } = await pool.query(
-            'SELECT id, username, role FROM users WHERE id = $1', [session.user_id]
+            'SELECT id, username, role, totp_enabled, must_change_password FROM users WHERE id = $1', [login.userId]
         );
         if (users.length === 0) return res.status(401).json({ error: 'Người dùng không tồn tại' });
 
-        req.user = users[0];
+        req.user = publicUser(users[0]);
+
+        // Until a forced password change / required 2FA enrollment is done, only the auth routes
+        // (change password, enrollment, logout) are reachable
+        if (req.user.passwordChangeRequired && !req.originalUrl.startsWith('/api/auth/')) {
+            return res.status(403).json({ error: 'Cần đổi mật khẩu trước khi tiếp tục', passwordChangeRequired: true });
+        }
+        if (req.user.twoFactorSetupRequired && !req.originalUrl.startsWith('/api/auth/')) {
+            return res.status(403).json({ error: 'Cần bật xác thực 2 bước trước khi tiếp tục', twoFactorSetupRequired: true });
+        }
         next();
     } catch (err) {
         console.error('Auth error:', err);
@@ -83,6 +136,16 @@ async function authMiddleware(req, res, next) {
     }
 }
 
+// Helper: the user object handed to the client (and kept on req.user)
+function publicUser(user) {
+    const twoFactorEnabled = !!user.totp_enabled;
+    return {
+        id: user.id, username: user.username, role: user.role, twoFactorEnabled,
+        twoFactorSetupRequired: isTwoFactorRequired(user) && !twoFactorEnabled,
+        passwordChangeRequired: !!user.must_change_password
+    };
+}
+
 function adminMiddleware(req, res, next) {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ error: 'Cần quyền admin' });
@@ -90,6 +153,121 @@ function adminMiddleware(req, res, next) {
     next();
 }
 
+// Admins and coaches; the routes behind it limit a coach to their roster (canManageUser / rosterScope)
+function staffMiddleware(req, res, next) {
+    if (req.user.role !== 'admin' && req.user.role !== 'coach') {
+        return res.status(403).json({ error: 'Cần quyền admin hoặc huấn luyện viên' });
+    }
+    next();
+}
+
+const USER_ROLES = ['user', 'coach', 'admin'];
+
+// Helper: admins manage every user, a coach only the students on their roster
+async function canManageUser(user, userId) {
+    if (user.role === 'admin') return true;
+    const { rows } = await pool.query(
+        `SELECT 1 FROM users WHERE id = $1 AND coach_id = $2 AND role = 'user'`, [userId, user.id]
+    );
+    return rows.length > 0;
+}
+
+// Helper: SQL condition keeping `column` (a user id) to the students the staff user manages
+// ('TRUE' for admins); pushes its parameter onto `params`
+function rosterScope(user, column, params) {
+    if (user.role === 'admin') return 'TRUE';
+    params.push(user.id);
+    return `${column} IN (SELECT id FROM users WHERE coach_id = $${params.length} AND role = 'user')`;
+}
+
+// ===== FIRST-RUN SETUP =====
+// While no admin exists the server serves a one-time page that creates one. It is guarded by a
+// token printed to the console at startup, so only whoever can read the server logs can use it.
+let setupToken = null;
+
+async function checkSetupRequired() {
+    const { rows } = await pool.query("SELECT 1 FROM users WHERE role = 'admin' LIMIT 1");
+    if (rows.length > 0) {
+        setupToken = null;
+        return;
+    }
+    setupToken = crypto.randomBytes(16).toString('hex');
+    console.log('  ⚠ No admin account yet — open /setup to create one');
+    console.log(`  ℹ Setup token: ${setupToken}`);
+}
+
+// bcrypt hash of the password older versions gave the admin they created on an empty database (the
+// password itself is not kept). No account is created with it any more; an admin who still logs in
+// with it is flagged must_change_password.
+const LEGACY_DEFAULT_PASSWORD_HASH = '$2b$10$9gXBHuJngi.aSjismI0lBuZjaHviRbWX60zMoxs0LtgHsag.oIoMq';
+
+function isLegacyDefaultPassword(password) {
+    return bcrypt.compare(password, LEGACY_DEFAULT_PASSWORD_HASH);
+}
+
+// Admins flagged for the legacy default password who haven't changed it yet
+async function warnPendingPasswordChanges() {
+    const { rows } = await pool.query(
+        "SELECT username FROM users WHERE role = 'admin' AND must_change_password"
+    );
+    for (const u of rows) {
+        console.warn(`  ⚠ Admin "${u.username}" still uses the old default password — it must be changed at the next login`);
+    }
+}
+
+// Helper: constant-time comparison against the current setup token
+function isValidSetupToken(token) {
+    if (!setupToken || typeof token !== 'string') return false;
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token.trim()), hash(setupToken));
+}
+
+app.get('/setup', (req, res) => {
+    if (!setupToken) return res.redirect('/');
+    res.sendFile(path.join(__dirname, 'setup.html'));
+});
+
+app.post('/api/setup', async (req, res) => {
+    if (!setupToken) return res.status(410).json({ error: 'Hệ thống đã được thiết lập' });
+    const { token, fullName, username, password, confirmPassword } = req.body;
+    if (!isValidSetupToken(token)) return res.status(403).json({ error: 'Mã thiết lập không đúng' });
+
+    if (!username || !password || !confirmPassword) {
+        return res.status(400).json({ error: 'Vui lòng điền đầy đủ thông tin' });
+    }
+    if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
+        return res.status(400).json({ error: 'Username chỉ chứa chữ, số, dấu gạch dưới (3-20 ký tự)' });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Mật khẩu admin phải có ít nhất 8 ký tự' });
+    }
+    if (password !== confirmPassword) {
+        return res.status(400).json({ error: 'Mật khẩu xác nhận không khớp' });
+    }
+
+    try {
+        const { rows: existing } = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
+        if (existing.length > 0) return res.status(400).json({ error: 'Username đã tồn tại' });
+
+        // The NOT EXISTS guard keeps two concurrent submissions from both creating an admin
+        const hash = await bcrypt.hash(password, 10);
+        const { rowCount } = await pool.query(
+            `INSERT INTO users (id, username, full_name, password_hash, role, status)
+             SELECT $1, $2, $3, $4, 'admin', 'active'
+             WHERE NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`,
+            [generateId(), username, fullName || 'Administrator', hash]
+        );
+        setupToken = null;
+        if (rowCount === 0) return res.status(410).json({ error: 'Hệ thống đã được thiết lập' });
+
+        console.log(`  ✓ Admin account created: ${username}`);
+        res.json({ success: true, message: 'Đã tạo tài khoản admin. Bạn có thể đăng nhập.' });
+    } catch (err) {
+        console.error('Setup error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // ===== AUTH API =====
 
 app.post('/api/auth/login', async (req, res) => {
@@ -109,22 +287,74 @@ app.post('/api/auth/login', async (req, res) => {
         const valid = await bcrypt.compare(password, user.password_hash);
         if (!valid) return res.status(401).json({ error: 'Sai tên đăng nhập hoặc mật khẩu' });
 
-        // Clean up ALL old sessions for this user to prevent stale session issues
-        await pool.query('DELETE FROM sessions WHERE user_id = $1', [user.id]);
+        // An admin still on the legacy default password has to change it before anything else
+        if (user.role === 'admin' && !user.must_change_password && await isLegacyDefaultPassword(password)) {
+            await pool.query('UPDATE users SET must_change_password = TRUE WHERE id = $1', [user.id]);
+            user.must_change_password = true;
+            console.warn(`  ⚠ Admin "${user.username}" logged in with the old default password — a password change is required`);
+        }
 
-        const token = generateToken();
-        await pool.query('INSERT INTO sessions (token, user_id) VALUES ($1, $2)', [token, user.id]);
+        // With 2FA on, the password only earns a challenge for POST /api/auth/login/2fa
+        if (user.totp_enabled) {
+            return res.json({ twoFactorRequired: true, challenge: createLoginChallenge(user.id) });
+        }
 
-        res.json({ token, user: { id: user.id, username: user.username, role: user.role } });
+        res.json(await startSession(user));
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
+// Helper: log the user in, replacing their other sessions
+async function startSession(user) {
+    // Clean up ALL old sessions for this user to prevent stale session issues
+    await pool.query('DELETE FROM sessions WHERE user_id = $1', [user.id]);
+
+    const token = generateToken();
+    await pool.query('INSERT INTO sessions (token, user_id) VALUES ($1, $2)', [token, user.id]);
+    return { token, user: publicUser(user) };
+}
+
+// Second login step: a code from the authenticator app, or one of the recovery codes.
+// 410 when the challenge is gone (expired / too many wrong codes): start again with the password.
+app.post('/api/auth/login/2fa', async (req, res) => {
+    const { challenge, code } = req.body;
+    const pending = loginChallenges.get(challenge);
+    if (!pending || pending.expires < Date.now()) {
+        loginChallenges.delete(challenge);
+        return res.status(410).json({ error: 'Phiên xác thực đã hết hạn, vui lòng đăng nhập lại' });
+    }
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM users WHERE id = $1', [pending.userId]);
+        const user = rows[0];
+        if (!user || !user.totp_enabled) {
+            loginChallenges.delete(challenge);
+            return res.status(410).json({ error: 'Phiên xác thực đã hết hạn, vui lòng đăng nhập lại' });
+        }
+
+        const failure = await verifySecondFactor(user, code);
+        if (failure) {
+            // A handful of guesses per password login, then it starts over
+            if (failure.status === 429 || ++pending.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) loginChallenges.delete(challenge);
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        loginChallenges.delete(challenge);
+        res.json(await startSession(user));
+    } catch (err) {
+        console.error('Login 2FA error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // ===== SELF-REGISTRATION =====
+// Without a join code the account waits for an admin; a valid code activates it at once and
+// assigns the code's sets and courses
 app.post('/api/auth/register', async (req, res) => {
     const { fullName, username, password, confirmPassword, dateOfBirth } = req.body;
+    const joinCode = normalizeJoinCode(req.body.joinCode);
 
     if (!fullName || !username || !password || !confirmPassword || !dateOfBirth) {
         return res.status(400).json({ error: 'Vui lòng điền đầy đủ thông tin' });
@@ -139,22 +369,49 @@ app.post('/api/auth/register', async (req, res) => {
         return res.status(400).json({ error: 'Username chỉ chứa chữ, số, dấu gạch dưới (3-20 ký tự)' });
     }
 
+    const client = await pool.connect();
     try {
-        const { rows: existing } = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
+        const { rows: existing } = await client.query('SELECT id FROM users WHERE username = $1', [username]);
         if (existing.length > 0) return res.status(400).json({ error: 'Username đã tồn tại' });
 
         const hash = await bcrypt.hash(password, 10);
         const id = generateId();
-        await pool.query(
-            `INSERT INTO users (id, username, full_name, password_hash, date_of_birth, role, status)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-            [id, username, fullName, hash, dateOfBirth, 'user', 'pending']
+        await client.query('BEGIN');
+
+        // Take one use of the code; the row only matches while it is unexpired and not used up
+        let code = null;
+        if (joinCode) {
+            const { rows } = await client.query(
+                `UPDATE join_codes SET use_count = use_count + 1
+                 WHERE code = $1 AND expires_at > NOW() AND use_count < max_uses
+                 RETURNING *`,
+                [joinCode]
+            );
+            if (rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Mã tham gia không hợp lệ, đã hết hạn hoặc hết lượt dùng' });
+            }
+            code = rows[0];
+        }
+
+        await client.query(
+            `INSERT INTO users (id, username, full_name, password_hash, date_of_birth, role, status, join_code_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [id, username, fullName, hash, dateOfBirth, 'user', code ? 'active' : 'pending', code ? code.id : null]
         );
+        await client.query('COMMIT');
 
-        res.json({ success: true, message: 'Đăng ký thành công! Vui lòng chờ admin duyệt tài khoản.' });
+        if (!code) {
+            return res.json({ success: true, message: 'Đăng ký thành công! Vui lòng chờ admin duyệt tài khoản.' });
+        }
+        await grantJoinCode(code, id);
+        res.json({ success: true, approved: true, message: 'Đăng ký thành công! Bạn có thể đăng nhập ngay.' });
     } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
         console.error('Register error:', err);
         res.status(500).json({ error: 'Lỗi server' });
+    } finally {
+        client.release();
     }
 });
 
@@ -168,22 +425,263 @@ app.get('/api/auth/me', authMiddleware, (req, res) => {
     res.json(req.user);
 });
 
+// Change the own password; also how a forced change (legacy default admin password) is completed
+app.post('/api/auth/password', authMiddleware, async (req, res) => {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        return res.status(400).json({ error: 'Vui lòng điền đầy đủ thông tin' });
+    }
+    if (newPassword !== confirmPassword) {
+        return res.status(400).json({ error: 'Mật khẩu xác nhận không khớp' });
+    }
+    const minLength = req.user.role === 'admin' ? 8 : 4;
+    if (newPassword.length < minLength) {
+        return res.status(400).json({ error: `Mật khẩu mới phải có ít nhất ${minLength} ký tự` });
+    }
+
+    try {
+        if (newPassword === currentPassword || await isLegacyDefaultPassword(newPassword)) {
+            return res.status(400).json({ error: 'Hãy chọn một mật khẩu khác' });
+        }
+        const { rows } = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+        if (!(await bcrypt.compare(currentPassword, rows[0].password_hash))) {
+            return res.status(401).json({ error: 'Mật khẩu hiện tại không đúng' });
+        }
+
+        const hash = await bcrypt.hash(newPassword, 10);
+        await pool.query('UPDATE users SET password_hash = $1, must_change_password = FALSE WHERE id = $2', [hash, req.user.id]);
+        // Other devices have to log in with the new password
+        const token = req.headers['authorization']?.replace('Bearer ', '');
+        await pool.query('DELETE FROM sessions WHERE user_id = $1 AND token <> $2', [req.user.id, token]);
+        res.json({ success: true, message: 'Đã đổi mật khẩu' });
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== TWO-FACTOR AUTH =====
+// Optional TOTP (totp.js) for admin and coach accounts; the org setting require_admin_2fa makes it
+// mandatory for admins. Enrollment: setup (secret + otpauth URL for the QR code) → enable (first code
+// confirms the app, recovery codes are handed out once).
+const TOTP_ISSUER = 'TriTueTre Chess';
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+// Per account, across challenges: every TOTP_MAX_FAILURES wrong codes lock the second factor,
+// starting at TOTP_LOCKOUT_SECONDS and doubling with each further lockout up to a day
+const TOTP_MAX_FAILURES = 5;
+const TOTP_LOCKOUT_SECONDS = 15 * 60;
+const TOTP_LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+// Password-verified logins waiting for their second factor: challenge → { userId, expires, attempts }
+const loginChallenges = new Map();
+
+function createLoginChallenge(userId) {
+    const now = Date.now();
+    for (const [key, pending] of loginChallenges) {
+        if (pending.expires < now) loginChallenges.delete(key);
+    }
+    const challenge = generateToken();
+    loginChallenges.set(challenge, { userId, expires: now + LOGIN_CHALLENGE_TTL, attempts: 0 });
+    return challenge;
+}
+
+function isTwoFactorRequired(user) {
+    return user.role === 'admin' && orgSettings.require_admin_2fa === true;
+}
+
+// Helper: recovery codes are compared case- and dash-insensitively, stored as SHA-256
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+// Helper: true if `code` is a current TOTP not used before or an unused recovery code (either is then used up)
+async function checkSecondFactor(user, code) {
+    if (!code || !user.totp_secret) return false;
+    const step = totp.verify(user.totp_secret, code, user.totp_last_step);
+    if (step !== null) {
+        // Conditional, so two requests racing with the same code can't both get through
+        const { rowCount } = await pool.query(
+            `UPDATE users SET totp_last_step = $2
+             WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+            [user.id, step]
+        );
+        return rowCount > 0;
+    }
+    const { rowCount } = await pool.query(
+        `UPDATE users SET totp_recovery_codes = array_remove(totp_recovery_codes, $2)
+         WHERE id = $1 AND $2 = ANY(totp_recovery_codes)`,
+        [user.id, hashRecoveryCode(code)]
+    );
+    return rowCount > 0;
+}
+
+// Helper: checkSecondFactor behind the per-account failure limit. null when the code is accepted,
+// otherwise { status, error } for the response (429 while the account is locked).
+async function verifySecondFactor(user, code) {
+    // Count the attempt before checking it, so parallel guesses can't slip past the limit
+    const { rows } = await pool.query(
+        `UPDATE users SET totp_failed_attempts = totp_failed_attempts + 1,
+                totp_locked_until = CASE WHEN (totp_failed_attempts + 1) % $2 = 0
+                    THEN NOW() + make_interval(secs => LEAST($3 * power(2, (totp_failed_attempts + 1) / $2 - 1), $4))
+                    ELSE totp_locked_until END
+         WHERE id = $1 AND (totp_locked_until IS NULL OR totp_locked_until <= NOW())
+         RETURNING totp_failed_attempts, totp_locked_until`,
+        [user.id, TOTP_MAX_FAILURES, TOTP_LOCKOUT_SECONDS, TOTP_LOCKOUT_MAX_SECONDS]
+    );
+    if (!rows[0]) {
+        const { rows: locked } = await pool.query('SELECT totp_locked_until FROM users WHERE id = $1', [user.id]);
+        return totpLockedError(locked[0] && locked[0].totp_locked_until);
+    }
+
+    if (await checkSecondFactor(user, code)) {
+        await pool.query(
+            'UPDATE users SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = $1',
+            [user.id]
+        );
+        return null;
+    }
+
+    const { totp_failed_attempts: failedAttempts, totp_locked_until: lockedUntil } = rows[0];
+    if (failedAttempts % TOTP_MAX_FAILURES === 0) {
+        await recordAudit('totp_lockout', user, user, { failedAttempts, lockedUntil });
+        return totpLockedError(lockedUntil);
+    }
+    return { status: 401, error: 'Mã xác thực không đúng' };
+}
+
+function totpLockedError(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+    return { status: 429, error: `Nhập sai mã quá nhiều lần, thử lại sau ${minutes} phút` };
+}
+
+// Helper: append to the security audit log (actor / target are { id, username })
+async function recordAudit(action, actor, target, details = null) {
+    await pool.query(
+        `INSERT INTO audit_log (id, action, actor_id, actor_name, target_user_id, target_name, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [generateId(), action, actor.id, actor.username, target ? target.id : null, target ? target.username : null,
+            details ? JSON.stringify(details) : null]
+    );
+}
+
+app.get('/api/auth/2fa', authMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT totp_enabled, cardinality(totp_recovery_codes) AS codes_left FROM users WHERE id = $1', [req.user.id]
+        );
+        res.json({
+            enabled: !!rows[0].totp_enabled,
+            recoveryCodesLeft: rows[0].totp_enabled ? rows[0].codes_left || 0 : 0,
+            required: isTwoFactorRequired(req.user)
+        });
+    } catch (err) {
+        console.error('Get 2FA status error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Start (or restart) enrollment with a fresh secret; nothing changes for login until /enable
+app.post('/api/auth/2fa/setup', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) return res.status(400).json({ error: 'Xác thực 2 bước đã được bật' });
+
+        const secret = totp.generateSecret();
+        await pool.query('UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2', [secret, req.user.id]);
+        res.json({ secret, otpauthUrl: totp.otpauthUrl(secret, req.user.username, TOTP_ISSUER) });
+    } catch (err) {
+        console.error('2FA setup error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.post('/api/auth/2fa/enable', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) return res.status(400).json({ error: 'Xác thực 2 bước đã được bật' });
+        const { rows } = await pool.query('SELECT totp_secret, totp_last_step FROM users WHERE id = $1', [req.user.id]);
+        if (!rows[0].totp_secret) return res.status(400).json({ error: 'Chưa bắt đầu thiết lập xác thực 2 bước' });
+        const step = totp.verify(rows[0].totp_secret, req.body.code, rows[0].totp_last_step);
+        if (step === null) return res.status(400).json({ error: 'Mã xác thực không đúng' });
+
+        // The confirming code is used up too: it can't be replayed at the next login
+        const recoveryCodes = generateRecoveryCodes();
+        const { rowCount } = await pool.query(
+            `UPDATE users SET totp_enabled = TRUE, totp_recovery_codes = $1, totp_last_step = $3
+             WHERE id = $2 AND NOT totp_enabled AND (totp_last_step IS NULL OR totp_last_step < $3)`,
+            [recoveryCodes.map(hashRecoveryCode), req.user.id, step]
+        );
+        if (rowCount === 0) return res.status(400).json({ error: 'Mã xác thực không đúng' });
+        await recordAudit('totp_enabled', req.user, req.user);
+        res.json({ success: true, recoveryCodes, message: 'Đã bật xác thực 2 bước' });
+    } catch (err) {
+        console.error('2FA enable error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Turning it off takes the password and a current (or recovery) code
+app.post('/api/auth/2fa/disable', authMiddleware, async (req, res) => {
+    const { password, code } = req.body;
+    if (!password || !code) return res.status(400).json({ error: 'Nhập mật khẩu và mã xác thực' });
+
+    try {
+        if (isTwoFactorRequired(req.user)) {
+            return res.status(400).json({ error: 'Tổ chức yêu cầu admin bật xác thực 2 bước' });
+        }
+        const { rows } = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+        const user = rows[0];
+        if (!user.totp_enabled) return res.status(400).json({ error: 'Xác thực 2 bước chưa được bật' });
+        if (!(await bcrypt.compare(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Mật khẩu không đúng' });
+        }
+        const failure = await verifySecondFactor(user, code);
+        if (failure) return res.status(failure.status).json({ error: failure.error });
+
+        await pool.query(
+            `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_recovery_codes = '{}', totp_last_step = NULL,
+                 totp_failed_attempts = 0, totp_locked_until = NULL
+             WHERE id = $1`,
+            [req.user.id]
+        );
+        await recordAudit('totp_disabled', req.user, req.user);
+        res.json({ success: true, message: 'Đã tắt xác thực 2 bước' });
+    } catch (err) {
+        console.error('2FA disable error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // ===== ADMIN USER MANAGEMENT =====
 
-app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res) => {
+// Coaches get their roster only
+app.get('/api/admin/users', authMiddleware, staffMiddleware, async (req, res) => {
     try {
-        let query = 'SELECT id, username, full_name, date_of_birth, role, status, created_at FROM users';
         const params = [];
+        let query = `SELECT u.id, u.username, u.full_name, u.date_of_birth, u.role, u.status, u.created_at,
+                            u.coach_id, co.username AS coach_name, u.totp_enabled
+                     FROM users u LEFT JOIN users co ON u.coach_id = co.id
+                     WHERE ${rosterScope(req.user, 'u.id', params)}`;
         if (req.query.status) {
-            query += ' WHERE status = $1';
             params.push(req.query.status);
+            query += ` AND u.status = $${params.length}`;
         }
-        query += ' ORDER BY created_at ASC';
+        query += ' ORDER BY u.created_at ASC';
         const { rows } = await pool.query(query, params);
         res.json(rows.map(u => ({
             id: u.id, username: u.username, fullName: u.full_name || '',
             dateOfBirth: u.date_of_birth || '', role: u.role,
-            status: u.status || 'active', createdAt: u.created_at
+            status: u.status || 'active', createdAt: u.created_at,
+            coachId: u.coach_id, coachName: u.coach_name || null,
+            twoFactorEnabled: !!u.totp_enabled
         })));
     } catch (err) {
         console.error('Get users error:', err);
@@ -191,28 +689,77 @@ app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res) =>
     }
 });
 
-app.post('/api/admin/users', authMiddleware, adminMiddleware, async (req, res) => {
-    const { username, password, role } = req.body;
+// A coach creates students straight onto their own roster
+app.post('/api/admin/users', authMiddleware, staffMiddleware, async (req, res) => {
+    const { username, password } = req.body;
     if (!username || !password) return res.status(400).json({ error: 'Thiếu username hoặc password' });
+    const isAdmin = req.user.role === 'admin';
+    const role = isAdmin ? (req.body.role || 'user') : 'user';
+    if (!USER_ROLES.includes(role)) return res.status(400).json({ error: 'Vai trò không hợp lệ' });
 
     try {
+        let coachId = isAdmin ? null : req.user.id;
+        if (isAdmin && req.body.coachId && role === 'user') {
+            const coach = await resolveCoachId(req.body.coachId);
+            if (coach.error) return res.status(400).json({ error: coach.error });
+            coachId = coach.coachId;
+        }
+
         const { rows: existing } = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
         if (existing.length > 0) return res.status(400).json({ error: 'Username đã tồn tại' });
 
         const hash = await bcrypt.hash(password, 10);
         const id = generateId();
         await pool.query(
-            `INSERT INTO users (id, username, full_name, password_hash, role, status)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-            [id, username, req.body.fullName || '', hash, role || 'user', 'active']
+            `INSERT INTO users (id, username, full_name, password_hash, role, status, coach_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [id, username, req.body.fullName || '', hash, role, 'active', coachId]
         );
-        res.json({ id, username, role: role || 'user', status: 'active', createdAt: new Date().toISOString() });
+        res.json({ id, username, role, status: 'active', coachId, createdAt: new Date().toISOString() });
     } catch (err) {
         console.error('Create user error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
+// Helper: validate a coachId from a request body → { coachId } or { error }
+async function resolveCoachId(coachId) {
+    if (!coachId) return { coachId: null };
+    const { rows } = await pool.query(`SELECT id FROM users WHERE id = $1 AND role = 'coach'`, [coachId]);
+    if (rows.length === 0) return { error: 'Không tìm thấy huấn luyện viên' };
+    return { coachId: rows[0].id };
+}
+
+// Admin: change a user's role and / or the coach whose roster a student is on
+app.put('/api/admin/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT id, username, role, coach_id FROM users WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy user' });
+        const target = rows[0];
+
+        const role = req.body.role !== undefined ? req.body.role : target.role;
+        if (!USER_ROLES.includes(role)) return res.status(400).json({ error: 'Vai trò không hợp lệ' });
+        if (target.id === req.user.id && role !== target.role) {
+            return res.status(400).json({ error: 'Không thể tự đổi vai trò của mình' });
+        }
+
+        let coachId = req.body.coachId !== undefined ? req.body.coachId : target.coach_id;
+        if (role !== 'user') coachId = null;   // only students sit on a roster
+        const coach = await resolveCoachId(coachId);
+        if (coach.error) return res.status(400).json({ error: coach.error });
+
+        await pool.query('UPDATE users SET role = $1, coach_id = $2 WHERE id = $3', [role, coach.coachId, target.id]);
+        // A coach who stops being one leaves their students without a coach
+        if (target.role === 'coach' && role !== 'coach') {
+            await pool.query('UPDATE users SET coach_id = NULL WHERE coach_id = $1', [target.id]);
+        }
+        res.json({ success: true, role, coachId: coach.coachId, message: `Đã cập nhật ${target.username}` });
+    } catch (err) {
+        console.error('Update user error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 app.delete('/api/admin/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const { rows } = await pool.query('SELECT role FROM users WHERE id = $1', [req.params.id]);
@@ -257,8 +804,8 @@ app.post('/api/admin/users/:id/reject', authMiddleware, adminMiddleware, async (
     }
 });
 
-// Admin: Reset user password
-app.post('/api/admin/users/:id/reset-password', authMiddleware, adminMiddleware, async (req, res) => {
+// Admin / coach: Reset user password
+app.post('/api/admin/users/:id/reset-password', authMiddleware, staffMiddleware, async (req, res) => {
     const { newPassword } = req.body;
     if (!newPassword || newPassword.length < 4) {
         return res.status(400).json({ error: 'Mật khẩu mới phải có ít nhất 4 ký tự' });
@@ -266,7 +813,9 @@ app.post('/api/admin/users/:id/reset-password', authMiddleware, adminMiddleware,
 
     try {
         const { rows } = await pool.query('SELECT username, role FROM users WHERE id = $1', [req.params.id]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy user' });
+        if (rows.length === 0 || !(await canManageUser(req.user, req.params.id))) {
+            return res.status(404).json({ error: 'Không tìm thấy user' });
+        }
         if (rows[0].role === 'admin') return res.status(400).json({ error: 'Không thể đổi mật khẩu admin' });
 
         const hash = await bcrypt.hash(newPassword, 10);
@@ -282,9 +831,89 @@ app.post('/api/admin/users/:id/reset-password', authMiddleware, adminMiddleware,
     }
 });
 
-// Admin: Get user detailed stats
-app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (req, res) => {
+// For a user who lost their authenticator: 2FA is switched off (they can enroll again) and audited
+app.post('/api/admin/users/:id/reset-2fa', authMiddleware, adminMiddleware, async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'Không thể đặt lại 2FA của chính bạn' });
+    }
+
+    try {
+        const { rows } = await pool.query('SELECT id, username, totp_enabled FROM users WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy user' });
+        if (!rows[0].totp_enabled) return res.status(400).json({ error: 'User chưa bật xác thực 2 bước' });
+
+        await pool.query(
+            `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_recovery_codes = '{}', totp_last_step = NULL,
+                 totp_failed_attempts = 0, totp_locked_until = NULL
+             WHERE id = $1`,
+            [req.params.id]
+        );
+        // Sessions opened with the old factor end too
+        await pool.query('DELETE FROM sessions WHERE user_id = $1', [req.params.id]);
+        await recordAudit('totp_reset', req.user, rows[0], { reason: (req.body.reason || '').trim() || null });
+
+        res.json({ success: true, message: `Đã đặt lại xác thực 2 bước cho ${rows[0].username}` });
+    } catch (err) {
+        console.error('Reset 2FA error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== ORG SETTINGS & AUDIT LOG =====
+// Settings are cached in memory (read on every request by authMiddleware) and written through on change
+const orgSettings = { require_admin_2fa: false };
+
+async function loadOrgSettings() {
+    const { rows } = await pool.query('SELECT key, value FROM org_settings');
+    rows.forEach(r => { orgSettings[r.key] = r.value; });
+}
+
+app.get('/api/admin/settings', authMiddleware, adminMiddleware, (req, res) => {
+    res.json({ requireAdmin2fa: orgSettings.require_admin_2fa === true });
+});
+
+app.put('/api/admin/settings', authMiddleware, adminMiddleware, async (req, res) => {
+    const requireAdmin2fa = req.body.requireAdmin2fa === true;
+    // The admin turning the requirement on must not lock themselves out of the admin API
+    if (requireAdmin2fa && !req.user.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Hãy bật xác thực 2 bước cho tài khoản của bạn trước' });
+    }
+
+    try {
+        if (requireAdmin2fa !== (orgSettings.require_admin_2fa === true)) {
+            await pool.query(
+                `INSERT INTO org_settings (key, value, updated_by, updated_at) VALUES ('require_admin_2fa', $1, $2, NOW())
+                 ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+                [JSON.stringify(requireAdmin2fa), req.user.id]
+            );
+            orgSettings.require_admin_2fa = requireAdmin2fa;
+            await recordAudit('settings_updated', req.user, null, { requireAdmin2fa });
+        }
+        res.json({ success: true, message: 'Đã lưu cài đặt' });
+    } catch (err) {
+        console.error('Update settings error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.get('/api/admin/audit-log', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM audit_log ORDER BY created_at DESC LIMIT 50');
+        res.json(rows.map(a => ({
+            id: a.id, action: a.action, actorName: a.actor_name, targetName: a.target_name,
+            details: a.details, createdAt: a.created_at
+        })));
+    } catch (err) {
+        console.error('Get audit log error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin / coach: Get user detailed stats
+app.get('/api/admin/users/:id/stats', authMiddleware, staffMiddleware, async (req, res) => {
     try {
+        if (!(await canManageUser(req.user, req.params.id))) return res.status(404).json({ error: 'User not found' });
+
         // User info
         const { rows: userRows } = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.id]);
         if (userRows.length === 0) return res.status(404).json({ error: 'User not found' });
@@ -324,7 +953,11 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
 
         // Puzzle sets progress
         const { rows: sets } = await pool.query(
-            'SELECT id, name, puzzle_count FROM puzzle_sets WHERE assigned_to = $1', [req.params.id]
+            `SELECT ps.id, pl.name, pl.puzzle_count, ct.cycle_days
+             FROM puzzle_sets ps
+             JOIN puzzle_library pl ON ps.library_id = pl.id
+             LEFT JOIN cycle_templates ct ON ps.template_id = ct.id
+             WHERE ps.assigned_to = $1`, [req.params.id]
         );
         const setsProgress = [];
         for (const s of sets) {
@@ -342,7 +975,7 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
                     `SELECT COUNT(DISTINCT a.puzzle_index) AS solved
                      FROM attempts a
                      JOIN training_sessions ts ON a.session_id = ts.id
-                     WHERE ts.cycle_id = $1 AND a.correct = true`,
+                     WHERE ts.cycle_id = $1 AND a.correct = true AND ts.excluded_at IS NULL`,
                     [latestCycleId]
                 );
                 puzzlesSolved = parseInt(solvedRows[0].solved) || 0;
@@ -351,6 +984,7 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
             setsProgress.push({
                 name: s.name, puzzleCount: s.puzzle_count,
                 completedCycles, currentCycle, totalCycles: cycles.length,
+                scheduledCycles: cycleDaysFor(s).length,
                 puzzlesSolved
             });
         }
@@ -364,7 +998,7 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
             FROM training_sessions ts
             JOIN cycles c ON ts.cycle_id = c.id
             JOIN puzzle_sets ps ON c.set_id = ps.id
-            WHERE ps.assigned_to = $1
+            WHERE ps.assigned_to = $1 AND ts.excluded_at IS NULL
         `, [req.params.id]);
 
         const ss = sessionStats[0];
@@ -373,6 +1007,9 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
         const totalTimeMinutes = Math.round((parseInt(ss.total_time) || 0) / 60);
         const ppm = totalTimeMinutes > 0 ? (totalSolved / totalTimeMinutes).toFixed(2) : '0.00';
 
+        const themes = await getThemeStats('ps.assigned_to = $1', [req.params.id]);
+        const rating = await getRatingSummary(req.params.id);
+
         res.json({
             user: {
                 id: u.id, username: u.username, fullName: u.full_name,
@@ -389,7 +1026,9 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
                 accuracy: totalAttempted > 0 ? (totalSolved / totalAttempted * 100).toFixed(1) : '0.0',
                 totalTimeMinutes,
                 ppm
-            }
+            },
+            themes,
+            rating
         });
     } catch (err) {
         console.error('Admin user stats error:', err);
@@ -398,18 +1037,32 @@ app.get('/api/admin/users/:id/stats', authMiddleware, adminMiddleware, async (re
 });
 
 // ===== ADMIN REPORT: Per-Cycle Stats for All Users =====
-app.get('/api/admin/report', authMiddleware, adminMiddleware, async (req, res) => {
+app.get('/api/admin/report', authMiddleware, staffMiddleware, async (req, res) => {
     try {
-        // Get all active non-admin users
+        // Get all active non-admin users (a coach: their roster), optionally one group's members
+        const params = [];
+        let groupFilter = '';
+        if (req.query.groupId) {
+            const group = await findManagedGroup(req.user, req.query.groupId);
+            if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+            params.push(group.id);
+            groupFilter = `AND id IN (SELECT user_id FROM group_members WHERE group_id = $${params.length})`;
+        }
         const { rows: users } = await pool.query(
-            `SELECT id, username, full_name FROM users WHERE status = 'active' AND role != 'admin' ORDER BY full_name, username`
+            `SELECT id, username, full_name FROM users
+             WHERE status = 'active' AND role != 'admin' AND ${rosterScope(req.user, 'id', params)} ${groupFilter}
+             ORDER BY full_name, username`, params
         );
 
         const report = [];
         for (const user of users) {
             // Get all puzzle sets for this user
             const { rows: setRows } = await pool.query(
-                'SELECT id, name, puzzle_count FROM puzzle_sets WHERE assigned_to = $1 ORDER BY created_at', [user.id]
+                `SELECT ps.id, pl.name, pl.puzzle_count, ct.cycle_days
+                 FROM puzzle_sets ps
+                 JOIN puzzle_library pl ON ps.library_id = pl.id
+                 LEFT JOIN cycle_templates ct ON ps.template_id = ct.id
+                 WHERE ps.assigned_to = $1 ORDER BY ps.created_at`, [user.id]
             );
 
             const sets = [];
@@ -427,7 +1080,7 @@ app.get('/api/admin/report', authMiddleware, adminMiddleware, async (req, res) =
                         SELECT COALESCE(SUM(ts.duration), 0) AS total_time,
                                COALESCE(SUM(ts.puzzles_attempted), 0) AS attempted,
                                COALESCE(SUM(ts.puzzles_solved), 0) AS solved
-                        FROM training_sessions ts WHERE ts.cycle_id = $1
+                        FROM training_sessions ts WHERE ts.cycle_id = $1 AND ts.excluded_at IS NULL
                     `, [c.id]);
 
                     const st = sessStats[0];
@@ -455,6 +1108,7 @@ app.get('/api/admin/report', authMiddleware, adminMiddleware, async (req, res) =
                 sets.push({
                     setName: s.name,
                     puzzleCount: s.puzzle_count,
+                    totalCycles: cycleDaysFor(s).length,
                     cycles,
                     overall: {
                         totalTime: overallTime,
@@ -481,28 +1135,523 @@ app.get('/api/admin/report', authMiddleware, adminMiddleware, async (req, res) =
     }
 });
 
+// ===== ADMIN CYCLE TEMPLATES =====
+
+// Validate a cycle schedule: 1-20 cycles, each a positive number of days
+function parseCycleDays(input) {
+    const days = Array.isArray(input) ? input : String(input || '').split(',');
+    const parsed = days.map(d => parseInt(d, 10));
+    if (parsed.length === 0 || parsed.length > 20) return null;
+    if (parsed.some(d => !Number.isInteger(d) || d < 1 || d > 365)) return null;
+    return parsed;
+}
+
+function formatTemplate(t) {
+    return {
+        id: t.id, name: t.name, cycleDays: t.cycle_days,
+        totalCycles: t.cycle_days.length, createdAt: t.created_at,
+        setCount: t.set_count !== undefined ? parseInt(t.set_count) + parseInt(t.library_count || 0) : undefined
+    };
+}
+
+app.get('/api/admin/cycle-templates', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT ct.*, (SELECT COUNT(*) FROM puzzle_sets ps WHERE ps.template_id = ct.id) AS set_count,
+                   (SELECT COUNT(*) FROM puzzle_library pl WHERE pl.template_id = ct.id) AS library_count
+            FROM cycle_templates ct
+            ORDER BY ct.created_at ASC
+        `);
+        res.json(rows.map(formatTemplate));
+    } catch (err) {
+        console.error('Get cycle templates error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.post('/api/admin/cycle-templates', authMiddleware, adminMiddleware, async (req, res) => {
+    const { name } = req.body;
+    const cycleDays = parseCycleDays(req.body.cycleDays);
+    if (!name || !name.trim()) return res.status(400).json({ error: 'Cần nhập tên lịch' });
+    if (!cycleDays) return res.status(400).json({ error: 'Số ngày mỗi cycle không hợp lệ (1-20 cycles, mỗi cycle 1-365 ngày)' });
+
+    try {
+        const id = generateId();
+        const { rows } = await pool.query(
+            'INSERT INTO cycle_templates (id, name, cycle_days) VALUES ($1, $2, $3) RETURNING *',
+            [id, name.trim(), cycleDays]
+        );
+        res.json(formatTemplate(rows[0]));
+    } catch (err) {
+        console.error('Create cycle template error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Edits apply to cycles started afterwards; running cycles keep their target_days
+app.put('/api/admin/cycle-templates/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const updates = [];
+        const params = [];
+        let idx = 1;
+        if (req.body.name !== undefined) {
+            if (!req.body.name.trim()) return res.status(400).json({ error: 'Cần nhập tên lịch' });
+            updates.push(`name = $${idx++}`); params.push(req.body.name.trim());
+        }
+        if (req.body.cycleDays !== undefined) {
+            const cycleDays = parseCycleDays(req.body.cycleDays);
+            if (!cycleDays) return res.status(400).json({ error: 'Số ngày mỗi cycle không hợp lệ (1-20 cycles, mỗi cycle 1-365 ngày)' });
+            updates.push(`cycle_days = $${idx++}`); params.push(cycleDays);
+        }
+
+        if (updates.length === 0) return res.status(400).json({ error: 'Không có gì để cập nhật' });
+
+        params.push(req.params.id);
+        const { rows } = await pool.query(
+            `UPDATE cycle_templates SET ${updates.join(', ')} WHERE id = $${idx} RETURNING *`, params
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy lịch cycle' });
+        res.json(formatTemplate(rows[0]));
+    } catch (err) {
+        console.error('Update cycle template error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.delete('/api/admin/cycle-templates/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows: used } = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM puzzle_sets WHERE template_id = $1)
+                  + (SELECT COUNT(*) FROM puzzle_library WHERE template_id = $1) AS count`, [req.params.id]
+        );
+        if (parseInt(used[0].count) > 0) {
+            return res.status(400).json({ error: `Lịch đang được dùng bởi ${used[0].count} puzzle set` });
+        }
+
+        const { rowCount } = await pool.query('DELETE FROM cycle_templates WHERE id = $1', [req.params.id]);
+        if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy lịch cycle' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete cycle template error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Resolve an optional templateId from a request body ('' / undefined = classic schedule)
+async function resolveTemplateId(templateId) {
+    if (!templateId) return { templateId: null };
+    const { rows } = await pool.query('SELECT id FROM cycle_templates WHERE id = $1', [templateId]);
+    if (rows.length === 0) return { error: 'Không tìm thấy lịch cycle' };
+    return { templateId };
+}
+
 // ===== ADMIN PUZZLE SET MANAGEMENT =====
+// A library set (puzzle_library) holds the PGN once; each student gets a
+// lightweight assignment row in puzzle_sets that references it.
+
+// When a failed puzzle is served again within a cycle:
+// immediate = right away, end_of_pass = after every other puzzle of the pass, next_session = in the next session
+const RETRY_POLICIES = ['immediate', 'end_of_pass', 'next_session'];
+
+function resolveRetryPolicy(value) {
+    if (!value) return { retryPolicy: 'immediate' };
+    if (!RETRY_POLICIES.includes(value)) return { error: 'Chế độ làm lại puzzle sai không hợp lệ' };
+    return { retryPolicy: value };
+}
+
+function resolveOrdering(value) {
+    if (!value) return { ordering: 'sequential' };
+    if (!WoodpeckerTrainer.ORDERINGS.includes(value)) return { error: 'Thứ tự puzzle không hợp lệ' };
+    return { ordering: value };
+}
+
+// Helper: replay a line (and every variation inside it) from a position, reporting the first illegal move
+function replayPuzzleLine(startFen, moves, issues, inVariation) {
+    const chess = new Chess(startFen);
+    for (const node of moves) {
+        // Variations are alternatives to this move, played from the same position
+        const before = chess.fen();
+        for (const variation of node.variations) {
+            replayPuzzleLine(before, variation, issues, true);
+        }
+        if (!chess.move(node.san)) {
+            issues.push({
+                level: 'error',
+                message: inVariation ? 'Nước đi không hợp lệ trong biến' : 'Nước đi không hợp lệ',
+                move: `${node.moveNumber}${node.isWhite ? '.' : '...'} ${node.san}`
+            });
+            return;
+        }
+    }
+}
+
+// Helper: check one parsed game is a playable puzzle (FEN, non-empty solution, legal moves)
+function validatePuzzleGame(game) {
+    const issues = [];
+    let startFen = new Chess().fen();
+
+    if (game.fen) {
+        const check = new Chess().validate_fen(game.fen);
+        if (!check.valid) {
+            issues.push({ level: 'error', message: `FEN không hợp lệ: ${check.error}` });
+            return issues;
+        }
+        startFen = game.fen;
+    } else if (game.headers['SetUp'] === '1') {
+        issues.push({ level: 'error', message: 'Thiếu FEN (có [SetUp "1"])' });
+        return issues;
+    } else {
+        issues.push({ level: 'warning', message: 'Không có FEN — puzzle bắt đầu từ thế cờ ban đầu' });
+    }
+
+    if (game.moves.length === 0) {
+        issues.push({ level: 'error', message: 'Lời giải trống' });
+        return issues;
+    }
+
+    replayPuzzleLine(startFen, game.moves, issues, false);
+    return issues;
+}
+
+// Helper: PGN text of an uploaded puzzle file (.epd / .fen records become one-move puzzles).
+// `skipped` lists the EPD lines that could not be converted.
+function readPuzzleUpload(file) {
+    const text = file.buffer.toString('utf-8');
+    if (!/\.(epd|fen)$/i.test(file.originalname)) return { pgnText: text, skipped: [] };
+    const { pgnContent, skipped } = epdToPGN(text);
+    return { pgnText: pgnContent, skipped };
+}
+
+function puzzleSetName(file) {
+    return file.originalname.replace(/\.(pgn|epd|fen)$/i, '');
+}
+
+// Helper: validate an uploaded PGN and drop the excluded games (1-based game numbers).
+// Returns the PGN to store, its puzzle count and a report of every game with issues.
+function preparePuzzlePGN(rawText, excludeGames = []) {
+    const excluded = new Set(excludeGames.map(n => parseInt(n)));
+    const entries = PGNParser.parseGameEntries(rawText);
+
+    const games = [];
+    const kept = [];
+    let puzzleIndex = 0;
+    for (const entry of entries) {
+        const issues = entry.game
+            ? validatePuzzleGame(entry.game)
+            : [{ level: 'error', message: entry.error ? `Không đọc được ván: ${entry.error}` : 'Lời giải trống' }];
+        const headers = PGNParser._parseHeaders(entry.text);
+        const isExcluded = excluded.has(entry.number);
+
+        if (!isExcluded) kept.push(entry.text);
+        if (issues.length > 0) {
+            games.push({
+                number: entry.number,
+                puzzleIndex: entry.game && !isExcluded ? puzzleIndex : null,
+                header: { event: headers['Event'] || '', white: headers['White'] || '', black: headers['Black'] || '' },
+                excluded: isExcluded,
+                issues
+            });
+        }
+        if (entry.game && !isExcluded) puzzleIndex++;
+    }
 
-app.get('/api/admin/puzzle-sets', authMiddleware, adminMiddleware, async (req, res) => {
+    const report = {
+        totalGames: entries.length,
+        errorGames: games.filter(g => g.issues.some(i => i.level === 'error')).length,
+        warningGames: games.filter(g => g.issues.every(i => i.level === 'warning')).length,
+        excludedGames: entries.length - kept.length,
+        games
+    };
+    return { pgnContent: kept.join('\n\n'), puzzleCount: puzzleIndex, report };
+}
+
+// Parse excludeGames from a multipart body (JSON array of 1-based game numbers)
+function parseExcludeGames(value) {
+    if (!value) return [];
     try {
-        const { rows: sets } = await pool.query(`
-            SELECT ps.*, u.username AS assigned_username
-            FROM puzzle_sets ps
-            LEFT JOIN users u ON ps.assigned_to = u.id
-            ORDER BY ps.created_at DESC
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+// Helper: split a PGN into puzzle rows, in the same order the trainer parses them.
+// `pgn` keeps the game's own text (variations, NAGs) for verifying attempts.
+function parsePuzzles(pgnContent) {
+    return PGNParser.parseGameEntries(pgnContent).filter(entry => entry.game).map(({ game, text }, index) => ({
+        index,
+        fen: game.fen || '',
+        solution: game.moves.map(m => m.san).join(' '),
+        pgn: text,
+        headers: game.headers,
+        rating: parseInt(game.headers['Rating']) || null,
+        themes: parseThemes([game.headers['Theme'], game.headers['Themes'], game.headers['Tags']].join(' '))
+    }));
+}
+
+// Helper: theme tags from a header value or an admin's input ("fork pin", "fork, pin" or an array)
+function parseThemes(value) {
+    const text = Array.isArray(value) ? value.join(' ') : String(value || '');
+    return [...new Set(text.split(/[\s,;]+/).filter(Boolean))];
+}
+
+function puzzleLabel(p) {
+    const h = p.headers || {};
+    return [h['White'], h['Black']].filter(Boolean).join(' – ') || h['Event'] || '';
+}
+
+// Helper: sync the puzzles table with a library set's PGN.
+// Puzzles are matched by FEN + solution, so their IDs (and attempt history) survive
+// re-uploads and reordering. A remaining puzzle with the same (non-empty) FEN but a new
+// solution counts as changed and keeps its ID; the rest are retired (not deleted) or added.
+// `db` is the pool or a transaction's client. Returns the diff: { count, added, removed, changed, moved }.
+async function syncLibraryPuzzles(db, libraryId, pgnContent) {
+    const parsed = parsePuzzles(pgnContent);
+    const { rows: existing } = await db.query(
+        `SELECT id, puzzle_index, fen, solution, headers, retired_at FROM puzzles
+         WHERE library_id = $1 ORDER BY retired_at NULLS FIRST, puzzle_index`,
+        [libraryId]
+    );
+    const unmatched = new Set(existing);
+    const take = (predicate) => {
+        for (const old of unmatched) {
+            if (predicate(old)) { unmatched.delete(old); return old; }
+        }
+        return null;
+    };
+
+    // Pass 1: exact matches; pass 2: same FEN, corrected solution
+    const matchFor = new Map();
+    for (const p of parsed) {
+        const old = take(o => o.fen === p.fen && o.solution === p.solution);
+        if (old) matchFor.set(p, { old, changed: false });
+    }
+    for (const p of parsed) {
+        if (matchFor.has(p) || !p.fen) continue;
+        const old = take(o => o.fen === p.fen);
+        if (old) matchFor.set(p, { old, changed: true });
+    }
+
+    const diff = { count: parsed.length, added: [], removed: [], changed: [], moved: 0 };
+    const activeIds = [];
+    for (const p of parsed) {
+        const match = matchFor.get(p);
+        if (match) {
+            await db.query(
+                `UPDATE puzzles SET puzzle_index = $1, solution = $2, headers = $3, rating = $4,
+                        themes = CASE WHEN themes_edited THEN themes ELSE $5 END, pgn = $7, retired_at = NULL
+                 WHERE id = $6`,
+                [p.index, p.solution, JSON.stringify(p.headers), p.rating, p.themes, match.old.id, p.pgn]
+            );
+            activeIds.push(match.old.id);
+            if (match.changed) {
+                diff.changed.push({
+                    id: match.old.id, index: p.index, oldIndex: match.old.puzzle_index, label: puzzleLabel(p),
+                    oldSolution: match.old.solution, solution: p.solution
+                });
+            } else if (match.old.retired_at) {
+                diff.added.push({ id: match.old.id, index: p.index, label: puzzleLabel(p) });
+            } else if (match.old.puzzle_index !== p.index) {
+                diff.moved++;
+            }
+        } else {
+            const id = generateId();
+            await db.query(
+                `INSERT INTO puzzles (id, library_id, puzzle_index, fen, solution, headers, rating, themes, pgn)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [id, libraryId, p.index, p.fen, p.solution, JSON.stringify(p.headers), p.rating, p.themes, p.pgn]
+            );
+            activeIds.push(id);
+            diff.added.push({ id, index: p.index, label: puzzleLabel(p) });
+        }
+    }
+
+    for (const old of unmatched) {
+        if (old.retired_at) continue;
+        diff.removed.push({ id: old.id, oldIndex: old.puzzle_index, label: puzzleLabel(old) });
+    }
+    await db.query(
+        `UPDATE puzzles SET puzzle_index = NULL, retired_at = COALESCE(retired_at, NOW())
+         WHERE library_id = $1 AND NOT (id = ANY($2))`,
+        [libraryId, activeIds]
+    );
+    return diff;
+}
+
+// Helper: point attempts at their puzzle's current index (NULL for removed puzzles),
+// so solved puzzles of a cycle in progress still count after a replace
+async function remapLibraryAttempts(db, libraryId) {
+    const { rowCount } = await db.query(`
+        UPDATE attempts a SET puzzle_index = p.puzzle_index
+        FROM puzzles p
+        WHERE a.puzzle_id = p.id AND p.library_id = $1
+          AND a.puzzle_index IS DISTINCT FROM p.puzzle_index
+    `, [libraryId]);
+    return rowCount;
+}
+
+// Helper: replace a library set's PGN, keeping the superseded content as a version.
+// One transaction: clients index puzzles by PGN order, so the puzzles, the attempts, the version row and
+// pgn_content / version must change together or not at all.
+async function replaceLibraryPGN(libraryId, file, prepared, userId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Locked so two replaces of the same set can't interleave or reuse a version number
+        const { rows } = await client.query('SELECT * FROM puzzle_library WHERE id = $1 FOR UPDATE', [libraryId]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const library = rows[0];
+
+        const diff = await syncLibraryPuzzles(client, library.id, prepared.pgnContent);
+        const remappedAttempts = await remapLibraryAttempts(client, library.id);
+        const changes = {
+            added: diff.added, removed: diff.removed, changed: diff.changed,
+            moved: diff.moved, remappedAttempts
+        };
+
+        await client.query(
+            `INSERT INTO puzzle_library_versions (id, library_id, version, pgn_content, original_name, puzzle_count, changes, replaced_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [generateId(), library.id, library.version || 1, library.pgn_content, library.original_name,
+                library.puzzle_count, JSON.stringify(changes), userId]
+        );
+        await client.query(
+            `UPDATE puzzle_library SET pgn_content = $1, pgn_file = $2, original_name = $3, puzzle_count = $4,
+                    version = COALESCE(version, 1) + 1
+             WHERE id = $5`,
+            [prepared.pgnContent, file.originalname, file.originalname, prepared.puzzleCount, library.id]
+        );
+        await client.query('COMMIT');
+        return { version: (library.version || 1) + 1, ...changes };
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Parse puzzles for library sets stored before the puzzles table existed (or before puzzles kept
+// their game text), and link their old attempts
+async function backfillPuzzles() {
+    const { rows: library } = await pool.query(`
+        SELECT pl.id, pl.pgn_content FROM puzzle_library pl
+        WHERE NOT EXISTS (SELECT 1 FROM puzzles p WHERE p.library_id = pl.id)
+           OR EXISTS (SELECT 1 FROM puzzles p WHERE p.library_id = pl.id AND p.retired_at IS NULL AND p.pgn IS NULL)
+    `);
+    for (const l of library) {
+        await syncLibraryPuzzles(pool, l.id, l.pgn_content || '');
+    }
+
+    const { rowCount } = await pool.query(`
+        UPDATE attempts a SET puzzle_id = p.id
+        FROM training_sessions ts, cycles c, puzzle_sets ps, puzzles p
+        WHERE a.puzzle_id IS NULL
+          AND a.session_id = ts.id AND ts.cycle_id = c.id AND c.set_id = ps.id
+          AND p.library_id = ps.library_id AND p.puzzle_index = a.puzzle_index
+    `);
+    if (library.length > 0 || rowCount > 0) {
+        console.log(`  ✓ Puzzles backfilled: ${library.length} sets, ${rowCount} attempts linked`);
+    }
+}
+
+// Parse assignedTo from multipart body (JSON array or a single id)
+function parseUserIds(value) {
+    if (!value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+        return [value];
+    }
+}
+
+// Helper: store a validated PGN as a library set, parse its puzzles and assign it
+async function createLibrarySet({ name, fileName, pgnContent, puzzleCount, templateId, retryPolicy, ordering, userIds }) {
+    const id = generateId();
+    await pool.query(
+        `INSERT INTO puzzle_library (id, name, pgn_file, pgn_content, original_name, puzzle_count, template_id, retry_policy, ordering)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, name, fileName, pgnContent, fileName, puzzleCount, templateId, retryPolicy, ordering]
+    );
+    await syncLibraryPuzzles(pool, id, pgnContent);
+    const assignments = await assignLibrarySet(id, userIds, templateId);
+
+    return {
+        id, name, pgnFile: fileName, originalName: fileName, puzzleCount, templateId, retryPolicy, ordering,
+        version: 1, createdAt: new Date().toISOString(), assignees: assignments
+    };
+}
+
+// Helper: create assignments of a library set, skipping users who already have it
+async function assignLibrarySet(libraryId, userIds, templateId) {
+    const created = [];
+    for (const userId of userIds) {
+        const { rows: existing } = await pool.query(
+            'SELECT id FROM puzzle_sets WHERE library_id = $1 AND assigned_to = $2',
+            [libraryId, userId]
+        );
+        if (existing.length > 0) continue;
+
+        const id = generateId();
+        await pool.query(
+            `INSERT INTO puzzle_sets (id, library_id, assigned_to, template_id)
+             VALUES ($1, $2, $3, $4)`,
+            [id, libraryId, userId, templateId]
+        );
+        created.push({ id, assignedTo: userId });
+    }
+    return created;
+}
+
+// Every library set; a coach only sees the assignees on their roster
+app.get('/api/admin/puzzle-sets', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows: library } = await pool.query(`
+            SELECT pl.id, pl.name, pl.pgn_file, pl.original_name, pl.puzzle_count, pl.version,
+                   pl.template_id, pl.retry_policy, pl.ordering, pl.created_at, ct.name AS template_name
+            FROM puzzle_library pl
+            LEFT JOIN cycle_templates ct ON pl.template_id = ct.id
+            ORDER BY pl.created_at DESC
         `);
 
-        // Load cycles for each set
+        // Load assignees (with their cycles) for each library set
         const result = [];
-        for (const s of sets) {
-            const { rows: cycles } = await pool.query(
-                'SELECT * FROM cycles WHERE set_id = $1 ORDER BY cycle_number', [s.id]
-            );
+        for (const l of library) {
+            const params = [l.id];
+            const { rows: assignments } = await pool.query(`
+                SELECT ps.id, ps.assigned_to, ps.template_id, ps.created_at,
+                       u.username, u.full_name, ct.name AS template_name
+                FROM puzzle_sets ps
+                LEFT JOIN users u ON ps.assigned_to = u.id
+                LEFT JOIN cycle_templates ct ON ps.template_id = ct.id
+                WHERE ps.library_id = $1 AND ${rosterScope(req.user, 'ps.assigned_to', params)}
+                ORDER BY ps.created_at
+            `, params);
+
+            const assignees = [];
+            for (const a of assignments) {
+                const { rows: cycles } = await pool.query(
+                    'SELECT * FROM cycles WHERE set_id = $1 ORDER BY cycle_number', [a.id]
+                );
+                assignees.push({
+                    setId: a.id, userId: a.assigned_to,
+                    username: a.username || 'Unknown', fullName: a.full_name || '',
+                    templateId: a.template_id, templateName: a.template_name || null,
+                    assignedAt: a.created_at, cycles
+                });
+            }
+
             result.push({
-                id: s.id, name: s.name, pgnFile: s.pgn_file,
-                originalName: s.original_name, puzzleCount: s.puzzle_count,
-                assignedTo: s.assigned_to, assignedUsername: s.assigned_username || 'Unknown',
-                createdAt: s.created_at, cycles
+                id: l.id, name: l.name, pgnFile: l.pgn_file,
+                originalName: l.original_name, puzzleCount: l.puzzle_count,
+                templateId: l.template_id, templateName: l.template_name || null,
+                retryPolicy: l.retry_policy || 'immediate', ordering: l.ordering || 'sequential',
+                version: l.version || 1, createdAt: l.created_at, assignees
             });
         }
         res.json(result);
@@ -512,87 +1661,256 @@ app.get('/api/admin/puzzle-sets', authMiddleware, adminMiddleware, async (req, r
     }
 });
 
-app.post('/api/admin/puzzle-sets', authMiddleware, adminMiddleware, upload.single('pgn'), async (req, res) => {
+// Dry-run of an upload: validation report shown as a preview before the set is created
+app.post('/api/admin/puzzle-sets/validate', authMiddleware, adminMiddleware, puzzleUpload.single('pgn'), (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Cần upload file PGN' });
+    try {
+        const { pgnText, skipped } = readPuzzleUpload(req.file);
+        const { puzzleCount, report } = preparePuzzlePGN(pgnText, parseExcludeGames(req.body.excludeGames));
+        res.json({ puzzleCount, ...report, skippedRecords: skipped });
+    } catch (err) {
+        console.error('Validate PGN error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.post('/api/admin/puzzle-sets', authMiddleware, adminMiddleware, puzzleUpload.single('pgn'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'Cần upload file PGN' });
-    if (!req.body.assignedTo) return res.status(400).json({ error: 'Cần chọn user' });
 
     try {
-        const pgnContent = req.file.buffer.toString('utf-8');
-        const puzzleCount = (pgnContent.match(/\[Event\s/g) || []).length;
+        const { pgnContent, puzzleCount, report } = preparePuzzlePGN(
+            readPuzzleUpload(req.file).pgnText, parseExcludeGames(req.body.excludeGames)
+        );
+        if (puzzleCount === 0) return res.status(400).json({ error: 'File PGN không có puzzle hợp lệ', report });
+        const template = await resolveTemplateId(req.body.templateId);
+        if (template.error) return res.status(400).json({ error: template.error });
+        const retry = resolveRetryPolicy(req.body.retryPolicy);
+        if (retry.error) return res.status(400).json({ error: retry.error });
+        const order = resolveOrdering(req.body.ordering);
+        if (order.error) return res.status(400).json({ error: order.error });
+
+        const set = await createLibrarySet({
+            name: req.body.name || puzzleSetName(req.file),
+            fileName: req.file.originalname, pgnContent, puzzleCount,
+            templateId: template.templateId, retryPolicy: retry.retryPolicy, ordering: order.ordering,
+            userIds: parseUserIds(req.body.assignedTo)
+        });
+        res.json({ ...set, report });
+    } catch (err) {
+        console.error('Create puzzle set error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Import from the Lichess puzzle database CSV (PuzzleId,FEN,Moves,Rating,...,Themes,...),
+// filtered by rating range and themes, capped at `limit` puzzles. preview=1 only reports.
+app.post('/api/admin/puzzle-sets/import/lichess', authMiddleware, adminMiddleware, csvUpload.single('csv'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Cần upload file CSV' });
 
-        let userIds;
-        try {
-            userIds = JSON.parse(req.body.assignedTo);
-            if (!Array.isArray(userIds)) userIds = [userIds];
-        } catch {
-            userIds = [req.body.assignedTo];
+    try {
+        const limit = parseInt(req.body.limit) || 100;
+        if (limit < 1 || limit > 5000) return res.status(400).json({ error: 'Số puzzle tối đa phải từ 1 đến 5000' });
+        const minRating = parseInt(req.body.minRating) || 0;
+        const maxRating = parseInt(req.body.maxRating) || 0;
+        if (minRating && maxRating && minRating > maxRating) {
+            return res.status(400).json({ error: 'Rating tối thiểu lớn hơn rating tối đa' });
         }
+        const themes = String(req.body.themes || '').split(/[\s,]+/).filter(Boolean);
+
+        const imported = await importLichessCSV(req.file.path, { minRating, maxRating, themes, limit });
+        const { pgnContent, puzzleCount, report } = preparePuzzlePGN(imported.pgnContent);
+        const summary = { scanned: imported.scanned, skipped: imported.skipped, puzzleCount };
+
+        if (req.body.preview === '1') return res.json(summary);
+        if (puzzleCount === 0) return res.status(400).json({ error: 'Không có puzzle nào khớp bộ lọc', ...summary });
+
+        const template = await resolveTemplateId(req.body.templateId);
+        if (template.error) return res.status(400).json({ error: template.error });
+        const retry = resolveRetryPolicy(req.body.retryPolicy);
+        if (retry.error) return res.status(400).json({ error: retry.error });
+        const order = resolveOrdering(req.body.ordering);
+        if (order.error) return res.status(400).json({ error: order.error });
+
+        const set = await createLibrarySet({
+            name: req.body.name || `Lichess ${themes.join(' ') || 'puzzles'}`.trim(),
+            fileName: req.file.originalname, pgnContent, puzzleCount,
+            templateId: template.templateId, retryPolicy: retry.retryPolicy, ordering: order.ordering,
+            userIds: parseUserIds(req.body.assignedTo)
+        });
+        res.json({ ...set, ...summary, report });
+    } catch (err) {
+        console.error('Lichess import error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    } finally {
+        fs.unlink(req.file.path, () => { });
+    }
+});
 
-        const createdSets = [];
-        for (const userId of userIds) {
-            const id = generateId();
-            await pool.query(
-                `INSERT INTO puzzle_sets (id, name, pgn_file, pgn_content, original_name, puzzle_count, assigned_to)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [id, req.body.name || req.file.originalname.replace('.pgn', ''),
-                    req.file.originalname, pgnContent, req.file.originalname, puzzleCount, userId]
-            );
-            createdSets.push({
-                id, name: req.body.name || req.file.originalname.replace('.pgn', ''),
-                pgnFile: req.file.originalname, originalName: req.file.originalname,
-                puzzleCount, assignedTo: userId, createdAt: new Date().toISOString(), cycles: []
-            });
+// Rename a library set or change its default schedule — every assignment sees the change
+app.put('/api/admin/puzzle-sets/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT id FROM puzzle_library WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+
+        const updates = [];
+        const params = [];
+        let idx = 1;
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name) return res.status(400).json({ error: 'Tên puzzle set không được để trống' });
+            updates.push(`name = $${idx++}`); params.push(name);
         }
+        if (req.body.templateId !== undefined) {
+            const template = await resolveTemplateId(req.body.templateId);
+            if (template.error) return res.status(400).json({ error: template.error });
+            updates.push(`template_id = $${idx++}`); params.push(template.templateId);
+        }
+        if (req.body.retryPolicy !== undefined) {
+            const retry = resolveRetryPolicy(req.body.retryPolicy);
+            if (retry.error) return res.status(400).json({ error: retry.error });
+            updates.push(`retry_policy = $${idx++}`); params.push(retry.retryPolicy);
+        }
+        if (req.body.ordering !== undefined) {
+            const order = resolveOrdering(req.body.ordering);
+            if (order.error) return res.status(400).json({ error: order.error });
+            updates.push(`ordering = $${idx++}`); params.push(order.ordering);
+        }
+        if (updates.length === 0) return res.status(400).json({ error: 'Không có thay đổi' });
 
-        res.json(createdSets.length === 1 ? createdSets[0] : createdSets);
+        params.push(req.params.id);
+        const { rows: updated } = await pool.query(
+            `UPDATE puzzle_library SET ${updates.join(', ')} WHERE id = $${idx} RETURNING *`, params
+        );
+        const l = updated[0];
+        res.json({
+            id: l.id, name: l.name, pgnFile: l.pgn_file, originalName: l.original_name,
+            puzzleCount: l.puzzle_count, templateId: l.template_id, retryPolicy: l.retry_policy,
+            ordering: l.ordering, version: l.version, createdAt: l.created_at
+        });
     } catch (err) {
-        console.error('Create puzzle set error:', err);
+        console.error('Update puzzle set error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Replace the PGN of a library set: the old content is kept as a version, puzzles are
+// matched by FEN + solution and attempts are remapped, so cycles in progress keep their solved puzzles
+app.post('/api/admin/puzzle-sets/:id/replace', authMiddleware, adminMiddleware, puzzleUpload.single('pgn'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Cần upload file PGN' });
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM puzzle_library WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+
+        const prepared = preparePuzzlePGN(readPuzzleUpload(req.file).pgnText, parseExcludeGames(req.body.excludeGames));
+        if (prepared.puzzleCount === 0) {
+            return res.status(400).json({ error: 'File PGN không có puzzle hợp lệ', report: prepared.report });
+        }
+
+        const changes = await replaceLibraryPGN(req.params.id, req.file, prepared, req.user.id);
+        if (!changes) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        res.json({ ...changes, puzzleCount: prepared.puzzleCount, report: prepared.report });
+    } catch (err) {
+        console.error('Replace puzzle set PGN error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
-// Assign existing puzzle set to additional users
-app.post('/api/admin/puzzle-sets/:id/assign', authMiddleware, adminMiddleware, async (req, res) => {
+// Version history of a library set (newest first)
+app.get('/api/admin/puzzle-sets/:id/versions', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT v.id, v.version, v.original_name, v.puzzle_count, v.changes, v.replaced_at,
+                   u.username AS replaced_by
+            FROM puzzle_library_versions v
+            LEFT JOIN users u ON v.replaced_by = u.id
+            WHERE v.library_id = $1
+            ORDER BY v.version DESC
+        `, [req.params.id]);
+        res.json(rows.map(v => ({
+            id: v.id, version: v.version, originalName: v.original_name, puzzleCount: v.puzzle_count,
+            changes: v.changes, replacedBy: v.replaced_by || null, replacedAt: v.replaced_at
+        })));
+    } catch (err) {
+        console.error('Get puzzle set versions error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Download the PGN of an earlier version
+app.get('/api/admin/puzzle-sets/:id/versions/:version/pgn', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT pgn_content, original_name FROM puzzle_library_versions WHERE library_id = $1 AND version = $2',
+            [req.params.id, parseInt(req.params.version) || 0]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy phiên bản' });
+        res.type('text/plain').send(rows[0].pgn_content);
+    } catch (err) {
+        console.error('Get puzzle set version PGN error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Assign a library set to additional users (a coach: students on their roster only)
+app.post('/api/admin/puzzle-sets/:id/assign', authMiddleware, staffMiddleware, async (req, res) => {
     const { userIds } = req.body;
     if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
         return res.status(400).json({ error: 'Cần danh sách user IDs' });
     }
 
     try {
-        const { rows } = await pool.query('SELECT * FROM puzzle_sets WHERE id = $1', [req.params.id]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
-        const sourceSet = rows[0];
-
-        const createdSets = [];
         for (const userId of userIds) {
-            const { rows: existing } = await pool.query(
-                'SELECT id FROM puzzle_sets WHERE original_name = $1 AND assigned_to = $2',
-                [sourceSet.original_name, userId]
-            );
-            if (existing.length > 0) continue;
+            if (!(await canManageUser(req.user, userId))) {
+                return res.status(403).json({ error: 'Chỉ được gán cho học viên của bạn' });
+            }
+        }
 
-            const id = generateId();
-            await pool.query(
-                `INSERT INTO puzzle_sets (id, name, pgn_file, pgn_content, original_name, puzzle_count, assigned_to)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [id, sourceSet.name, sourceSet.pgn_file, sourceSet.pgn_content, sourceSet.original_name, sourceSet.puzzle_count, userId]
-            );
-            createdSets.push({ id, name: sourceSet.name });
+        const { rows } = await pool.query('SELECT * FROM puzzle_library WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        const librarySet = rows[0];
+
+        // New assignments use the library set's default schedule unless another template is chosen
+        let templateId = librarySet.template_id;
+        if (req.body.templateId !== undefined) {
+            const template = await resolveTemplateId(req.body.templateId);
+            if (template.error) return res.status(400).json({ error: template.error });
+            templateId = template.templateId;
         }
 
-        res.json({ assigned: createdSets.length, sets: createdSets });
+        const createdSets = await assignLibrarySet(librarySet.id, userIds, templateId);
+        res.json({ assigned: createdSets.length, sets: createdSets.map(s => ({ ...s, name: librarySet.name })) });
     } catch (err) {
         console.error('Assign error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
+// Remove one user's assignment (their cycles/sessions go with it)
+app.delete('/api/admin/puzzle-sets/:id/assignments/:userId', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        if (!(await canManageUser(req.user, req.params.userId))) {
+            return res.status(404).json({ error: 'Không tìm thấy phân công' });
+        }
+        const { rowCount } = await pool.query(
+            'DELETE FROM puzzle_sets WHERE library_id = $1 AND assigned_to = $2',
+            [req.params.id, req.params.userId]
+        );
+        if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy phân công' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Unassign puzzle set error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 app.delete('/api/admin/puzzle-sets/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
-        const { rows } = await pool.query('SELECT id FROM puzzle_sets WHERE id = $1', [req.params.id]);
+        const { rows } = await pool.query('SELECT id FROM puzzle_library WHERE id = $1', [req.params.id]);
         if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
 
-        await pool.query('DELETE FROM puzzle_sets WHERE id = $1', [req.params.id]);
+        // Assignments cascade via puzzle_sets.library_id
+        await pool.query('DELETE FROM puzzle_library WHERE id = $1', [req.params.id]);
         res.json({ success: true });
     } catch (err) {
         console.error('Delete puzzle set error:', err);
@@ -600,15 +1918,172 @@ app.delete('/api/admin/puzzle-sets/:id', authMiddleware, adminMiddleware, async
     }
 });
 
+// Helper: attempts with the user of the set they were made in (excluded sessions left out), limited by `scope`
+function assignedAttemptsSql(scope) {
+    return `(
+        SELECT a.id, a.puzzle_id, a.correct, a.time_ms, ps.assigned_to
+        FROM attempts a
+        LEFT JOIN training_sessions ts ON a.session_id = ts.id
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id, a.set_id)
+        WHERE ts.excluded_at IS NULL AND ${scope}
+    )`;
+}
+
+// Per-puzzle stats of a library set, across every user it is assigned to (a coach: their roster)
+app.get('/api/admin/puzzle-sets/:id/puzzles', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const params = [req.params.id];
+        const { rows } = await pool.query(`
+            SELECT p.id, p.puzzle_index, p.fen, p.solution, p.headers, p.rating, p.glicko_rating, p.themes,
+                   COUNT(a.id) AS attempts,
+                   COUNT(CASE WHEN a.correct = false THEN 1 END) AS failures,
+                   COUNT(DISTINCT a.assigned_to) AS users,
+                   COALESCE(AVG(a.time_ms), 0) AS avg_time_ms
+            FROM puzzles p
+            LEFT JOIN ${assignedAttemptsSql(rosterScope(req.user, 'ps.assigned_to', params))} a ON a.puzzle_id = p.id
+            WHERE p.library_id = $1 AND p.retired_at IS NULL
+            GROUP BY p.id
+            ORDER BY p.puzzle_index
+        `, params);
+        res.json(rows.map(formatPuzzleStats));
+    } catch (err) {
+        console.error('Get puzzle stats error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// One puzzle: how often it is failed, overall and per user (a coach: their roster)
+app.get('/api/admin/puzzles/:id', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const params = [req.params.id];
+        const { rows } = await pool.query(`
+            SELECT p.id, p.puzzle_index, p.fen, p.solution, p.headers, p.rating, p.glicko_rating, p.themes, p.library_id, p.retired_at,
+                   COUNT(a.id) AS attempts,
+                   COUNT(CASE WHEN a.correct = false THEN 1 END) AS failures,
+                   COUNT(DISTINCT a.assigned_to) AS users,
+                   COALESCE(AVG(a.time_ms), 0) AS avg_time_ms
+            FROM puzzles p
+            LEFT JOIN ${assignedAttemptsSql(rosterScope(req.user, 'ps.assigned_to', params))} a ON a.puzzle_id = p.id
+            WHERE p.id = $1
+            GROUP BY p.id
+        `, params);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle' });
+
+        const userParams = [req.params.id];
+        const { rows: byUser } = await pool.query(`
+            SELECT u.id, u.username, u.full_name,
+                   COUNT(a.id) AS attempts,
+                   COUNT(CASE WHEN a.correct = false THEN 1 END) AS failures,
+                   MAX(a.recorded_at) AS last_attempt
+            FROM attempts a
+            JOIN training_sessions ts ON a.session_id = ts.id
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id, a.set_id)
+            JOIN users u ON ps.assigned_to = u.id
+            WHERE a.puzzle_id = $1 AND ts.excluded_at IS NULL AND ${rosterScope(req.user, 'u.id', userParams)}
+            GROUP BY u.id
+            ORDER BY failures DESC, attempts DESC
+        `, userParams);
+
+        res.json({
+            ...formatPuzzleStats(rows[0]),
+            libraryId: rows[0].library_id, retiredAt: rows[0].retired_at,
+            users: byUser.map(u => ({
+                userId: u.id, username: u.username, fullName: u.full_name || u.username,
+                attempts: parseInt(u.attempts), failures: parseInt(u.failures),
+                lastAttempt: u.last_attempt
+            }))
+        });
+    } catch (err) {
+        console.error('Get puzzle error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Edit a puzzle's theme tags (kept over later PGN replacements)
+app.put('/api/admin/puzzles/:id/themes', authMiddleware, adminMiddleware, async (req, res) => {
+    const themes = parseThemes(req.body.themes);
+    if (themes.length > 20) return res.status(400).json({ error: 'Tối đa 20 chủ đề cho một puzzle' });
+    try {
+        const { rows } = await pool.query(
+            'UPDATE puzzles SET themes = $1, themes_edited = true WHERE id = $2 RETURNING id, themes',
+            [themes, req.params.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle' });
+        res.json({ id: rows[0].id, themes: rows[0].themes });
+    } catch (err) {
+        console.error('Update puzzle themes error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+function formatPuzzleStats(p) {
+    const attempts = parseInt(p.attempts) || 0;
+    const failures = parseInt(p.failures) || 0;
+    return {
+        id: p.id, index: p.puzzle_index, fen: p.fen, solution: p.solution, headers: p.headers,
+        rating: p.rating, themes: p.themes || [], attempts, failures, users: parseInt(p.users) || 0,
+        // Glicko-2 rating from the attempts (null until the puzzle is first played)
+        currentRating: p.glicko_rating !== null ? Math.round(parseFloat(p.glicko_rating)) : null,
+        failRate: attempts > 0 ? (failures / attempts * 100).toFixed(1) : '0.0',
+        avgTimeMs: Math.round(parseFloat(p.avg_time_ms) || 0)
+    };
+}
+
+// Helper: accuracy and speed per theme over the attempts of the matched puzzle_sets rows
+// (`where` filters ps; a puzzle with several themes counts towards each of them; excluded sessions left out)
+async function getThemeStats(where, params) {
+    const { rows } = await pool.query(`
+        SELECT t.theme,
+               COUNT(*) AS attempts,
+               COUNT(CASE WHEN a.correct = true THEN 1 END) AS solved,
+               COALESCE(AVG(a.time_ms), 0) AS avg_time_ms
+        FROM attempts a
+        JOIN training_sessions ts ON a.session_id = ts.id
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id, a.set_id)
+        JOIN puzzles p ON a.puzzle_id = p.id
+        CROSS JOIN LATERAL unnest(p.themes) AS t(theme)
+        WHERE ts.excluded_at IS NULL AND ${where}
+        GROUP BY t.theme
+        ORDER BY t.theme
+    `, params);
+    return rows.map(r => {
+        const attempts = parseInt(r.attempts) || 0;
+        const solved = parseInt(r.solved) || 0;
+        return {
+            theme: r.theme, attempts, solved,
+            accuracy: attempts > 0 ? (solved / attempts * 100).toFixed(1) : '0.0',
+            avgTimeMs: Math.round(parseFloat(r.avg_time_ms) || 0)
+        };
+    });
+}
+
 // ===== WOODPECKER USER API =====
 
+// Classic Woodpecker schedule, used for sets without a template
 const CYCLE_DAYS = [28, 14, 7, 4, 3, 2, 1];
 
+// Helper: target days per cycle for a puzzle_sets row joined with cycle_templates
+function cycleDaysFor(row) {
+    return row.cycle_days && row.cycle_days.length > 0 ? row.cycle_days : CYCLE_DAYS;
+}
+
 // Helper: build full set object with cycles/sessions/attempts
 async function buildSetWithCycles(setId) {
-    const { rows: setRows } = await pool.query('SELECT * FROM puzzle_sets WHERE id = $1', [setId]);
+    const { rows: setRows } = await pool.query(`
+        SELECT ps.id, ps.library_id, ps.assigned_to, ps.template_id, ps.created_at,
+               ps.sr_enabled, pl.name, pl.pgn_file, pl.original_name, pl.puzzle_count, pl.retry_policy, pl.ordering,
+               ct.name AS template_name, ct.cycle_days
+        FROM puzzle_sets ps
+        JOIN puzzle_library pl ON ps.library_id = pl.id
+        LEFT JOIN cycle_templates ct ON ps.template_id = ct.id
+        WHERE ps.id = $1
+    `, [setId]);
     if (setRows.length === 0) return null;
     const set = setRows[0];
+    const cycleDays = cycleDaysFor(set);
 
     const { rows: cycleRows } = await pool.query(
         'SELECT * FROM cycles WHERE set_id = $1 ORDER BY cycle_number', [setId]
@@ -623,15 +2098,15 @@ async function buildSetWithCycles(setId) {
         const sessions = [];
         for (const s of sessionRows) {
             const { rows: attemptRows } = await pool.query(
-                'SELECT puzzle_index, correct, time_ms, recorded_at FROM attempts WHERE session_id = $1 ORDER BY recorded_at',
+                'SELECT puzzle_id, puzzle_index, correct, time_ms, recorded_at FROM attempts WHERE session_id = $1 ORDER BY recorded_at',
                 [s.id]
             );
             sessions.push({
                 id: s.id, startedAt: s.started_at, endedAt: s.ended_at,
                 duration: s.duration, puzzlesAttempted: s.puzzles_attempted,
-                puzzlesSolved: s.puzzles_solved,
+                puzzlesSolved: s.puzzles_solved, excluded: !!s.excluded_at,
                 attempts: attemptRows.map(a => ({
-                    puzzleIndex: a.puzzle_index, correct: a.correct,
+                    puzzleId: a.puzzle_id, puzzleIndex: a.puzzle_index, correct: a.correct,
                     timeMs: a.time_ms, recordedAt: a.recorded_at
                 }))
             });
@@ -644,12 +2119,149 @@ async function buildSetWithCycles(setId) {
     }
 
     return {
-        id: set.id, name: set.name, pgnFile: set.pgn_file,
+        id: set.id, libraryId: set.library_id, name: set.name, pgnFile: set.pgn_file,
         originalName: set.original_name, puzzleCount: set.puzzle_count,
-        assignedTo: set.assigned_to, createdAt: set.created_at, cycles
+        assignedTo: set.assigned_to, createdAt: set.created_at,
+        templateId: set.template_id, templateName: set.template_name || null,
+        retryPolicy: set.retry_policy || 'immediate', ordering: set.ordering || 'sequential', srEnabled: !!set.sr_enabled,
+        cycleDays, totalCycles: cycleDays.length, cycles
     };
 }
 
+// Helper: the cycle's puzzles in the set's ordering strategy (WoodpeckerTrainer.orderPuzzles).
+// The shuffle seed, and the easiest-first or adaptive ranking, are stored on the cycle the first time
+// they are needed, so the order holds across reloads and sessions; adaptive ranks by the student's
+// rating and success rate on the set at that point.
+async function orderCyclePuzzles(cycleId, userId, setId, libraryId, ordering, puzzles) {
+    if (!cycleId || ordering === 'sequential') return puzzles;
+
+    const { rows: cycleRows } = await pool.query(
+        'SELECT order_seed, order_strategy, puzzle_order FROM cycles WHERE id = $1', [cycleId]
+    );
+    const cycle = cycleRows[0];
+    const byId = new Map(puzzles.map(p => [p.id, p]));
+
+    if (ordering === 'shuffled') {
+        let seed = cycle.order_seed;
+        if (!seed) {
+            const { rows } = await pool.query(
+                'UPDATE cycles SET order_seed = COALESCE(order_seed, $1) WHERE id = $2 RETURNING order_seed',
+                [crypto.randomInt(1, 2147483647), cycleId]
+            );
+            seed = rows[0].order_seed;
+        }
+        return WoodpeckerTrainer.orderPuzzles(puzzles.map(p => ({ ...p, index: p.puzzle_index })), 'shuffled', { seed })
+            .map(p => byId.get(p.id));
+    }
+
+    if (cycle.order_strategy === ordering && cycle.puzzle_order) {
+        // Fixed at the start of the cycle; puzzles added by a PGN replace go last
+        const stored = cycle.puzzle_order.filter(id => byId.has(id)).map(id => byId.get(id));
+        const storedIds = new Set(cycle.puzzle_order);
+        return [...stored, ...puzzles.filter(p => !storedIds.has(p.id))];
+    }
+
+    // Historical fail rate over every user's attempts, and the puzzle's Glicko-2 (or imported) rating
+    const { rows: stats } = await pool.query(`
+        SELECT p.id, COALESCE(p.glicko_rating, p.rating) AS rating,
+               COUNT(a.id) AS attempts, COUNT(CASE WHEN a.correct = false THEN 1 END) AS failures
+        FROM puzzles p
+        LEFT JOIN attempts a ON a.puzzle_id = p.id
+            AND NOT EXISTS (SELECT 1 FROM training_sessions x WHERE x.id = a.session_id AND x.excluded_at IS NOT NULL)
+        WHERE p.library_id = $1 AND p.retired_at IS NULL
+        GROUP BY p.id
+    `, [libraryId]);
+    const statsById = new Map(stats.map(r => [r.id, r]));
+    const items = puzzles.map(p => {
+        const st = statsById.get(p.id);
+        const attempts = st ? parseInt(st.attempts) : 0;
+        return {
+            ...p, index: p.puzzle_index,
+            failRate: attempts > 0 ? parseInt(st.failures) / attempts : null,
+            rating: st && st.rating !== null ? parseFloat(st.rating) : null
+        };
+    });
+
+    let context = {};
+    if (ordering === 'adaptive') {
+        const { rows: userRows } = await pool.query('SELECT glicko_rating FROM users WHERE id = $1', [userId]);
+        const { rows: rateRows } = await pool.query(`
+            SELECT COUNT(*) AS attempts, COUNT(CASE WHEN a.correct = true THEN 1 END) AS solved
+            FROM attempts a JOIN training_sessions ts ON a.session_id = ts.id
+            WHERE a.set_id = $1 AND ts.excluded_at IS NULL
+        `, [setId]);
+        const setAttempts = parseInt(rateRows[0].attempts);
+        context = {
+            userRating: userRows.length > 0 ? parseFloat(userRows[0].glicko_rating) : null,
+            targetSuccess: setAttempts > 0 ? parseInt(rateRows[0].solved) / setAttempts : undefined
+        };
+    }
+
+    const ordered = WoodpeckerTrainer.orderPuzzles(items, ordering, context).map(p => byId.get(p.id));
+    await pool.query(
+        'UPDATE cycles SET order_strategy = $1, puzzle_order = $2 WHERE id = $3',
+        [ordering, ordered.map(p => p.id), cycleId]
+    );
+    return ordered;
+}
+
+// Helper: the puzzles still to solve in the set's current cycle, in the order they are served.
+// Decided from the attempt history so every device agrees: the set's ordering strategy gives the
+// base order, failed puzzles (attempted but not solved this cycle) are placed by its retry policy;
+// with 'next_session' the ones failed in `sessionId` are held back in `deferred`.
+async function buildPuzzleQueue(setId, sessionId = null) {
+    const { rows: setRows } = await pool.query(`
+        SELECT ps.library_id, ps.assigned_to, pl.retry_policy, pl.ordering,
+               (SELECT id FROM cycles WHERE set_id = ps.id AND completed_at IS NULL
+                ORDER BY cycle_number DESC LIMIT 1) AS cycle_id
+        FROM puzzle_sets ps
+        JOIN puzzle_library pl ON ps.library_id = pl.id
+        WHERE ps.id = $1
+    `, [setId]);
+    if (setRows.length === 0) return null;
+    const retryPolicy = setRows[0].retry_policy || 'immediate';
+    const ordering = setRows[0].ordering || 'sequential';
+
+    const { rows: indexed } = await pool.query(
+        'SELECT id, puzzle_index FROM puzzles WHERE library_id = $1 AND retired_at IS NULL ORDER BY puzzle_index',
+        [setRows[0].library_id]
+    );
+    const puzzles = await orderCyclePuzzles(
+        setRows[0].cycle_id, setRows[0].assigned_to, setId, setRows[0].library_id, ordering, indexed
+    );
+    const { rows: attempts } = await pool.query(`
+        SELECT a.puzzle_id, a.correct, a.session_id
+        FROM attempts a
+        JOIN training_sessions ts ON a.session_id = ts.id
+        WHERE ts.cycle_id = $1 AND a.puzzle_id IS NOT NULL
+    `, [setRows[0].cycle_id]);
+
+    const solved = new Set();
+    const tried = new Set();
+    const triedThisSession = new Set();
+    for (const a of attempts) {
+        tried.add(a.puzzle_id);
+        if (a.correct) solved.add(a.puzzle_id);
+        if (sessionId && a.session_id === sessionId) triedThisSession.add(a.puzzle_id);
+    }
+    const remaining = puzzles.filter(p => !solved.has(p.id));
+    const failed = remaining.filter(p => tried.has(p.id));
+    const fresh = remaining.filter(p => !tried.has(p.id));
+
+    let queue = remaining;
+    let deferred = [];
+    if (retryPolicy === 'end_of_pass') {
+        queue = [...fresh, ...failed];
+    } else if (retryPolicy === 'next_session') {
+        // Failures from earlier sessions open the session, this session's failures wait for the next one
+        deferred = failed.filter(p => triedThisSession.has(p.id));
+        queue = [...failed.filter(p => !triedThisSession.has(p.id)), ...fresh];
+    }
+
+    const toItem = p => ({ id: p.id, index: p.puzzle_index });
+    return { retryPolicy, ordering, queue: queue.map(toItem), deferred: deferred.map(toItem), failedCount: failed.length };
+}
+
 app.get('/api/woodpecker/sets', authMiddleware, async (req, res) => {
     try {
         const { rows } = await pool.query(
@@ -673,13 +2285,28 @@ app.get('/api/woodpecker/sets/:id', authMiddleware, async (req, res) => {
         if (!set || set.assignedTo !== req.user.id) {
             return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
         }
-        res.json(set);
+        const { failedCount } = await buildPuzzleQueue(set.id);
+        res.json({ ...set, failedQueued: failedCount });
     } catch (err) {
         console.error('Get set error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
+// Order of the remaining puzzles in the current cycle (see buildPuzzleQueue)
+app.get('/api/woodpecker/sets/:id/queue', authMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2', [req.params.id, req.user.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        res.json(await buildPuzzleQueue(req.params.id, req.query.sessionId || null));
+    } catch (err) {
+        console.error('Get puzzle queue error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // Leaderboard
 app.get('/api/woodpecker/sets/:id/leaderboard', authMiddleware, async (req, res) => {
     try {
@@ -688,23 +2315,40 @@ app.get('/api/woodpecker/sets/:id/leaderboard', authMiddleware, async (req, res)
             return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
         }
 
-        // Find all sets with the same name
-        const { rows: relatedRows } = await pool.query(
-            'SELECT id, assigned_to FROM puzzle_sets WHERE name = $1', [set.name]
-        );
+        // Everyone assigned the same library set (?groupId= : only the members of one of the user's groups)
+        let relatedRows;
+        if (req.query.groupId) {
+            const { rows: membership } = await pool.query(
+                'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2', [req.query.groupId, req.user.id]
+            );
+            if (membership.length === 0) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+            ({ rows: relatedRows } = await pool.query(
+                `SELECT id, assigned_to FROM puzzle_sets
+                 WHERE library_id = $1 AND assigned_to IN (SELECT user_id FROM group_members WHERE group_id = $2)`,
+                [set.libraryId, req.query.groupId]
+            ));
+        } else {
+            ({ rows: relatedRows } = await pool.query(
+                'SELECT id, assigned_to FROM puzzle_sets WHERE library_id = $1', [set.libraryId]
+            ));
+        }
 
         const leaderboard = [];
         for (const rel of relatedRows) {
             const relSet = await buildSetWithCycles(rel.id);
             if (!relSet) continue;
 
-            const { rows: userRows } = await pool.query('SELECT username FROM users WHERE id = $1', [rel.assigned_to]);
+            const { rows: userRows } = await pool.query(
+                'SELECT username, glicko_rating, glicko_rd FROM users WHERE id = $1', [rel.assigned_to]
+            );
             const username = userRows.length > 0 ? userRows[0].username : 'Unknown';
 
             let totalAttempted = 0, totalSolved = 0, totalTimeMs = 0, totalDuration = 0, bestCycle = 0;
             relSet.cycles.forEach(cycle => {
                 if (cycle.cycleNumber > bestCycle) bestCycle = cycle.cycleNumber;
                 cycle.sessions.forEach(session => {
+                    // Sessions excluded after a suspicious-activity review don't count
+                    if (session.excluded) return;
                     totalAttempted += session.puzzlesAttempted || 0;
                     totalSolved += session.puzzlesSolved || 0;
                     totalDuration += session.duration || 0;
@@ -722,7 +2366,9 @@ app.get('/api/woodpecker/sets/:id/leaderboard', authMiddleware, async (req, res)
                 userId: rel.assigned_to, username, totalAttempted, totalSolved,
                 accuracy: Math.round(accuracy * 10) / 10,
                 ppm: Math.round(ppm * 100) / 100,
-                bestCycle, isMe: rel.assigned_to === req.user.id
+                bestCycle, isMe: rel.assigned_to === req.user.id,
+                rating: userRows.length > 0 ? Math.round(parseFloat(userRows[0].glicko_rating)) : glicko2.DEFAULT_RATING,
+                ratingProvisional: userRows.length === 0 || parseFloat(userRows[0].glicko_rd) > glicko2.PROVISIONAL_RD
             });
         }
 
@@ -736,7 +2382,9 @@ app.get('/api/woodpecker/sets/:id/leaderboard', authMiddleware, async (req, res)
 app.get('/api/woodpecker/sets/:id/pgn', authMiddleware, async (req, res) => {
     try {
         const { rows } = await pool.query(
-            'SELECT pgn_content FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
+            `SELECT pl.pgn_content FROM puzzle_sets ps
+             JOIN puzzle_library pl ON ps.library_id = pl.id
+             WHERE ps.id = $1 AND ps.assigned_to = $2`,
             [req.params.id, req.user.id]
         );
         if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
@@ -749,14 +2397,97 @@ app.get('/api/woodpecker/sets/:id/pgn', authMiddleware, async (req, res) => {
     }
 });
 
-// Request a new cycle (requires admin approval for cycle 2+)
+// Current puzzles of a set (stable IDs, in PGN order)
+app.get('/api/woodpecker/sets/:id/puzzles', authMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT p.id, p.puzzle_index, p.fen, p.solution, p.headers, p.rating, p.themes
+             FROM puzzle_sets ps
+             JOIN puzzles p ON p.library_id = ps.library_id AND p.retired_at IS NULL
+             WHERE ps.id = $1 AND ps.assigned_to = $2
+             ORDER BY p.puzzle_index`,
+            [req.params.id, req.user.id]
+        );
+        res.json(rows.map(p => ({
+            id: p.id, index: p.puzzle_index, fen: p.fen, solution: p.solution, headers: p.headers,
+            rating: p.rating, themes: p.themes || []
+        })));
+    } catch (err) {
+        console.error('Get puzzles error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Helper: insert a new cycle and return it in the client's cycle shape
+async function createCycle(setId, cycleNumber, targetDays) {
+    const { rows } = await pool.query(
+        `INSERT INTO cycles (id, set_id, cycle_number, target_days)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [generateId(), setId, cycleNumber, targetDays]
+    );
+    const cycle = rows[0];
+    return {
+        cycleNumber: cycle.cycle_number, targetDays: cycle.target_days,
+        startedAt: cycle.started_at, completedAt: cycle.completed_at, sessions: []
+    };
+}
+
+// Helper: check enabled auto-approval rules against the user's previous (completed) cycle.
+// Returns the first rule that approves, or the reasons every rule held the request.
+async function evaluateCycleApproval(userId, prevCycle) {
+    const { rows: rules } = await pool.query(
+        'SELECT * FROM cycle_approval_rules WHERE enabled = true ORDER BY created_at ASC'
+    );
+    if (rules.length === 0) {
+        return { approved: false, ruleId: null, reason: 'Chưa có quy tắc tự động duyệt' };
+    }
+
+    const { rows: statRows } = await pool.query(`
+        SELECT COALESCE(SUM(puzzles_attempted), 0) AS attempted,
+               COALESCE(SUM(puzzles_solved), 0) AS solved
+        FROM training_sessions WHERE cycle_id = $1 AND excluded_at IS NULL
+    `, [prevCycle.id]);
+    const attempted = parseInt(statRows[0].attempted) || 0;
+    const solved = parseInt(statRows[0].solved) || 0;
+    const accuracy = attempted > 0 ? solved / attempted * 100 : 0;
+    const daysTaken = (new Date(prevCycle.completed_at) - new Date(prevCycle.started_at)) / 86400000;
+    const label = `Cycle ${prevCycle.cycle_number}`;
+
+    const held = [];
+    for (const rule of rules) {
+        if (rule.rule_type === 'min_accuracy') {
+            const min = parseFloat(rule.min_accuracy);
+            if (attempted > 0 && accuracy >= min) {
+                return { approved: true, ruleId: rule.id, reason: `${rule.name}: ${label} chính xác ${accuracy.toFixed(1)}% ≥ ${min}%` };
+            }
+            held.push(`${rule.name}: ${label} chính xác ${accuracy.toFixed(1)}% < ${min}%`);
+        } else if (rule.rule_type === 'within_target') {
+            if (daysTaken <= prevCycle.target_days) {
+                return { approved: true, ruleId: rule.id, reason: `${rule.name}: ${label} xong trong ${daysTaken.toFixed(1)}/${prevCycle.target_days} ngày` };
+            }
+            held.push(`${rule.name}: ${label} mất ${daysTaken.toFixed(1)} ngày > ${prevCycle.target_days} ngày mục tiêu`);
+        } else if (rule.rule_type === 'trusted_users') {
+            if ((rule.user_ids || []).includes(userId)) {
+                return { approved: true, ruleId: rule.id, reason: `${rule.name}: học viên trong danh sách tin cậy` };
+            }
+            held.push(`${rule.name}: không thuộc danh sách tin cậy`);
+        }
+    }
+    return { approved: false, ruleId: null, reason: held.join('; ') };
+}
+
+// Request a new cycle (cycle 2+ needs approval — by an auto-approval rule or an admin)
 app.post('/api/woodpecker/sets/:id/start-cycle', authMiddleware, async (req, res) => {
     try {
         const { rows: setRows } = await pool.query(
-            'SELECT id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
+            `SELECT ps.id, ct.cycle_days
+             FROM puzzle_sets ps
+             LEFT JOIN cycle_templates ct ON ps.template_id = ct.id
+             WHERE ps.id = $1 AND ps.assigned_to = $2`,
             [req.params.id, req.user.id]
         );
         if (setRows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        const cycleDays = cycleDaysFor(setRows[0]);
 
         const { rows: cycleRows } = await pool.query(
             'SELECT * FROM cycles WHERE set_id = $1 ORDER BY cycle_number DESC LIMIT 1',
@@ -764,7 +2495,9 @@ app.post('/api/woodpecker/sets/:id/start-cycle', authMiddleware, async (req, res
         );
 
         const nextCycleNum = cycleRows.length > 0 ? cycleRows[0].cycle_number + 1 : 1;
-        if (nextCycleNum > 7) return res.status(400).json({ error: 'Đã hoàn thành tất cả 7 cycles' });
+        if (nextCycleNum > cycleDays.length) {
+            return res.status(400).json({ error: `Đã hoàn thành tất cả ${cycleDays.length} cycles` });
+        }
 
         if (cycleRows.length > 0 && !cycleRows[0].completed_at) {
             return res.status(400).json({ error: 'Cycle hiện tại chưa hoàn thành' });
@@ -772,17 +2505,7 @@ app.post('/api/woodpecker/sets/:id/start-cycle', authMiddleware, async (req, res
 
         // Cycle 1 is auto-approved
         if (nextCycleNum === 1) {
-            const id = generateId();
-            const { rows } = await pool.query(
-                `INSERT INTO cycles (id, set_id, cycle_number, target_days)
-                 VALUES ($1, $2, $3, $4) RETURNING *`,
-                [id, req.params.id, nextCycleNum, CYCLE_DAYS[nextCycleNum - 1]]
-            );
-            const cycle = rows[0];
-            return res.json({
-                cycleNumber: cycle.cycle_number, targetDays: cycle.target_days,
-                startedAt: cycle.started_at, completedAt: cycle.completed_at, sessions: []
-            });
+            return res.json(await createCycle(req.params.id, nextCycleNum, cycleDays[nextCycleNum - 1]));
         }
 
         // Cycle 2+ requires admin approval — check if already pending
@@ -803,99 +2526,236 @@ app.post('/api/woodpecker/sets/:id/start-cycle', authMiddleware, async (req, res
         );
         if (approvedReq.length > 0) {
             // Already approved — create the cycle
-            const id = generateId();
-            const { rows } = await pool.query(
-                `INSERT INTO cycles (id, set_id, cycle_number, target_days)
-                 VALUES ($1, $2, $3, $4) RETURNING *`,
-                [id, req.params.id, nextCycleNum, CYCLE_DAYS[nextCycleNum - 1]]
-            );
-            const cycle = rows[0];
-            return res.json({
-                cycleNumber: cycle.cycle_number, targetDays: cycle.target_days,
-                startedAt: cycle.started_at, completedAt: cycle.completed_at, sessions: []
-            });
+            return res.json(await createCycle(req.params.id, nextCycleNum, cycleDays[nextCycleNum - 1]));
+        }
+
+        // New request — run the auto-approval rules against the cycle just completed
+        const decision = await evaluateCycleApproval(req.user.id, cycleRows[0]);
+        const reqId = generateId();
+        await pool.query(
+            `INSERT INTO cycle_requests (id, user_id, set_id, cycle_number, status, rule_id, decision_reason, decided_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [reqId, req.user.id, req.params.id, nextCycleNum, decision.approved ? 'approved' : 'pending',
+                decision.ruleId, decision.reason, decision.approved ? new Date() : null]
+        );
+
+        if (decision.approved) {
+            const cycle = await createCycle(req.params.id, nextCycleNum, cycleDays[nextCycleNum - 1]);
+            return res.json({ ...cycle, autoApproved: true, reason: decision.reason });
         }
 
-        // Create pending request
-        const reqId = generateId();
-        await pool.query(
-            `INSERT INTO cycle_requests (id, user_id, set_id, cycle_number)
-             VALUES ($1, $2, $3, $4)`,
-            [reqId, req.user.id, req.params.id, nextCycleNum]
-        );
+        res.json({
+            pending: true,
+            message: `Yêu cầu bắt đầu Cycle ${nextCycleNum} đã được gửi. Vui lòng chờ admin duyệt.`
+        });
+    } catch (err) {
+        console.error('Start cycle error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin / coach: List cycle requests (pending by default, ?status=approved for the decision history)
+app.get('/api/admin/cycle-requests', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const status = req.query.status === 'approved' ? 'approved' : 'pending';
+        const params = [status];
+        const { rows } = await pool.query(`
+            SELECT cr.*, u.username, u.full_name, pl.name AS set_name, car.name AS rule_name
+            FROM cycle_requests cr
+            JOIN users u ON cr.user_id = u.id
+            JOIN puzzle_sets ps ON cr.set_id = ps.id
+            JOIN puzzle_library pl ON ps.library_id = pl.id
+            LEFT JOIN cycle_approval_rules car ON cr.rule_id = car.id
+            WHERE cr.status = $1 AND ${rosterScope(req.user, 'cr.user_id', params)}
+            ORDER BY cr.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+            LIMIT 200
+        `, params);
+        res.json(rows.map(r => ({
+            id: r.id, userId: r.user_id, username: r.username,
+            fullName: r.full_name || r.username, setId: r.set_id,
+            setName: r.set_name, cycleNumber: r.cycle_number,
+            status: r.status, ruleId: r.rule_id, ruleName: r.rule_name || null,
+            reason: r.decision_reason || '', decidedAt: r.decided_at,
+            createdAt: r.created_at
+        })));
+    } catch (err) {
+        console.error('Get cycle requests error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin / coach: Approve a cycle request
+app.post('/api/admin/cycle-requests/:id/approve', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM cycle_requests WHERE id = $1', [req.params.id]);
+        if (rows.length === 0 || !(await canManageUser(req.user, rows[0].user_id))) {
+            return res.status(404).json({ error: 'Không tìm thấy yêu cầu' });
+        }
+        if (rows[0].status !== 'pending') return res.status(400).json({ error: 'Yêu cầu đã được xử lý' });
+
+        await pool.query(
+            `UPDATE cycle_requests SET status = 'approved', rule_id = NULL, decision_reason = $1, decided_at = NOW()
+             WHERE id = $2`,
+            [`Duyệt thủ công bởi ${req.user.username}`, req.params.id]
+        );
+        res.json({ success: true, message: 'Đã duyệt yêu cầu' });
+    } catch (err) {
+        console.error('Approve cycle request error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin / coach: Reject a cycle request
+app.post('/api/admin/cycle-requests/:id/reject', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM cycle_requests WHERE id = $1', [req.params.id]);
+        if (rows.length === 0 || !(await canManageUser(req.user, rows[0].user_id))) {
+            return res.status(404).json({ error: 'Không tìm thấy yêu cầu' });
+        }
+        if (rows[0].status !== 'pending') return res.status(400).json({ error: 'Yêu cầu đã được xử lý' });
+
+        await pool.query('DELETE FROM cycle_requests WHERE id = $1', [req.params.id]);
+        res.json({ success: true, message: 'Đã từ chối yêu cầu' });
+    } catch (err) {
+        console.error('Reject cycle request error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin / coach: Approve ALL pending cycle requests (a coach: their roster's)
+app.post('/api/admin/cycle-requests/approve-all', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const params = [`Duyệt hàng loạt bởi ${req.user.username}`];
+        const { rowCount } = await pool.query(
+            `UPDATE cycle_requests SET status = 'approved', rule_id = NULL, decision_reason = $1, decided_at = NOW()
+             WHERE status = 'pending' AND ${rosterScope(req.user, 'user_id', params)}`,
+            params
+        );
+        res.json({ success: true, approved: rowCount, message: `Đã duyệt ${rowCount} yêu cầu` });
+    } catch (err) {
+        console.error('Approve all error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== CYCLE AUTO-APPROVAL RULES =====
+const APPROVAL_RULE_TYPES = ['min_accuracy', 'within_target', 'trusted_users'];
+
+function formatApprovalRule(r) {
+    return {
+        id: r.id, name: r.name, type: r.rule_type,
+        minAccuracy: parseFloat(r.min_accuracy) || 0, userIds: r.user_ids || [],
+        enabled: r.enabled, createdAt: r.created_at
+    };
+}
+
+// Validate rule fields from a request body; returns { error } or the column values
+function parseApprovalRule(body, existing = null) {
+    const type = body.type !== undefined ? body.type : existing?.rule_type;
+    if (!APPROVAL_RULE_TYPES.includes(type)) return { error: 'Loại quy tắc không hợp lệ' };
+
+    const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+    if (!name) return { error: 'Cần nhập tên quy tắc' };
+
+    const minAccuracy = body.minAccuracy !== undefined ? parseFloat(body.minAccuracy) : parseFloat(existing?.min_accuracy || 0);
+    if (type === 'min_accuracy' && (isNaN(minAccuracy) || minAccuracy < 0 || minAccuracy > 100)) {
+        return { error: 'Ngưỡng chính xác phải từ 0 đến 100' };
+    }
+
+    const userIds = body.userIds !== undefined ? body.userIds : (existing?.user_ids || []);
+    if (!Array.isArray(userIds)) return { error: 'Danh sách user không hợp lệ' };
+    if (type === 'trusted_users' && userIds.length === 0) return { error: 'Chọn ít nhất 1 học viên tin cậy' };
 
-        res.json({
-            pending: true,
-            message: `Yêu cầu bắt đầu Cycle ${nextCycleNum} đã được gửi. Vui lòng chờ admin duyệt.`
-        });
+    const enabled = body.enabled !== undefined ? !!body.enabled : (existing ? existing.enabled : true);
+    return { name, type, minAccuracy: isNaN(minAccuracy) ? 0 : minAccuracy, userIds, enabled };
+}
+
+app.get('/api/admin/cycle-approval-rules', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM cycle_approval_rules ORDER BY created_at ASC');
+        res.json(rows.map(formatApprovalRule));
     } catch (err) {
-        console.error('Start cycle error:', err);
+        console.error('Get approval rules error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
-// Admin: List pending cycle requests
-app.get('/api/admin/cycle-requests', authMiddleware, adminMiddleware, async (req, res) => {
+app.post('/api/admin/cycle-approval-rules', authMiddleware, adminMiddleware, async (req, res) => {
+    const rule = parseApprovalRule(req.body);
+    if (rule.error) return res.status(400).json({ error: rule.error });
+
     try {
-        const { rows } = await pool.query(`
-            SELECT cr.*, u.username, u.full_name, ps.name AS set_name
-            FROM cycle_requests cr
-            JOIN users u ON cr.user_id = u.id
-            JOIN puzzle_sets ps ON cr.set_id = ps.id
-            WHERE cr.status = 'pending'
-            ORDER BY cr.created_at ASC
-        `);
-        res.json(rows.map(r => ({
-            id: r.id, userId: r.user_id, username: r.username,
-            fullName: r.full_name || r.username, setId: r.set_id,
-            setName: r.set_name, cycleNumber: r.cycle_number,
-            createdAt: r.created_at
-        })));
+        const { rows } = await pool.query(
+            `INSERT INTO cycle_approval_rules (id, name, rule_type, min_accuracy, user_ids, enabled)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [generateId(), rule.name, rule.type, rule.minAccuracy, rule.userIds, rule.enabled]
+        );
+        res.json(formatApprovalRule(rows[0]));
     } catch (err) {
-        console.error('Get cycle requests error:', err);
+        console.error('Create approval rule error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
-// Admin: Approve a cycle request
-app.post('/api/admin/cycle-requests/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
+app.put('/api/admin/cycle-approval-rules/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
-        const { rows } = await pool.query('SELECT * FROM cycle_requests WHERE id = $1', [req.params.id]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy yêu cầu' });
-        if (rows[0].status !== 'pending') return res.status(400).json({ error: 'Yêu cầu đã được xử lý' });
+        const { rows: existing } = await pool.query('SELECT * FROM cycle_approval_rules WHERE id = $1', [req.params.id]);
+        if (existing.length === 0) return res.status(404).json({ error: 'Không tìm thấy quy tắc' });
 
-        await pool.query('UPDATE cycle_requests SET status = $1 WHERE id = $2', ['approved', req.params.id]);
-        res.json({ success: true, message: 'Đã duyệt yêu cầu' });
+        const rule = parseApprovalRule(req.body, existing[0]);
+        if (rule.error) return res.status(400).json({ error: rule.error });
+
+        const { rows } = await pool.query(
+            `UPDATE cycle_approval_rules SET name = $1, rule_type = $2, min_accuracy = $3, user_ids = $4, enabled = $5
+             WHERE id = $6 RETURNING *`,
+            [rule.name, rule.type, rule.minAccuracy, rule.userIds, rule.enabled, req.params.id]
+        );
+        res.json(formatApprovalRule(rows[0]));
     } catch (err) {
-        console.error('Approve cycle request error:', err);
+        console.error('Update approval rule error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
-// Admin: Reject a cycle request
-app.post('/api/admin/cycle-requests/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
+app.delete('/api/admin/cycle-approval-rules/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
-        const { rows } = await pool.query('SELECT * FROM cycle_requests WHERE id = $1', [req.params.id]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy yêu cầu' });
-        if (rows[0].status !== 'pending') return res.status(400).json({ error: 'Yêu cầu đã được xử lý' });
-
-        await pool.query('DELETE FROM cycle_requests WHERE id = $1', [req.params.id]);
-        res.json({ success: true, message: 'Đã từ chối yêu cầu' });
+        const { rowCount } = await pool.query('DELETE FROM cycle_approval_rules WHERE id = $1', [req.params.id]);
+        if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy quy tắc' });
+        res.json({ success: true });
     } catch (err) {
-        console.error('Reject cycle request error:', err);
+        console.error('Delete approval rule error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
 
-// Admin: Approve ALL pending cycle requests
-app.post('/api/admin/cycle-requests/approve-all', authMiddleware, adminMiddleware, async (req, res) => {
+// Admin: Re-run the rules over the pending queue (e.g. after adding or editing a rule)
+app.post('/api/admin/cycle-requests/evaluate', authMiddleware, adminMiddleware, async (req, res) => {
     try {
-        const { rowCount } = await pool.query(
-            `UPDATE cycle_requests SET status = 'approved' WHERE status = 'pending'`
+        const { rows: pending } = await pool.query(
+            `SELECT * FROM cycle_requests WHERE status = 'pending' ORDER BY created_at ASC`
         );
-        res.json({ success: true, approved: rowCount, message: `Đã duyệt ${rowCount} yêu cầu` });
+
+        let approved = 0;
+        for (const r of pending) {
+            const { rows: prevRows } = await pool.query(
+                'SELECT * FROM cycles WHERE set_id = $1 AND cycle_number = $2 AND completed_at IS NOT NULL',
+                [r.set_id, r.cycle_number - 1]
+            );
+            if (prevRows.length === 0) continue;
+
+            const decision = await evaluateCycleApproval(r.user_id, prevRows[0]);
+            await pool.query(
+                `UPDATE cycle_requests SET status = $1, rule_id = $2, decision_reason = $3, decided_at = $4
+                 WHERE id = $5`,
+                [decision.approved ? 'approved' : 'pending', decision.ruleId, decision.reason,
+                    decision.approved ? new Date() : null, r.id]
+            );
+            if (decision.approved) approved++;
+        }
+
+        res.json({ success: true, approved, held: pending.length - approved, message: `Đã tự động duyệt ${approved}/${pending.length} yêu cầu` });
     } catch (err) {
-        console.error('Approve all error:', err);
+        console.error('Evaluate cycle requests error:', err);
         res.status(500).json({ error: 'Lỗi server' });
     }
 });
@@ -927,16 +2787,423 @@ app.post('/api/woodpecker/sets/:id/complete-cycle', authMiddleware, async (req,
     }
 });
 
-// Create a new session
+// Helper: mistake-review scope from a request — `cycles` (cycle numbers), `days` (last N days)
+// or a `from` / `to` date range (YYYY-MM-DD, inclusive)
+function parseReviewScope(input) {
+    const scope = { cycles: null, from: null, to: null };
+    const cycles = Array.isArray(input.cycles) ? input.cycles : String(input.cycles || '').split(',');
+    const cycleNumbers = cycles.map(n => parseInt(n)).filter(n => n > 0);
+    if (cycleNumbers.length > 0) scope.cycles = cycleNumbers;
+
+    const days = parseInt(input.days);
+    if (days > 0) scope.from = new Date(Date.now() - days * 86400000);
+    const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+    if (isDate(input.from)) scope.from = new Date(`${input.from}T00:00:00`);
+    if (isDate(input.to)) scope.to = new Date(new Date(`${input.to}T00:00:00`).getTime() + 86400000);
+    return scope;
+}
+
+// Helper: puzzles of a set the user failed within the scope (cycle and practice attempts),
+// still in the current PGN, in set order
+async function buildMistakeQueue(setId, scope) {
+    const { rows } = await pool.query(`
+        SELECT p.id, p.puzzle_index, COUNT(*) AS failures, MAX(a.recorded_at) AS last_failed_at
+        FROM attempts a
+        JOIN training_sessions ts ON a.session_id = ts.id
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        JOIN puzzles p ON a.puzzle_id = p.id
+        WHERE COALESCE(c.set_id, ts.set_id, a.set_id) = $1
+          AND a.correct = false
+          AND p.retired_at IS NULL
+          AND ($2::int[] IS NULL OR c.cycle_number = ANY($2::int[]))
+          AND ($3::timestamptz IS NULL OR a.recorded_at >= $3)
+          AND ($4::timestamptz IS NULL OR a.recorded_at < $4)
+        GROUP BY p.id
+        ORDER BY p.puzzle_index
+    `, [setId, scope.cycles, scope.from, scope.to]);
+    return rows.map(r => ({
+        id: r.id, index: r.puzzle_index, failures: parseInt(r.failures), lastFailedAt: r.last_failed_at
+    }));
+}
+
+// Preview of a mistake review: the failed puzzles within ?cycles=1,2 / ?days=7 / ?from=&to=
+app.get('/api/woodpecker/sets/:id/mistakes', authMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2', [req.params.id, req.user.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        res.json(await buildMistakeQueue(req.params.id, parseReviewScope(req.query)));
+    } catch (err) {
+        console.error('Get mistakes error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== RATINGS =====
+
+// Helper: a puzzle's Glicko-2 state; unplayed puzzles start from their imported rating,
+// trusted more (lower RD) than the default 1500
+function puzzleGlicko(p) {
+    if (p.glicko_rating !== null) {
+        return { rating: parseFloat(p.glicko_rating), rd: parseFloat(p.glicko_rd), volatility: parseFloat(p.glicko_vol) };
+    }
+    return p.rating
+        ? { rating: p.rating, rd: 150, volatility: glicko2.DEFAULT_VOLATILITY }
+        : { rating: glicko2.DEFAULT_RATING, rd: glicko2.DEFAULT_RD, volatility: glicko2.DEFAULT_VOLATILITY };
+}
+
+// Helper: rate the user and the puzzle against each other after an attempt, log the user's new rating.
+// Runs in the caller's transaction (locks the user and puzzle rows)
+async function recordRatedAttempt(client, userId, puzzleId, correct, attemptId, recordedAt = null) {
+    const { rows: userRows } = await client.query(
+        'SELECT glicko_rating, glicko_rd, glicko_vol FROM users WHERE id = $1 FOR UPDATE', [userId]
+    );
+    const { rows: puzzleRows } = await client.query(
+        'SELECT rating, glicko_rating, glicko_rd, glicko_vol FROM puzzles WHERE id = $1 FOR UPDATE', [puzzleId]
+    );
+    if (userRows.length === 0 || puzzleRows.length === 0) return null;
+
+    const player = {
+        rating: parseFloat(userRows[0].glicko_rating), rd: parseFloat(userRows[0].glicko_rd),
+        volatility: parseFloat(userRows[0].glicko_vol)
+    };
+    const puzzle = puzzleGlicko(puzzleRows[0]);
+    const newPlayer = glicko2.rate(player, puzzle, correct ? 1 : 0);
+    const newPuzzle = glicko2.rate(puzzle, player, correct ? 0 : 1);
+
+    await client.query(
+        'UPDATE users SET glicko_rating = $1, glicko_rd = $2, glicko_vol = $3 WHERE id = $4',
+        [newPlayer.rating, newPlayer.rd, newPlayer.volatility, userId]
+    );
+    await client.query(
+        'UPDATE puzzles SET glicko_rating = $1, glicko_rd = $2, glicko_vol = $3 WHERE id = $4',
+        [newPuzzle.rating, newPuzzle.rd, newPuzzle.volatility, puzzleId]
+    );
+    await client.query(
+        `INSERT INTO rating_history (user_id, attempt_id, puzzle_id, rating, rd, puzzle_rating, recorded_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()))`,
+        [userId, attemptId, puzzleId, newPlayer.rating, newPlayer.rd, puzzle.rating, recordedAt]
+    );
+    return {
+        rating: Math.round(newPlayer.rating), rd: Math.round(newPlayer.rd),
+        change: Math.round(newPlayer.rating - player.rating)
+    };
+}
+
+// Helper: a user's current rating with its recent history (oldest first)
+async function getRatingSummary(userId, historyLimit = 200) {
+    const { rows: userRows } = await pool.query(
+        'SELECT glicko_rating, glicko_rd FROM users WHERE id = $1', [userId]
+    );
+    if (userRows.length === 0) return null;
+    const { rows: history } = await pool.query(`
+        SELECT rating, rd, recorded_at FROM (
+            SELECT rating, rd, recorded_at, id FROM rating_history
+            WHERE user_id = $1 ORDER BY recorded_at DESC, id DESC LIMIT $2
+        ) h ORDER BY recorded_at, id
+    `, [userId, historyLimit]);
+    const rd = parseFloat(userRows[0].glicko_rd);
+    return {
+        rating: Math.round(parseFloat(userRows[0].glicko_rating)), rd: Math.round(rd),
+        provisional: rd > glicko2.PROVISIONAL_RD,
+        history: history.map(h => ({
+            rating: Math.round(parseFloat(h.rating)), rd: Math.round(parseFloat(h.rd)), recordedAt: h.recorded_at
+        }))
+    };
+}
+
+// Current user's rating and history (dashboard)
+app.get('/api/woodpecker/rating', authMiddleware, async (req, res) => {
+    try {
+        res.json(await getRatingSummary(req.user.id));
+    } catch (err) {
+        console.error('Get rating error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== SPACED REPETITION =====
+// Puzzles of SR-enabled sets are scheduled one by one (SM-2, js/spaced-repetition.js) from every
+// attempt at them, in cycles or practice alike; the due ones make a daily review across all sets.
+
+const SR_NEW_PER_DAY = 10;      // never-attempted puzzles introduced per day
+const SR_DUE_LIMIT = 100;       // puzzles in one day's due queue
+
+// Helper: SM-2 quality (0-5) of an attempt. A failed puzzle scores by its mistakes,
+// a clean solve by how quickly it was found.
+function puzzleReviewQuality(correct, mistakes, timeMs) {
+    if (!correct) {
+        const m = Math.max(1, parseInt(mistakes) || 1);
+        return m === 1 ? 2 : m === 2 ? 1 : 0;
+    }
+    if (timeMs <= 15000) return 5;
+    if (timeMs <= 45000) return 4;
+    return 3;
+}
+
+function cardFromRow(r) {
+    return {
+        state: r.state, easeFactor: parseFloat(r.ease_factor), interval: parseFloat(r.interval_days),
+        repetitions: r.repetitions, nextReview: r.next_review, lastReview: r.last_review,
+        totalAttempts: r.total_attempts, correctAttempts: r.correct_attempts, streak: r.streak
+    };
+}
+
+// Helper: apply one review to the user's card for a puzzle (created on first review)
+async function updatePuzzleCard(client, userId, puzzleId, quality, at = Date.now()) {
+    const { rows } = await client.query(
+        'SELECT * FROM puzzle_cards WHERE user_id = $1 AND puzzle_id = $2', [userId, puzzleId]
+    );
+    const card = rows.length > 0 ? cardFromRow(rows[0]) : {
+        state: 'new', easeFactor: 2.5, interval: 0, repetitions: 0, nextReview: null, lastReview: null,
+        totalAttempts: 0, correctAttempts: 0, streak: 0
+    };
+    SpacedRepetition.applyReview(card, quality, at);
+    await client.query(`
+        INSERT INTO puzzle_cards (user_id, puzzle_id, state, ease_factor, interval_days, repetitions,
+                                  next_review, last_review, total_attempts, correct_attempts, streak, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $8)
+        ON CONFLICT (user_id, puzzle_id) DO UPDATE SET
+            state = $3, ease_factor = $4, interval_days = $5, repetitions = $6, next_review = $7,
+            last_review = $8, total_attempts = $9, correct_attempts = $10, streak = $11
+    `, [userId, puzzleId, card.state, card.easeFactor, card.interval, card.repetitions,
+        card.nextReview, card.lastReview, card.totalAttempts, card.correctAttempts, card.streak]);
+}
+
+// Helper: rebuild the user's cards for a set from its whole attempt history (when SR is turned on)
+async function rebuildPuzzleCards(userId, setId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: attempts } = await client.query(`
+            SELECT a.puzzle_id, a.correct, a.mistakes, a.time_ms, a.recorded_at
+            FROM attempts a
+            JOIN training_sessions ts ON a.session_id = ts.id
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            WHERE COALESCE(c.set_id, ts.set_id, a.set_id) = $1 AND a.puzzle_id IS NOT NULL
+            ORDER BY a.recorded_at, a.id
+        `, [setId]);
+        await client.query(`
+            DELETE FROM puzzle_cards
+            WHERE user_id = $1 AND puzzle_id IN (
+                SELECT p.id FROM puzzles p JOIN puzzle_sets ps ON ps.library_id = p.library_id WHERE ps.id = $2
+            )
+        `, [userId, setId]);
+        for (const a of attempts) {
+            await updatePuzzleCard(client, userId, a.puzzle_id,
+                puzzleReviewQuality(a.correct, a.mistakes, a.time_ms), new Date(a.recorded_at).getTime());
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Helper: the user's puzzles due by the end of today across SR-enabled sets, most overdue first,
+// then up to SR_NEW_PER_DAY never-attempted puzzles (less those already started today)
+async function getDuePuzzles(userId) {
+    const { rows: due } = await pool.query(`
+        SELECT p.id, p.puzzle_index, ps.id AS set_id, pl.name AS set_name, pc.next_review
+        FROM puzzle_cards pc
+        JOIN puzzles p ON pc.puzzle_id = p.id
+        JOIN puzzle_sets ps ON ps.library_id = p.library_id AND ps.assigned_to = pc.user_id
+        JOIN puzzle_library pl ON ps.library_id = pl.id
+        WHERE pc.user_id = $1 AND ps.sr_enabled = true AND p.retired_at IS NULL
+          AND pc.next_review < CURRENT_DATE + 1
+        ORDER BY pc.next_review
+        LIMIT $2
+    `, [userId, SR_DUE_LIMIT]);
+
+    const { rows: started } = await pool.query(
+        'SELECT COUNT(*) FROM puzzle_cards WHERE user_id = $1 AND created_at >= CURRENT_DATE', [userId]
+    );
+    const newLimit = Math.min(SR_DUE_LIMIT - due.length, Math.max(0, SR_NEW_PER_DAY - parseInt(started[0].count)));
+    let fresh = [];
+    if (newLimit > 0) {
+        ({ rows: fresh } = await pool.query(`
+            SELECT p.id, p.puzzle_index, ps.id AS set_id, pl.name AS set_name
+            FROM puzzle_sets ps
+            JOIN puzzle_library pl ON ps.library_id = pl.id
+            JOIN puzzles p ON p.library_id = ps.library_id
+            WHERE ps.assigned_to = $1 AND ps.sr_enabled = true AND p.retired_at IS NULL
+              AND NOT EXISTS (SELECT 1 FROM puzzle_cards pc WHERE pc.user_id = $1 AND pc.puzzle_id = p.id)
+            ORDER BY ps.created_at, p.puzzle_index
+            LIMIT $2
+        `, [userId, newLimit]));
+    }
+
+    return [...due, ...fresh].map(r => ({
+        puzzleId: r.id, setId: r.set_id, setName: r.set_name, index: r.puzzle_index, nextReview: r.next_review || null
+    }));
+}
+
+// Turn spaced repetition on/off for one of the user's sets
+app.put('/api/woodpecker/sets/:id/sr', authMiddleware, async (req, res) => {
+    const enabled = !!req.body.enabled;
+    try {
+        const { rows } = await pool.query(
+            'UPDATE puzzle_sets SET sr_enabled = $1 WHERE id = $2 AND assigned_to = $3 RETURNING id',
+            [enabled, req.params.id, req.user.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        // Attempts made while SR was off still count: schedule from the full history
+        if (enabled) await rebuildPuzzleCards(req.user.id, req.params.id);
+        res.json({ srEnabled: enabled });
+    } catch (err) {
+        console.error('Toggle SR error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Today's spaced-repetition queue
+app.get('/api/woodpecker/sr/due', authMiddleware, async (req, res) => {
+    try {
+        const puzzles = await getDuePuzzles(req.user.id);
+        res.json({ dueToday: puzzles.length, puzzles });
+    } catch (err) {
+        console.error('Get due puzzles error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Longest move list accepted with an attempt (mistakes included)
+const MAX_ATTEMPT_MOVES = 300;
+
+// Helper: IDs an offline client generates for sessions and attempts (WoodpeckerTrainer.newClientId)
+function isClientId(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(value);
+}
+
+// How far back a replayed offline write may date itself
+const OFFLINE_REPLAY_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Helper: a timestamp reported by the client. Only writes replayed from the offline queue
+// (X-Offline-Replay header) keep their original time, and only within OFFLINE_REPLAY_MAX_AGE_MS and
+// not before `notBefore` (the session's start); null otherwise, so the caller uses NOW().
+// Sessions themselves always start at the server's NOW(): the header is the client's word, so
+// nothing it dates can go back past a time the server recorded.
+function clientTimestamp(req, value, notBefore = null) {
+    if (!value || req.get('X-Offline-Replay') !== '1') return null;
+    const time = new Date(value).getTime();
+    if (isNaN(time) || time > Date.now() + 60000 || time < Date.now() - OFFLINE_REPLAY_MAX_AGE_MS) return null;
+    if (notBefore && time < new Date(notBefore).getTime()) return null;
+    return new Date(time);
+}
+
+// Helper: the session duration the client reports (seconds), capped at the time that has passed on the
+// server between the session's start and `endedAt` (now when null) — it decides the daily-completion credit
+function sessionDuration(duration, startedAt, endedAt = null) {
+    const seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+    const elapsed = ((endedAt || new Date()).getTime() - new Date(startedAt).getTime()) / 1000;
+    return Math.round(Math.min(seconds, Math.max(0, elapsed)));
+}
+
+// Create a new session. With `theme` it is a practice session on that theme's puzzles, with
+// `review` ({ cycles } / { days } / { from, to }) a review of the puzzles failed in that scope.
+// Both are outside the cycle (no active cycle needed, don't count towards cycle progress or streaks).
+// With `sr: true` (no setId) it is the day's spaced-repetition review across all SR-enabled sets.
+// An offline client sends its own session `id`; replaying the same id is a no-op. The session starts when
+// the server gets it (a client `startedAt` is not taken, see clientTimestamp).
 app.post('/api/woodpecker/sessions', authMiddleware, async (req, res) => {
-    const { setId } = req.body;
+    const { setId, theme, review, sr } = req.body;
     try {
+        let sessionId = generateId();
+        if (req.body.id !== undefined) {
+            if (!isClientId(req.body.id)) return res.status(400).json({ error: 'Session ID không hợp lệ' });
+            const { rows: existing } = await pool.query(`
+                SELECT ts.*, COALESCE(ts.user_id, ps.assigned_to) AS owner_id
+                FROM training_sessions ts
+                LEFT JOIN cycles c ON ts.cycle_id = c.id
+                LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+                WHERE ts.id = $1
+            `, [req.body.id]);
+            if (existing.length > 0) {
+                const s = existing[0];
+                if (s.owner_id !== req.user.id) return res.status(409).json({ error: 'Session ID đã được dùng' });
+                return res.json({
+                    session: {
+                        id: s.id, startedAt: s.started_at, endedAt: s.ended_at, duration: s.duration,
+                        puzzlesAttempted: s.puzzles_attempted, puzzlesSolved: s.puzzles_solved, attempts: []
+                    },
+                    mode: s.mode || 'cycle', theme: s.theme, puzzleIds: s.puzzle_ids || [], cycleNumber: null, duplicate: true
+                });
+            }
+            sessionId = req.body.id;
+        }
+        if (sr) {
+            const puzzles = await getDuePuzzles(req.user.id);
+            if (puzzles.length === 0) {
+                return res.status(400).json({ error: 'Không có puzzle nào đến hạn ôn hôm nay' });
+            }
+
+            await pool.query(
+                `INSERT INTO training_sessions (id, user_id, mode, puzzle_ids) VALUES ($1, $2, 'sr', $3)`,
+                [sessionId, req.user.id, puzzles.map(p => p.puzzleId)]
+            );
+            return res.json({
+                session: {
+                    id: sessionId, startedAt: new Date().toISOString(), endedAt: null,
+                    duration: 0, puzzlesAttempted: 0, puzzlesSolved: 0, attempts: []
+                },
+                mode: 'sr', puzzles, cycleNumber: null
+            });
+        }
+
         const { rows: setRows } = await pool.query(
-            'SELECT id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
+            'SELECT id, library_id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
             [setId, req.user.id]
         );
         if (setRows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
 
+        if (review) {
+            const mistakes = await buildMistakeQueue(setId, parseReviewScope(review));
+            if (mistakes.length === 0) {
+                return res.status(400).json({ error: 'Không có puzzle sai nào trong phạm vi đã chọn' });
+            }
+
+            const puzzleIds = mistakes.map(m => m.id);
+            await pool.query(
+                `INSERT INTO training_sessions (id, set_id, user_id, mode, puzzle_ids)
+                 VALUES ($1, $2, $3, 'review', $4)`,
+                [sessionId, setId, req.user.id, puzzleIds]
+            );
+            return res.json({
+                session: {
+                    id: sessionId, startedAt: new Date().toISOString(), endedAt: null,
+                    duration: 0, puzzlesAttempted: 0, puzzlesSolved: 0, attempts: []
+                },
+                mode: 'review', puzzleIds, cycleNumber: null
+            });
+        }
+
+        if (theme) {
+            const { rows: themeRows } = await pool.query(
+                'SELECT COUNT(*) FROM puzzles WHERE library_id = $1 AND retired_at IS NULL AND $2 = ANY(themes)',
+                [setRows[0].library_id, theme]
+            );
+            if (parseInt(themeRows[0].count) === 0) {
+                return res.status(400).json({ error: 'Không có puzzle nào thuộc chủ đề này' });
+            }
+
+            await pool.query(
+                `INSERT INTO training_sessions (id, set_id, user_id, mode, theme)
+                 VALUES ($1, $2, $3, 'practice', $4)`,
+                [sessionId, setId, req.user.id, theme]
+            );
+            return res.json({
+                session: {
+                    id: sessionId, startedAt: new Date().toISOString(), endedAt: null,
+                    duration: 0, puzzlesAttempted: 0, puzzlesSolved: 0, attempts: []
+                },
+                mode: 'practice', theme, cycleNumber: null
+            });
+        }
+
         const { rows: cycleRows } = await pool.query(
             'SELECT * FROM cycles WHERE set_id = $1 AND completed_at IS NULL ORDER BY cycle_number DESC LIMIT 1',
             [setId]
@@ -945,10 +3212,9 @@ app.post('/api/woodpecker/sessions', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'Không có cycle đang hoạt động. Hãy bắt đầu cycle mới.' });
         }
 
-        const sessionId = generateId();
         await pool.query(
-            'INSERT INTO training_sessions (id, cycle_id) VALUES ($1, $2)',
-            [sessionId, cycleRows[0].id]
+            'INSERT INTO training_sessions (id, cycle_id, user_id) VALUES ($1, $2, $3)',
+            [sessionId, cycleRows[0].id, req.user.id]
         );
 
         res.json({
@@ -956,7 +3222,7 @@ app.post('/api/woodpecker/sessions', authMiddleware, async (req, res) => {
                 id: sessionId, startedAt: new Date().toISOString(), endedAt: null,
                 duration: 0, puzzlesAttempted: 0, puzzlesSolved: 0, attempts: []
             },
-            cycleNumber: cycleRows[0].cycle_number
+            mode: 'cycle', cycleNumber: cycleRows[0].cycle_number
         });
     } catch (err) {
         console.error('Create session error:', err);
@@ -964,44 +3230,182 @@ app.post('/api/woodpecker/sessions', authMiddleware, async (req, res) => {
     }
 });
 
-// Record a puzzle attempt
-app.post('/api/woodpecker/sessions/:sessionId/attempt', authMiddleware, async (req, res) => {
-    const { setId, puzzleIndex, correct, timeMs } = req.body;
-    try {
-        // Verify ownership
-        const { rows: setRows } = await pool.query(
-            'SELECT id FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
-            [setId, req.user.id]
-        );
-        if (setRows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+// Helper: a puzzle as a parsed game for WoodpeckerTrainer.verifySolution: its own PGN text, or (puzzles stored
+// before the text was kept and since retired) the mainline from FEN + solution
+function puzzleGame(puzzle) {
+    const game = puzzle.pgn ? PGNParser.parseSingleGame(puzzle.pgn) : null;
+    if (game) return game;
+    const chess = puzzle.fen ? new Chess(puzzle.fen) : new Chess();
+    const moves = [];
+    for (const san of (puzzle.solution || '').split(' ').filter(Boolean)) {
+        moves.push({ san, isWhite: chess.turn() === 'w', variations: [], nags: [] });
+        if (!chess.move(san, { sloppy: true })) break;
+    }
+    return { fen: puzzle.fen || null, headers: puzzle.headers || {}, moves };
+}
 
-        // Record attempt
-        await pool.query(
-            'INSERT INTO attempts (session_id, puzzle_index, correct, time_ms) VALUES ($1, $2, $3, $4)',
-            [req.params.sessionId, puzzleIndex, correct, timeMs]
-        );
+// Helper: record one attempt inside the caller's transaction. Locks the session row so concurrent
+// attempts on a session are serialized (no duplicate client IDs, no stale counters).
+// `correct` and `mistakes` are computed by replaying the attempt's moves against the puzzle.
+// Returns { error, status } for a rejected attempt, else { attempt, duplicate, rating, attempted, solved, isCycleSession }.
+async function recordAttempt(client, userId, sessionId, attempt) {
+    const { setId, puzzleId, puzzleIndex, moves, timeMs, clientId } = attempt;
+
+    const { rows: sessionRows } = await client.query(`
+        SELECT ts.id, ts.mode, ts.started_at, ts.ended_at, ts.suspended_at, ts.puzzle_ids,
+               COALESCE(c.set_id, ts.set_id) AS session_set_id,
+               COALESCE(ts.user_id, ps.assigned_to) AS owner_id
+        FROM training_sessions ts
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+        WHERE ts.id = $1
+        FOR UPDATE OF ts
+    `, [sessionId]);
+    const session = sessionRows[0];
+    if (!session || session.owner_id !== userId) return { error: 'Không tìm thấy session', status: 404 };
+    // A replayed attempt can't date itself before its session started
+    const recordedAt = attempt.recordedAt && attempt.recordedAt >= session.started_at ? attempt.recordedAt : null;
+    // Cycle / practice / review sessions belong to one set; an SR session spans sets (checked per puzzle below)
+    if (session.session_set_id && session.session_set_id !== setId) {
+        return { error: 'Session không thuộc puzzle set này', status: 400 };
+    }
 
-        // Update session counts - count ALL attempts (including re-attempts of same puzzle)
-        const { rows: counts } = await pool.query(
-            `SELECT 
-                COUNT(*) AS attempted,
-                COUNT(CASE WHEN correct = true THEN 1 END) AS solved
+    const { rows: setRows } = await client.query(
+        'SELECT id, library_id, sr_enabled FROM puzzle_sets WHERE id = $1 AND assigned_to = $2',
+        [setId, userId]
+    );
+    if (setRows.length === 0) return { error: 'Không tìm thấy puzzle set', status: 404 };
+
+    const counts = async () => {
+        const { rows } = await client.query(
+            `SELECT COUNT(*) AS attempted, COUNT(CASE WHEN correct = true THEN 1 END) AS solved
              FROM attempts WHERE session_id = $1`,
-            [req.params.sessionId]
+            [sessionId]
         );
+        return { attempted: parseInt(rows[0].attempted), solved: parseInt(rows[0].solved) };
+    };
+    const isCycleSession = (session.mode || 'cycle') === 'cycle';
 
-        await pool.query(
-            'UPDATE training_sessions SET puzzles_attempted = $1, puzzles_solved = $2 WHERE id = $3',
-            [parseInt(counts[0].attempted), parseInt(counts[0].solved), req.params.sessionId]
+    if (clientId) {
+        const { rows: existing } = await client.query(
+            'SELECT * FROM attempts WHERE session_id = $1 AND client_id = $2', [sessionId, clientId]
         );
+        if (existing.length > 0) {
+            return { attempt: existing[0], duplicate: true, rating: null, ...(await counts()), isCycleSession };
+        }
+    }
+    if (session.ended_at) return { error: 'Session đã kết thúc', status: 409 };
+    // A suspended session takes attempts again once resumed; only a replayed attempt played before it was suspended gets in
+    if (session.suspended_at && !(recordedAt && recordedAt <= session.suspended_at)) {
+        return { error: 'Session đang tạm dừng', status: 409 };
+    }
+
+    // Resolve the puzzle: the client's puzzleId if it belongs to this set, else the current puzzle at puzzleIndex
+    const { rows: puzzleRows } = await client.query(
+        `SELECT id, puzzle_index, fen, solution, headers, pgn FROM puzzles
+         WHERE library_id = $1 AND (id = $2 OR ($2 IS NULL AND puzzle_index = $3 AND retired_at IS NULL))`,
+        [setRows[0].library_id, puzzleId || null, puzzleIndex]
+    );
+    if (puzzleRows.length === 0) {
+        return puzzleId
+            ? { error: 'Puzzle không thuộc puzzle set này', status: 400 }
+            : { error: 'puzzleIndex vượt quá số puzzle của set', status: 400 };
+    }
+    if (puzzleId && puzzleIndex !== puzzleRows[0].puzzle_index) {
+        // The index the client saw may predate a PGN replacement, but must still lie within the set
+        const { rows: countRows } = await client.query(
+            'SELECT COUNT(*) AS total FROM puzzles WHERE library_id = $1 AND retired_at IS NULL',
+            [setRows[0].library_id]
+        );
+        if (puzzleIndex >= parseInt(countRows[0].total)) {
+            return { error: 'puzzleIndex vượt quá số puzzle của set', status: 400 };
+        }
+    }
+    const resolvedPuzzleId = puzzleRows[0].id;
+    if (session.mode === 'sr' && !(session.puzzle_ids || []).includes(resolvedPuzzleId)) {
+        return { error: 'Puzzle không thuộc session này', status: 400 };
+    }
+    // The PGN may have been replaced mid-session: store the puzzle's current index
+    const recordedIndex = puzzleRows[0].puzzle_index;
+
+    const verdict = WoodpeckerTrainer.verifySolution(puzzleGame(puzzleRows[0]), moves, Chess);
+    if (!verdict.valid) return { error: 'Nước đi không khớp với puzzle', status: 400 };
+    const { correct, mistakes } = verdict;
+
+    const { rows: attemptRows } = await client.query(
+        `INSERT INTO attempts (session_id, set_id, puzzle_id, puzzle_index, correct, time_ms, mistakes, moves, client_id, recorded_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))
+         RETURNING *`,
+        [sessionId, setId, resolvedPuzzleId, recordedIndex, correct, timeMs, mistakes, moves, clientId, recordedAt]
+    );
+
+    const rating = await recordRatedAttempt(client, userId, resolvedPuzzleId, correct, attemptRows[0].id, recordedAt);
+    if (setRows[0].sr_enabled) {
+        await updatePuzzleCard(client, userId, resolvedPuzzleId, puzzleReviewQuality(correct, mistakes, timeMs),
+            (recordedAt || new Date()).getTime());
+    }
+
+    // Session counters count ALL attempts (including re-attempts of the same puzzle)
+    const totals = await counts();
+    await client.query(
+        'UPDATE training_sessions SET puzzles_attempted = $1, puzzles_solved = $2 WHERE id = $3',
+        [totals.attempted, totals.solved, sessionId]
+    );
+
+    return { attempt: attemptRows[0], duplicate: false, rating, ...totals, isCycleSession };
+}
+
+// Record a puzzle attempt. The session must be the user's, on this set and still open; the insert, the
+// rating / card updates and the session counters commit together. A repeated `clientId` is a no-op
+// that returns the stored attempt (also after the session ended, so a late retry still succeeds).
+// The client sends the `moves` it played; whether the puzzle was solved is decided here, not by the client.
+app.post('/api/woodpecker/sessions/:sessionId/attempt', authMiddleware, async (req, res) => {
+    const { setId, puzzleId, puzzleIndex, timeMs, moves, clientId } = req.body;
+    const recordedAt = clientTimestamp(req, req.body.recordedAt);
+
+    if (clientId !== undefined && !isClientId(clientId)) return res.status(400).json({ error: 'Attempt ID không hợp lệ' });
+    if (!Array.isArray(moves) || moves.length > MAX_ATTEMPT_MOVES
+        || !moves.every(m => typeof m === 'string' && m.length > 0 && m.length <= 10)) {
+        return res.status(400).json({ error: 'Thiếu danh sách nước đi của attempt' });
+    }
+    if (!Number.isInteger(puzzleIndex) || puzzleIndex < 0) return res.status(400).json({ error: 'puzzleIndex không hợp lệ' });
+    if (typeof timeMs !== 'number' || !Number.isFinite(timeMs) || timeMs < 0) {
+        return res.status(400).json({ error: 'timeMs không hợp lệ' });
+    }
+
+    const client = await pool.connect();
+    let result;
+    try {
+        await client.query('BEGIN');
+        result = await recordAttempt(client, req.user.id, req.params.sessionId, {
+            setId, puzzleId, puzzleIndex, moves, timeMs: Math.round(timeMs), clientId: clientId || null, recordedAt
+        });
+        await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Record attempt error:', err);
+        return res.status(500).json({ error: 'Lỗi server' });
+    } finally {
+        client.release();
+    }
+    if (result.error) return res.status(result.status).json({ error: result.error });
 
+    try {
+        const a = result.attempt;
         res.json({
-            attempt: { puzzleIndex, correct, timeMs, recordedAt: new Date().toISOString() },
+            attempt: {
+                puzzleId: a.puzzle_id, puzzleIndex: a.puzzle_index, correct: a.correct, mistakes: a.mistakes,
+                timeMs: a.time_ms, clientId: a.client_id, recordedAt: a.recorded_at
+            },
+            duplicate: result.duplicate,
             session: {
                 id: req.params.sessionId,
-                puzzlesAttempted: parseInt(counts[0].attempted),
-                puzzlesSolved: parseInt(counts[0].solved)
-            }
+                puzzlesAttempted: result.attempted,
+                puzzlesSolved: result.solved
+            },
+            rating: result.rating,
+            // Next puzzles of the cycle after this attempt
+            queue: result.isCycleSession && !result.duplicate ? await buildPuzzleQueue(setId, req.params.sessionId) : null
         });
     } catch (err) {
         console.error('Record attempt error:', err);
@@ -1009,7 +3413,7 @@ app.post('/api/woodpecker/sessions/:sessionId/attempt', authMiddleware, async (r
     }
 });
 
-// End a session
+// End a session: only the owner's, and only once (404 = not theirs, 409 = already ended)
 app.put('/api/woodpecker/sessions/:sessionId', authMiddleware, async (req, res) => {
     const { setId, duration } = req.body;
     try {
@@ -1019,20 +3423,41 @@ app.put('/api/woodpecker/sessions/:sessionId', authMiddleware, async (req, res)
         );
         if (setRows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
 
-        await pool.query(
-            'UPDATE training_sessions SET ended_at = NOW(), duration = $1 WHERE id = $2',
-            [duration || 0, req.params.sessionId]
+        const { rows: found } = await pool.query(`
+            SELECT ts.started_at, ts.ended_at
+            FROM training_sessions ts
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+            WHERE ts.id = $1 AND COALESCE(ts.user_id, ps.assigned_to) = $2
+        `, [req.params.sessionId, req.user.id]);
+        if (found.length === 0) return res.status(404).json({ error: 'Không tìm thấy session' });
+        if (found[0].ended_at) return res.status(409).json({ error: 'Session đã kết thúc' });
+        const endedAt = clientTimestamp(req, req.body.endedAt, found[0].started_at);
+        const seconds = sessionDuration(duration, found[0].started_at, endedAt);
+
+        // ended_at IS NULL again here: of two racing ends only one gets through
+        const { rows: ended } = await pool.query(
+            `UPDATE training_sessions ts SET ended_at = COALESCE($3, NOW()), suspended_at = NULL, duration = $1
+             FROM training_sessions own
+             LEFT JOIN cycles c ON own.cycle_id = c.id
+             LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, own.set_id)
+             WHERE ts.id = $2 AND own.id = ts.id AND ts.ended_at IS NULL
+               AND COALESCE(own.user_id, ps.assigned_to) = $4
+             RETURNING ts.mode, ts.ended_at`,
+            [seconds, req.params.sessionId, endedAt, req.user.id]
         );
+        if (ended.length === 0) return res.status(409).json({ error: 'Session đã kết thúc' });
 
-        // Record daily completion if session was full (>= 570 seconds ≈ 9.5 min)
-        if (duration >= 570) {
+        // Record daily completion if session was full (>= 570 seconds ≈ 9.5 min); practice / review sessions don't count.
+        // A session synced after offline training counts for the day it ended.
+        if (seconds >= 570 && ended[0].mode === 'cycle') {
             try {
                 const dcId = generateId();
                 await pool.query(
                     `INSERT INTO daily_completions (id, user_id, completed_date)
-                     VALUES ($1, $2, CURRENT_DATE)
+                     VALUES ($1, $2, $3::timestamptz::date)
                      ON CONFLICT (user_id, completed_date) DO NOTHING`,
-                    [dcId, req.user.id]
+                    [dcId, req.user.id, ended[0].ended_at]
                 );
             } catch (e) {
                 console.warn('Daily completion record failed:', e.message);
@@ -1119,16 +3544,145 @@ app.get('/api/woodpecker/streak', authMiddleware, async (req, res) => {
     }
 });
 
-// Beacon endpoint for saving session on page unload (F5 / close tab / logout)
+// ===== SESSION RESUME =====
+const SESSION_DURATION = 10 * 60;           // seconds
+const SESSION_RESUME_GRACE_MINUTES = 30;
+
+// Helper: the user's suspended session still within the grace window (the latest, or `sessionId`)
+async function findSuspendedSession(userId, sessionId = null) {
+    const { rows } = await pool.query(`
+        SELECT ts.*, COALESCE(c.set_id, ts.set_id) AS owner_set_id
+        FROM training_sessions ts
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+        WHERE COALESCE(ts.user_id, ps.assigned_to) = $1
+          AND ts.ended_at IS NULL AND ts.suspended_at IS NOT NULL
+          AND ts.suspended_at > NOW() - make_interval(mins => $2)
+          AND ts.duration < $3
+          AND ($4::text IS NULL OR ts.id = $4)
+        ORDER BY ts.suspended_at DESC
+        LIMIT 1
+    `, [userId, SESSION_RESUME_GRACE_MINUTES, SESSION_DURATION, sessionId]);
+    return rows[0] || null;
+}
+
+// Helper: what the client needs to restore a session — its kind, elapsed time, the puzzle on the
+// board and the attempts already recorded (plus the puzzles of a spaced-repetition review)
+async function buildResumePayload(s, userId) {
+    const { rows: attempts } = await pool.query(
+        `SELECT puzzle_id, puzzle_index, correct, time_ms, mistakes FROM attempts
+         WHERE session_id = $1 ORDER BY recorded_at, id`,
+        [s.id]
+    );
+    const payload = {
+        session: {
+            id: s.id, startedAt: s.started_at, endedAt: null, duration: s.duration,
+            puzzlesAttempted: s.puzzles_attempted, puzzlesSolved: s.puzzles_solved,
+            attempts: attempts.map(a => ({
+                puzzleId: a.puzzle_id, puzzleIndex: a.puzzle_index, correct: a.correct,
+                timeMs: a.time_ms, mistakes: a.mistakes
+            }))
+        },
+        mode: s.mode || 'cycle', setId: s.owner_set_id, theme: s.theme, puzzleIds: s.puzzle_ids || [],
+        currentPuzzleId: s.current_puzzle_id,
+        remainingSeconds: Math.max(0, SESSION_DURATION - s.duration),
+        resumableUntil: new Date(new Date(s.suspended_at).getTime() + SESSION_RESUME_GRACE_MINUTES * 60000)
+    };
+    if (payload.mode === 'sr') {
+        const { rows } = await pool.query(`
+            SELECT p.id, p.puzzle_index, ps.id AS set_id, pl.name AS set_name
+            FROM unnest($1::text[]) WITH ORDINALITY AS q(id, ord)
+            JOIN puzzles p ON p.id = q.id
+            JOIN puzzle_sets ps ON ps.library_id = p.library_id AND ps.assigned_to = $2
+            JOIN puzzle_library pl ON ps.library_id = pl.id
+            ORDER BY q.ord
+        `, [payload.puzzleIds, userId]);
+        payload.puzzles = rows.map(r => ({ puzzleId: r.id, setId: r.set_id, setName: r.set_name, index: r.puzzle_index }));
+    }
+    return payload;
+}
+
+// Helper: end the sessions suspended longer than the grace window (at the time they were suspended),
+// recording the daily completion a full cycle session earns
+async function finalizeSuspendedSessions() {
+    const { rows } = await pool.query(`
+        UPDATE training_sessions SET ended_at = suspended_at, suspended_at = NULL
+        WHERE ended_at IS NULL AND suspended_at IS NOT NULL
+          AND suspended_at <= NOW() - make_interval(mins => $1)
+        RETURNING id, mode, duration, user_id, cycle_id, ended_at
+    `, [SESSION_RESUME_GRACE_MINUTES]);
+    for (const s of rows) {
+        if (s.duration < 570 || (s.mode || 'cycle') !== 'cycle') continue;
+        let userId = s.user_id;
+        if (!userId) {
+            const { rows: owner } = await pool.query(
+                'SELECT ps.assigned_to FROM cycles c JOIN puzzle_sets ps ON c.set_id = ps.id WHERE c.id = $1', [s.cycle_id]
+            );
+            userId = owner.length > 0 ? owner[0].assigned_to : null;
+        }
+        if (!userId) continue;
+        await pool.query(
+            `INSERT INTO daily_completions (id, user_id, completed_date)
+             VALUES ($1, $2, $3::timestamptz::date)
+             ON CONFLICT (user_id, completed_date) DO NOTHING`,
+            [generateId(), userId, s.ended_at]
+        );
+    }
+    return rows.length;
+}
+
+// The user's resumable session, if any ({ session: null } otherwise)
+app.get('/api/woodpecker/sessions/resumable', authMiddleware, async (req, res) => {
+    try {
+        await finalizeSuspendedSessions();
+        const s = await findSuspendedSession(req.user.id);
+        if (!s) return res.json({ session: null });
+        res.json(await buildResumePayload(s, req.user.id));
+    } catch (err) {
+        console.error('Get resumable session error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Resume a suspended session: it becomes active again with the time it had left
+app.post('/api/woodpecker/sessions/:sessionId/resume', authMiddleware, async (req, res) => {
+    try {
+        const s = await findSuspendedSession(req.user.id, req.params.sessionId);
+        if (!s) return res.status(404).json({ error: 'Session này không còn tiếp tục được' });
+        await pool.query('UPDATE training_sessions SET suspended_at = NULL WHERE id = $1', [s.id]);
+        res.json(await buildResumePayload(s, req.user.id));
+    } catch (err) {
+        console.error('Resume session error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Beacon endpoint for saving session on page unload (F5 / close tab / logout).
+// sendBeacon can't set headers, so the token comes in the body (a replay from the offline queue sends
+// it as Authorization); only the session's owner can suspend or end it.
+// With `suspend` (reload / closed tab) the session is only suspended: it can be resumed within
+// SESSION_RESUME_GRACE_MINUTES, after which finalizeSuspendedSessions ends it.
 app.post('/api/woodpecker/sessions/:sessionId/end', async (req, res) => {
-    const { setId, duration, token } = req.body;
+    const { setId, duration, suspend, puzzleId } = req.body;
+    const token = req.headers['authorization']?.replace('Bearer ', '') || req.body.token;
     if (!setId) return res.status(400).json({ error: 'Missing setId' });
+    if (!token) return res.status(401).json({ error: 'Cần đăng nhập' });
 
     try {
-        const { rows } = await pool.query(
-            'SELECT id, ended_at FROM training_sessions WHERE id = $1', [req.params.sessionId]
-        );
+        const login = await resolveLoginToken(token);
+        if (login.error) return res.status(401).json({ error: login.error });
+        const userId = login.userId;
+
+        const { rows } = await pool.query(`
+            SELECT ts.id, ts.started_at, ts.ended_at, ts.mode
+            FROM training_sessions ts
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+            WHERE ts.id = $1 AND COALESCE(ts.user_id, ps.assigned_to) = $2
+        `, [req.params.sessionId, userId]);
         if (rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+        const at = clientTimestamp(req, req.body.endedAt, rows[0].started_at);
+        const seconds = sessionDuration(duration, rows[0].started_at, at);
 
         if (!rows[0].ended_at) {
             // Recalculate puzzles_attempted/puzzles_solved from actual attempts
@@ -1141,28 +3695,35 @@ app.post('/api/woodpecker/sessions/:sessionId/end', async (req, res) => {
                 [req.params.sessionId]
             );
 
-            await pool.query(
+            if (suspend) {
+                await pool.query(
+                    `UPDATE training_sessions
+                     SET suspended_at = COALESCE($6, NOW()), duration = $1, puzzles_attempted = $2, puzzles_solved = $3,
+                         current_puzzle_id = (SELECT id FROM puzzles WHERE id = $5)
+                     WHERE id = $4 AND ended_at IS NULL`,
+                    [seconds, parseInt(counts[0].attempted), parseInt(counts[0].solved), req.params.sessionId,
+                     puzzleId || null, at]
+                );
+                return res.json({ ok: true, suspended: true });
+            }
+
+            const { rowCount } = await pool.query(
                 `UPDATE training_sessions 
-                 SET ended_at = NOW(), duration = $1, puzzles_attempted = $2, puzzles_solved = $3 
-                 WHERE id = $4`,
-                [duration || 0, parseInt(counts[0].attempted), parseInt(counts[0].solved), req.params.sessionId]
+                 SET ended_at = COALESCE($5, NOW()), suspended_at = NULL, duration = $1, puzzles_attempted = $2, puzzles_solved = $3 
+                 WHERE id = $4 AND ended_at IS NULL`,
+                [seconds, parseInt(counts[0].attempted), parseInt(counts[0].solved), req.params.sessionId, at]
             );
 
             // Record daily completion if session was long enough (>= 570s ≈ 9.5 min)
-            if (token && duration >= 570) {
+            if (rowCount > 0 && seconds >= 570 && rows[0].mode === 'cycle') {
                 try {
-                    const { rows: sessionRows } = await pool.query(
-                        'SELECT user_id FROM sessions WHERE token = $1', [token]
+                    const dcId = generateId();
+                    await pool.query(
+                        `INSERT INTO daily_completions (id, user_id, completed_date)
+                         VALUES ($1, $2, COALESCE($3, NOW())::date)
+                         ON CONFLICT (user_id, completed_date) DO NOTHING`,
+                        [dcId, userId, at]
                     );
-                    if (sessionRows.length > 0) {
-                        const dcId = generateId();
-                        await pool.query(
-                            `INSERT INTO daily_completions (id, user_id, completed_date)
-                             VALUES ($1, $2, CURRENT_DATE)
-                             ON CONFLICT (user_id, completed_date) DO NOTHING`,
-                            [dcId, sessionRows[0].user_id]
-                        );
-                    }
                 } catch (e) {
                     console.warn('Beacon daily completion failed:', e.message);
                 }
@@ -1175,6 +3736,24 @@ app.post('/api/woodpecker/sessions/:sessionId/end', async (req, res) => {
     }
 });
 
+// Helper: every theme of a set's current puzzles with the user's accuracy / speed on it
+// (cycle and practice sessions), themes not attempted yet included
+async function setThemeStats(set) {
+    const { rows } = await pool.query(`
+        SELECT t.theme, COUNT(*) AS puzzle_count
+        FROM puzzles p CROSS JOIN LATERAL unnest(p.themes) AS t(theme)
+        WHERE p.library_id = $1 AND p.retired_at IS NULL
+        GROUP BY t.theme
+        ORDER BY t.theme
+    `, [set.libraryId]);
+    const attempted = new Map((await getThemeStats('ps.id = $1', [set.id])).map(t => [t.theme, t]));
+    return rows.map(r => ({
+        attempts: 0, solved: 0, accuracy: '0.0', avgTimeMs: 0,
+        ...attempted.get(r.theme),
+        theme: r.theme, puzzleCount: parseInt(r.puzzle_count)
+    }));
+}
+
 // Get stats for a puzzle set
 app.get('/api/woodpecker/stats/:setId', authMiddleware, async (req, res) => {
     try {
@@ -1188,7 +3767,8 @@ app.get('/api/woodpecker/stats/:setId', authMiddleware, async (req, res) => {
         const cycleStats = set.cycles.map(cycle => {
             let cycleTime = 0, cycleAttempted = 0, cycleSolved = 0;
 
-            const sessionStats = cycle.sessions.map(session => {
+            // Sessions excluded after a suspicious-activity review don't count (as in themes and the leaderboard)
+            const sessionStats = cycle.sessions.filter(session => !session.excluded).map(session => {
                 const dur = session.duration || 0;
                 cycleTime += dur;
                 cycleAttempted += session.puzzlesAttempted;
@@ -1229,7 +3809,9 @@ app.get('/api/woodpecker/stats/:setId', authMiddleware, async (req, res) => {
             },
             cycles: cycleStats,
             currentCycle: set.cycles.length > 0 ? set.cycles[set.cycles.length - 1].cycleNumber : 0,
-            totalCycles: 7
+            totalCycles: set.totalCycles,
+            cycleDays: set.cycleDays,
+            themes: await setThemeStats(set)
         });
     } catch (err) {
         console.error('Stats error:', err);
@@ -1237,24 +3819,738 @@ app.get('/api/woodpecker/stats/:setId', authMiddleware, async (req, res) => {
     }
 });
 
+// ===== ADMIN JOIN CODES =====
+// Codes handed out to a class: registering with one activates the account and assigns its sets
+// and courses, until the code expires or reaches its usage limit.
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';   // no 0/O, 1/I look-alikes
+const JOIN_CODE_LENGTH = 8;
+const JOIN_CODE_MAX_USES = 1000;
+
+function generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function normalizeJoinCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Helper: assign a join code's sets (each with its default schedule) and courses to a new user.
+// Sets or courses deleted since the code was made are skipped.
+async function grantJoinCode(code, userId) {
+    const { rows: library } = await pool.query(
+        'SELECT id, template_id FROM puzzle_library WHERE id = ANY($1::text[])', [code.library_ids || []]
+    );
+    for (const l of library) {
+        await assignLibrarySet(l.id, [userId], l.template_id);
+    }
+    await pool.query(
+        `INSERT INTO course_enrollments (course_id, user_id)
+         SELECT id, $2 FROM courses WHERE id = ANY($1::text[])
+         ON CONFLICT (course_id, user_id) DO NOTHING`,
+        [code.course_ids || [], userId]
+    );
+}
+
+app.get('/api/admin/join-codes', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT jc.*, u.username AS created_by_name,
+                   (SELECT COALESCE(array_agg(pl.name ORDER BY pl.name), '{}') FROM puzzle_library pl WHERE pl.id = ANY(jc.library_ids)) AS set_names,
+                   (SELECT COALESCE(array_agg(c.name ORDER BY c.name), '{}') FROM courses c WHERE c.id = ANY(jc.course_ids)) AS course_names
+            FROM join_codes jc
+            LEFT JOIN users u ON jc.created_by = u.id
+            ORDER BY jc.created_at DESC
+        `);
+        res.json(rows.map(jc => ({
+            id: jc.id, code: jc.code, libraryIds: jc.library_ids, courseIds: jc.course_ids,
+            setNames: jc.set_names, courseNames: jc.course_names,
+            expiresAt: jc.expires_at, maxUses: jc.max_uses, useCount: jc.use_count,
+            active: new Date(jc.expires_at) > new Date() && jc.use_count < jc.max_uses,
+            createdBy: jc.created_by_name, createdAt: jc.created_at
+        })));
+    } catch (err) {
+        console.error('Get join codes error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.post('/api/admin/join-codes', authMiddleware, adminMiddleware, async (req, res) => {
+    const libraryIds = req.body.libraryIds || [];
+    const courseIds = req.body.courseIds || [];
+    if (!Array.isArray(libraryIds) || !Array.isArray(courseIds)) {
+        return res.status(400).json({ error: 'Danh sách puzzle set / khóa học không hợp lệ' });
+    }
+    if (libraryIds.length === 0 && courseIds.length === 0) {
+        return res.status(400).json({ error: 'Chọn ít nhất 1 puzzle set hoặc khóa học' });
+    }
+    const expiresAt = new Date(req.body.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({ error: 'Ngày hết hạn phải ở tương lai' });
+    }
+    const maxUses = parseInt(req.body.maxUses, 10);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > JOIN_CODE_MAX_USES) {
+        return res.status(400).json({ error: `Số lượt dùng phải từ 1 đến ${JOIN_CODE_MAX_USES}` });
+    }
+
+    try {
+        const { rows: library } = await pool.query(
+            'SELECT id FROM puzzle_library WHERE id = ANY($1::text[])', [libraryIds]
+        );
+        const { rows: courses } = await pool.query('SELECT id FROM courses WHERE id = ANY($1::text[])', [courseIds]);
+        if (library.length !== new Set(libraryIds).size || courses.length !== new Set(courseIds).size) {
+            return res.status(400).json({ error: 'Không tìm thấy puzzle set hoặc khóa học' });
+        }
+
+        // Retry on the (unlikely) clash with an existing code
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const { rows } = await pool.query(
+                `INSERT INTO join_codes (id, code, library_ids, course_ids, expires_at, max_uses, created_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT (code) DO NOTHING RETURNING code`,
+                [generateId(), generateJoinCode(), library.map(l => l.id), courses.map(c => c.id), expiresAt, maxUses, req.user.id]
+            );
+            if (rows.length > 0) {
+                return res.json({ success: true, code: rows[0].code, message: `Đã tạo mã ${rows[0].code}` });
+            }
+        }
+        res.status(500).json({ error: 'Không tạo được mã, vui lòng thử lại' });
+    } catch (err) {
+        console.error('Create join code error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Revoke a code (users who registered with it keep their sets and courses)
+app.delete('/api/admin/join-codes/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query('DELETE FROM join_codes WHERE id = $1', [req.params.id]);
+        if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy mã' });
+        res.json({ success: true, message: 'Đã thu hồi mã' });
+    } catch (err) {
+        console.error('Delete join code error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== ADMIN GROUPS =====
+// A group (class) has its own set and course assignments. Its sets are assigned to every member,
+// including students who join later; its courses are open to members while they belong to it.
+// Coaches manage the groups they own, with students from their roster.
+
+// Helper: the group row if the staff user may manage it (admins: any group, coaches: their own)
+async function findManagedGroup(user, groupId) {
+    const { rows } = await pool.query('SELECT * FROM user_groups WHERE id = $1', [groupId]);
+    if (rows.length === 0) return null;
+    if (user.role !== 'admin' && rows[0].coach_id !== user.id) return null;
+    return rows[0];
+}
+
+// Helper: assign the group's sets to some of its members (sets they already have are left alone)
+async function assignGroupSets(groupId, userIds) {
+    if (userIds.length === 0) return 0;
+    const { rows: groupSets } = await pool.query(`
+        SELECT gs.library_id, COALESCE(gs.template_id, pl.template_id) AS template_id
+        FROM group_sets gs
+        JOIN puzzle_library pl ON gs.library_id = pl.id
+        WHERE gs.group_id = $1
+    `, [groupId]);
+    let assigned = 0;
+    for (const gs of groupSets) {
+        assigned += (await assignLibrarySet(gs.library_id, userIds, gs.template_id)).length;
+    }
+    return assigned;
+}
+
+// Helper: add users to a group and assign them its sets → the IDs that were not members yet
+async function addGroupMembers(groupId, userIds) {
+    const added = [];
+    for (const userId of userIds) {
+        const { rowCount } = await pool.query(
+            `INSERT INTO group_members (group_id, user_id)
+             SELECT $1, id FROM users WHERE id = $2
+             ON CONFLICT (group_id, user_id) DO NOTHING`,
+            [groupId, userId]
+        );
+        if (rowCount > 0) added.push(userId);
+    }
+    await assignGroupSets(groupId, added);
+    return added;
+}
+
+async function formatGroup(g) {
+    const { rows: members } = await pool.query(`
+        SELECT u.id, u.username, u.full_name FROM group_members gm
+        JOIN users u ON gm.user_id = u.id
+        WHERE gm.group_id = $1 ORDER BY u.full_name, u.username
+    `, [g.id]);
+    const { rows: sets } = await pool.query(`
+        SELECT gs.library_id, gs.template_id, pl.name, ct.name AS template_name
+        FROM group_sets gs
+        JOIN puzzle_library pl ON gs.library_id = pl.id
+        LEFT JOIN cycle_templates ct ON gs.template_id = ct.id
+        WHERE gs.group_id = $1 ORDER BY gs.created_at
+    `, [g.id]);
+    const { rows: courses } = await pool.query(`
+        SELECT c.id, c.name FROM group_courses gc
+        JOIN courses c ON gc.course_id = c.id
+        WHERE gc.group_id = $1 ORDER BY c.created_at
+    `, [g.id]);
+    return {
+        id: g.id, name: g.name, coachId: g.coach_id, coachName: g.coach_name || null, createdAt: g.created_at,
+        members: members.map(m => ({ userId: m.id, username: m.username, fullName: m.full_name || m.username })),
+        sets: sets.map(gs => ({
+            libraryId: gs.library_id, name: gs.name, templateId: gs.template_id, templateName: gs.template_name || null
+        })),
+        courses: courses.map(c => ({ id: c.id, name: c.name }))
+    };
+}
+
+// Admin / coach: groups with their members, sets and courses (a coach: the groups they own)
+app.get('/api/admin/groups', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT g.*, co.username AS coach_name
+            FROM user_groups g
+            LEFT JOIN users co ON g.coach_id = co.id
+            WHERE $1::text IS NULL OR g.coach_id = $1
+            ORDER BY g.name
+        `, [req.user.role === 'admin' ? null : req.user.id]);
+        const result = [];
+        for (const g of rows) result.push(await formatGroup(g));
+        res.json(result);
+    } catch (err) {
+        console.error('Get groups error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+app.post('/api/admin/groups', authMiddleware, staffMiddleware, async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Cần nhập tên nhóm' });
+
+    try {
+        let coachId = req.user.id;
+        if (req.user.role === 'admin') {
+            const coach = await resolveCoachId(req.body.coachId);
+            if (coach.error) return res.status(400).json({ error: coach.error });
+            coachId = coach.coachId;
+        }
+        const { rows } = await pool.query(
+            'INSERT INTO user_groups (id, name, coach_id) VALUES ($1, $2, $3) RETURNING *',
+            [generateId(), name, coachId]
+        );
+        res.json(await formatGroup(rows[0]));
+    } catch (err) {
+        console.error('Create group error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Rename a group; admins can also hand it to another coach
+app.put('/api/admin/groups/:id', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+
+        const name = req.body.name !== undefined ? String(req.body.name).trim() : group.name;
+        if (!name) return res.status(400).json({ error: 'Cần nhập tên nhóm' });
+        let coachId = group.coach_id;
+        if (req.user.role === 'admin' && req.body.coachId !== undefined) {
+            const coach = await resolveCoachId(req.body.coachId);
+            if (coach.error) return res.status(400).json({ error: coach.error });
+            coachId = coach.coachId;
+        }
+
+        const { rows } = await pool.query(
+            'UPDATE user_groups SET name = $1, coach_id = $2 WHERE id = $3 RETURNING *',
+            [name, coachId, group.id]
+        );
+        res.json(await formatGroup(rows[0]));
+    } catch (err) {
+        console.error('Update group error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Delete a group (the sets its members were given stay assigned)
+app.delete('/api/admin/groups/:id', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+
+        await pool.query('DELETE FROM user_groups WHERE id = $1', [group.id]);
+        res.json({ success: true, message: `Đã xóa nhóm ${group.name}` });
+    } catch (err) {
+        console.error('Delete group error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Replace the member list; new members are assigned the group's sets
+app.put('/api/admin/groups/:id/members', authMiddleware, staffMiddleware, async (req, res) => {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds)) return res.status(400).json({ error: 'Cần danh sách user IDs' });
+
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+        for (const userId of userIds) {
+            if (!(await canManageUser(req.user, userId))) {
+                return res.status(403).json({ error: 'Chỉ được thêm học viên của bạn' });
+            }
+        }
+
+        await pool.query(
+            'DELETE FROM group_members WHERE group_id = $1 AND NOT (user_id = ANY($2::text[]))',
+            [group.id, userIds]
+        );
+        const added = await addGroupMembers(group.id, userIds);
+        res.json({ success: true, added: added.length, message: `Đã cập nhật thành viên nhóm ${group.name}` });
+    } catch (err) {
+        console.error('Update group members error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Assign a library set to the group: every member gets it now, later members when they join
+app.post('/api/admin/groups/:id/sets', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+
+        const { rows } = await pool.query('SELECT * FROM puzzle_library WHERE id = $1', [req.body.libraryId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy puzzle set' });
+        const template = await resolveTemplateId(req.body.templateId);
+        if (template.error) return res.status(400).json({ error: template.error });
+
+        await pool.query(
+            `INSERT INTO group_sets (group_id, library_id, template_id) VALUES ($1, $2, $3)
+             ON CONFLICT (group_id, library_id) DO UPDATE SET template_id = EXCLUDED.template_id`,
+            [group.id, rows[0].id, template.templateId]
+        );
+        const { rows: members } = await pool.query('SELECT user_id FROM group_members WHERE group_id = $1', [group.id]);
+        const created = await assignLibrarySet(
+            rows[0].id, members.map(m => m.user_id), template.templateId || rows[0].template_id
+        );
+        res.json({ success: true, assigned: created.length, message: `Đã gán "${rows[0].name}" cho nhóm (${created.length} học viên mới)` });
+    } catch (err) {
+        console.error('Assign group set error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Stop assigning a set to new members (assignments already made are kept)
+app.delete('/api/admin/groups/:id/sets/:libraryId', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+
+        const { rowCount } = await pool.query(
+            'DELETE FROM group_sets WHERE group_id = $1 AND library_id = $2', [group.id, req.params.libraryId]
+        );
+        if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy phân công' });
+        res.json({ success: true, message: 'Đã bỏ bộ puzzle khỏi nhóm' });
+    } catch (err) {
+        console.error('Remove group set error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin: replace the courses open to the group's members
+app.put('/api/admin/groups/:id/courses', authMiddleware, adminMiddleware, async (req, res) => {
+    const { courseIds } = req.body;
+    if (!Array.isArray(courseIds)) return res.status(400).json({ error: 'Cần danh sách khóa học' });
+
+    try {
+        const group = await findManagedGroup(req.user, req.params.id);
+        if (!group) return res.status(404).json({ error: 'Không tìm thấy nhóm' });
+
+        await pool.query(
+            'DELETE FROM group_courses WHERE group_id = $1 AND NOT (course_id = ANY($2::text[]))',
+            [group.id, courseIds]
+        );
+        for (const courseId of courseIds) {
+            await pool.query(
+                `INSERT INTO group_courses (group_id, course_id)
+                 SELECT $1, id FROM courses WHERE id = $2
+                 ON CONFLICT (group_id, course_id) DO NOTHING`,
+                [group.id, courseId]
+            );
+        }
+        res.json({ success: true, message: `Đã cập nhật khóa học của nhóm ${group.name}` });
+    } catch (err) {
+        console.error('Update group courses error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Groups the current user belongs to (leaderboard filter)
+app.get('/api/woodpecker/groups', authMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT g.id, g.name FROM group_members gm
+            JOIN user_groups g ON gm.group_id = g.id
+            WHERE gm.user_id = $1 ORDER BY g.name
+        `, [req.user.id]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Get my groups error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// ===== SUSPICIOUS ACTIVITY =====
+// detectSuspiciousActivity checks every ended session once (training_sessions.checked_at) and
+// records activity_flags for a coach to review: dismiss the flag, or exclude the session from
+// stats and leaderboards (training_sessions.excluded_at).
+const FLAG_FAST_RATIO = 0.2;            // solved in under 20% of the puzzle's median solve time...
+const FLAG_FAST_MIN_SAMPLES = 5;        // ...once other solves give a median
+const FLAG_FAST_MIN_COUNT = 3;          // fast solves in one session before it is flagged
+const FLAG_INSTANT_MS_PER_MOVE = 1500;  // a perfect solve quicker than this per move is "instant"
+const FLAG_RUN_LENGTH = 10;             // unbroken instant perfect solves before a session is flagged
+const FLAG_JUMP_MIN_ATTEMPTS = 15;      // accuracy jump: session of >= 15 attempts at >= 95%...
+const FLAG_JUMP_ACCURACY = 0.95;
+const FLAG_JUMP_BASELINE_DAYS = 14;     // ...after >= 30 attempts at <= 70% in the 14 days before
+const FLAG_JUMP_BASELINE_ATTEMPTS = 30;
+const FLAG_JUMP_BASELINE_ACCURACY = 0.7;
+const FLAG_SCAN_BATCH = 200;
+
+// Helper: the detection rules for one ended session ({ id, user_id, started_at }) → [{ kind, details }]
+async function sessionActivityFlags(session) {
+    const { rows: attempts } = await pool.query(
+        `SELECT puzzle_id, correct, time_ms, moves, recorded_at FROM attempts
+         WHERE session_id = $1 ORDER BY recorded_at, id`,
+        [session.id]
+    );
+    if (attempts.length === 0) return [];
+    const flags = [];
+
+    // Solves far below the puzzle's median (other sessions' solves, excluded sessions left out)
+    const solvedIds = [...new Set(attempts.filter(a => a.correct && a.puzzle_id).map(a => a.puzzle_id))];
+    if (solvedIds.length > 0) {
+        const { rows: medians } = await pool.query(`
+            SELECT a.puzzle_id, PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY a.time_ms) AS median_ms, COUNT(*) AS samples
+            FROM attempts a
+            JOIN training_sessions ts ON a.session_id = ts.id
+            WHERE a.puzzle_id = ANY($1) AND a.correct = true AND a.session_id <> $2 AND ts.excluded_at IS NULL
+            GROUP BY a.puzzle_id
+        `, [solvedIds, session.id]);
+        const medianOf = new Map(medians
+            .filter(m => parseInt(m.samples) >= FLAG_FAST_MIN_SAMPLES)
+            .map(m => [m.puzzle_id, parseFloat(m.median_ms)]));
+        const fast = attempts.filter(a => a.correct && medianOf.has(a.puzzle_id)
+            && a.time_ms < medianOf.get(a.puzzle_id) * FLAG_FAST_RATIO);
+        if (fast.length >= FLAG_FAST_MIN_COUNT) {
+            flags.push({
+                kind: 'fast_solves',
+                details: {
+                    count: fast.length,
+                    examples: fast.slice(0, 5).map(a => ({
+                        puzzleId: a.puzzle_id, timeMs: a.time_ms, medianMs: Math.round(medianOf.get(a.puzzle_id))
+                    }))
+                }
+            });
+        }
+    }
+
+    // Long unbroken run of perfect solves at an impossible speed
+    let run = 0, longest = 0, runTime = 0, longestTime = 0;
+    for (const a of attempts) {
+        const playerMoves = Math.max(1, (a.moves || []).length);
+        if (a.correct && a.time_ms < FLAG_INSTANT_MS_PER_MOVE * playerMoves) {
+            run++;
+            runTime += a.time_ms;
+            if (run > longest) { longest = run; longestTime = runTime; }
+        } else {
+            run = 0;
+            runTime = 0;
+        }
+    }
+    if (longest >= FLAG_RUN_LENGTH) {
+        flags.push({ kind: 'perfect_run', details: { length: longest, avgTimeMs: Math.round(longestTime / longest) } });
+    }
+
+    // Attempts recorded in another of the user's sessions meanwhile (several tabs / devices at once)
+    const { rows: others } = await pool.query(`
+        SELECT DISTINCT a.session_id
+        FROM attempts a
+        JOIN training_sessions ts ON a.session_id = ts.id
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+        WHERE COALESCE(ts.user_id, ps.assigned_to) = $1 AND a.session_id <> $2
+          AND a.recorded_at BETWEEN $3 AND $4
+    `, [session.user_id, session.id, attempts[0].recorded_at, attempts[attempts.length - 1].recorded_at]);
+    if (others.length > 0) {
+        flags.push({ kind: 'concurrent_sessions', details: { sessionIds: others.map(o => o.session_id) } });
+    }
+
+    // Accuracy far above the user's recent baseline
+    const solved = attempts.filter(a => a.correct).length;
+    if (attempts.length >= FLAG_JUMP_MIN_ATTEMPTS && solved / attempts.length >= FLAG_JUMP_ACCURACY) {
+        const { rows: baseline } = await pool.query(`
+            SELECT COUNT(*) AS attempts, COUNT(CASE WHEN a.correct = true THEN 1 END) AS solved
+            FROM attempts a
+            JOIN training_sessions ts ON a.session_id = ts.id
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+            WHERE COALESCE(ts.user_id, ps.assigned_to) = $1 AND ts.id <> $2 AND ts.excluded_at IS NULL
+              AND a.recorded_at >= $3::timestamptz - make_interval(days => $4) AND a.recorded_at < $3
+        `, [session.user_id, session.id, session.started_at, FLAG_JUMP_BASELINE_DAYS]);
+        const baseAttempts = parseInt(baseline[0].attempts);
+        const baseAccuracy = baseAttempts > 0 ? parseInt(baseline[0].solved) / baseAttempts : 1;
+        if (baseAttempts >= FLAG_JUMP_BASELINE_ATTEMPTS && baseAccuracy <= FLAG_JUMP_BASELINE_ACCURACY) {
+            flags.push({
+                kind: 'accuracy_jump',
+                details: {
+                    accuracy: Math.round(solved / attempts.length * 1000) / 10,
+                    baselineAccuracy: Math.round(baseAccuracy * 1000) / 10,
+                    baselineAttempts: baseAttempts
+                }
+            });
+        }
+    }
+    return flags;
+}
+
+// Check the ended sessions not checked yet (oldest first, a batch per run)
+async function detectSuspiciousActivity() {
+    const { rows: sessions } = await pool.query(`
+        SELECT ts.id, ts.started_at, COALESCE(ts.user_id, ps.assigned_to) AS user_id
+        FROM training_sessions ts
+        LEFT JOIN cycles c ON ts.cycle_id = c.id
+        LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+        WHERE ts.ended_at IS NOT NULL AND ts.checked_at IS NULL
+        ORDER BY ts.ended_at
+        LIMIT $1
+    `, [FLAG_SCAN_BATCH]);
+
+    let flagged = 0;
+    for (const s of sessions) {
+        const flags = s.user_id ? await sessionActivityFlags(s) : [];
+        for (const f of flags) {
+            const { rowCount } = await pool.query(
+                `INSERT INTO activity_flags (id, user_id, session_id, kind, details)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (session_id, kind) DO NOTHING`,
+                [generateId(), s.user_id, s.id, f.kind, JSON.stringify(f.details)]
+            );
+            flagged += rowCount;
+        }
+        await pool.query('UPDATE training_sessions SET checked_at = NOW() WHERE id = $1', [s.id]);
+    }
+    if (flagged > 0) console.log(`  ⚑ ${flagged} suspicious session(s) flagged for review`);
+    return { checked: sessions.length, flagged };
+}
+
+// Helper: take a session out of stats and leaderboards. The rating points its attempts moved are
+// taken back (logged as a history point without an attempt), and a daily completion it earned is
+// dropped unless another full session counts for that day.
+async function excludeSession(sessionId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(`
+            SELECT ts.id, ts.mode, ts.duration, ts.ended_at, ts.excluded_at, COALESCE(ts.user_id, ps.assigned_to) AS user_id
+            FROM training_sessions ts
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+            WHERE ts.id = $1
+            FOR UPDATE OF ts
+        `, [sessionId]);
+        const session = rows[0];
+        if (!session || session.excluded_at) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+        await client.query('UPDATE training_sessions SET excluded_at = NOW() WHERE id = $1', [sessionId]);
+
+        const { rows: delta } = await client.query(`
+            SELECT COALESCE(SUM(h.change), 0) AS change FROM (
+                SELECT rh.attempt_id,
+                       rh.rating - LAG(rh.rating, 1, $3::numeric) OVER (ORDER BY rh.recorded_at, rh.id) AS change
+                FROM rating_history rh WHERE rh.user_id = $1
+            ) h
+            JOIN attempts a ON a.id = h.attempt_id
+            WHERE a.session_id = $2
+        `, [session.user_id, sessionId, glicko2.DEFAULT_RATING]);
+        const change = parseFloat(delta[0].change);
+        if (change !== 0) {
+            const { rows: userRows } = await client.query(
+                'UPDATE users SET glicko_rating = glicko_rating - $1 WHERE id = $2 RETURNING glicko_rating, glicko_rd',
+                [change, session.user_id]
+            );
+            await client.query(
+                'INSERT INTO rating_history (user_id, rating, rd) VALUES ($1, $2, $3)',
+                [session.user_id, userRows[0].glicko_rating, userRows[0].glicko_rd]
+            );
+        }
+
+        if (session.mode === 'cycle' && session.ended_at && session.duration >= 570) {
+            await client.query(`
+                DELETE FROM daily_completions dc
+                WHERE dc.user_id = $1 AND dc.completed_date = $2::timestamptz::date
+                  AND NOT EXISTS (
+                    SELECT 1 FROM training_sessions ts
+                    JOIN cycles c ON ts.cycle_id = c.id
+                    JOIN puzzle_sets ps ON c.set_id = ps.id
+                    WHERE ps.assigned_to = $1 AND ts.id <> $3 AND ts.excluded_at IS NULL
+                      AND ts.duration >= 570 AND ts.ended_at::date = $2::timestamptz::date
+                  )
+            `, [session.user_id, session.ended_at, sessionId]);
+        }
+        await client.query('COMMIT');
+        return true;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Admin: review queue (open flags by default; ?status=dismissed|excluded|all)
+app.get('/api/admin/activity-flags', authMiddleware, staffMiddleware, async (req, res) => {
+    const status = req.query.status || 'open';
+    try {
+        const params = [status];
+        const { rows } = await pool.query(`
+            SELECT f.*, u.username, u.full_name, r.username AS reviewed_by_name,
+                   ts.started_at, ts.ended_at, ts.mode, ts.duration, ts.puzzles_attempted, ts.puzzles_solved, ts.excluded_at,
+                   pl.name AS set_name
+            FROM activity_flags f
+            JOIN users u ON f.user_id = u.id
+            LEFT JOIN users r ON f.reviewed_by = r.id
+            JOIN training_sessions ts ON f.session_id = ts.id
+            LEFT JOIN cycles c ON ts.cycle_id = c.id
+            LEFT JOIN puzzle_sets ps ON ps.id = COALESCE(c.set_id, ts.set_id)
+            LEFT JOIN puzzle_library pl ON ps.library_id = pl.id
+            WHERE ($1 = 'all' OR f.status = $1) AND ${rosterScope(req.user, 'f.user_id', params)}
+            ORDER BY f.created_at DESC
+            LIMIT 500
+        `, params);
+        res.json(rows.map(f => ({
+            id: f.id, kind: f.kind, details: f.details, status: f.status, createdAt: f.created_at,
+            userId: f.user_id, username: f.username, fullName: f.full_name || f.username,
+            reviewedBy: f.reviewed_by_name, reviewedAt: f.reviewed_at,
+            session: {
+                id: f.session_id, setName: f.set_name, mode: f.mode || 'cycle', startedAt: f.started_at,
+                endedAt: f.ended_at, duration: f.duration, puzzlesAttempted: f.puzzles_attempted,
+                puzzlesSolved: f.puzzles_solved, excluded: !!f.excluded_at
+            }
+        })));
+    } catch (err) {
+        console.error('Get activity flags error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin: run the detection now instead of waiting for the next scheduled run
+app.post('/api/admin/activity-flags/scan', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const result = await detectSuspiciousActivity();
+        res.json({ success: true, ...result, message: `Đã kiểm tra ${result.checked} session, ${result.flagged} cảnh báo mới` });
+    } catch (err) {
+        console.error('Scan activity error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin: the flag was a false alarm
+app.post('/api/admin/activity-flags/:id/dismiss', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const params = [req.user.id, req.params.id];
+        const { rows } = await pool.query(
+            `UPDATE activity_flags SET status = 'dismissed', reviewed_by = $1, reviewed_at = NOW()
+             WHERE id = $2 AND status = 'open' AND ${rosterScope(req.user, 'user_id', params)} RETURNING id`,
+            params
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy cảnh báo chưa xử lý' });
+        res.json({ success: true, message: 'Đã bỏ qua cảnh báo' });
+    } catch (err) {
+        console.error('Dismiss activity flag error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
+// Admin: exclude the flagged session from stats and leaderboards (closes every open flag on it)
+app.post('/api/admin/activity-flags/:id/exclude', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT session_id, user_id FROM activity_flags WHERE id = $1 AND status = 'open'`, [req.params.id]
+        );
+        if (rows.length === 0 || !(await canManageUser(req.user, rows[0].user_id))) {
+            return res.status(404).json({ error: 'Không tìm thấy cảnh báo chưa xử lý' });
+        }
+
+        await excludeSession(rows[0].session_id);
+        await pool.query(
+            `UPDATE activity_flags SET status = 'excluded', reviewed_by = $1, reviewed_at = NOW()
+             WHERE session_id = $2 AND status = 'open'`,
+            [req.user.id, rows[0].session_id]
+        );
+        res.json({ success: true, message: 'Đã loại session khỏi thống kê và bảng xếp hạng' });
+    } catch (err) {
+        console.error('Exclude session error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // ===== EXISTING COURSE API =====
 
-app.get('/api/courses', async (req, res) => {
+// Helper: admins can open every course, other users only the courses they are enrolled in
+// (directly or through a group they belong to)
+async function canAccessCourse(user, courseId) {
+    if (user.role === 'admin') return true;
+    const { rows } = await pool.query(`
+        SELECT 1 FROM course_enrollments WHERE course_id = $1 AND user_id = $2
+        UNION ALL
+        SELECT 1 FROM group_courses gc
+        JOIN group_members gm ON gm.group_id = gc.group_id
+        WHERE gc.course_id = $1 AND gm.user_id = $2
+    `, [courseId, user.id]);
+    return rows.length > 0;
+}
+
+app.get('/api/courses', authMiddleware, async (req, res) => {
     try {
-        const { rows: courses } = await pool.query('SELECT * FROM courses ORDER BY created_at ASC');
+        const isAdmin = req.user.role === 'admin';
+        const { rows: courses } = isAdmin
+            ? await pool.query('SELECT * FROM courses ORDER BY created_at ASC')
+            : await pool.query(
+                `SELECT c.* FROM courses c
+                 WHERE c.id IN (
+                     SELECT course_id FROM course_enrollments WHERE user_id = $1
+                     UNION
+                     SELECT gc.course_id FROM group_courses gc
+                     JOIN group_members gm ON gm.group_id = gc.group_id
+                     WHERE gm.user_id = $1
+                 )
+                 ORDER BY c.created_at ASC`, [req.user.id]
+            );
         const result = [];
         for (const c of courses) {
             const { rows: chapters } = await pool.query(
                 'SELECT * FROM chapters WHERE course_id = $1 ORDER BY created_at ASC', [c.id]
             );
-            result.push({
+            const course = {
                 id: c.id, name: c.name, description: c.description, icon: c.icon,
                 createdAt: c.created_at,
                 chapters: chapters.map(ch => ({
                     id: ch.id, name: ch.name, pgnFile: ch.pgn_file,
                     originalName: ch.original_name, lineCount: ch.line_count, createdAt: ch.created_at
                 }))
-            });
+            };
+            if (isAdmin) {
+                const { rows: enrolled } = await pool.query(
+                    'SELECT user_id FROM course_enrollments WHERE course_id = $1', [c.id]
+                );
+                course.enrolledUserIds = enrolled.map(e => e.user_id);
+            }
+            result.push(course);
         }
         res.json(result);
     } catch (err) {
@@ -1263,7 +4559,7 @@ app.get('/api/courses', async (req, res) => {
     }
 });
 
-app.post('/api/courses', async (req, res) => {
+app.post('/api/courses', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const id = generateId();
         const { rows } = await pool.query(
@@ -1278,7 +4574,7 @@ app.post('/api/courses', async (req, res) => {
     }
 });
 
-app.put('/api/courses/:id', async (req, res) => {
+app.put('/api/courses/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const updates = [];
         const params = [];
@@ -1303,7 +4599,7 @@ app.put('/api/courses/:id', async (req, res) => {
     }
 });
 
-app.delete('/api/courses/:id', async (req, res) => {
+app.delete('/api/courses/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const { rowCount } = await pool.query('DELETE FROM courses WHERE id = $1', [req.params.id]);
         if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy khóa học' });
@@ -1314,8 +4610,12 @@ app.delete('/api/courses/:id', async (req, res) => {
     }
 });
 
-app.get('/api/courses/:courseId/chapters', async (req, res) => {
+app.get('/api/courses/:courseId/chapters', authMiddleware, async (req, res) => {
     try {
+        if (!(await canAccessCourse(req.user, req.params.courseId))) {
+            return res.status(404).json({ error: 'Không tìm thấy khóa học' });
+        }
+
         const { rows } = await pool.query(
             'SELECT * FROM chapters WHERE course_id = $1 ORDER BY created_at ASC',
             [req.params.courseId]
@@ -1330,7 +4630,7 @@ app.get('/api/courses/:courseId/chapters', async (req, res) => {
     }
 });
 
-app.post('/api/courses/:courseId/chapters', upload.single('pgn'), async (req, res) => {
+app.post('/api/courses/:courseId/chapters', authMiddleware, adminMiddleware, upload.single('pgn'), async (req, res) => {
     try {
         const { rows: courseCheck } = await pool.query('SELECT id FROM courses WHERE id = $1', [req.params.courseId]);
         if (courseCheck.length === 0) return res.status(404).json({ error: 'Không tìm thấy khóa học' });
@@ -1354,7 +4654,7 @@ app.post('/api/courses/:courseId/chapters', upload.single('pgn'), async (req, re
     }
 });
 
-app.put('/api/chapters/:id', upload.single('pgn'), async (req, res) => {
+app.put('/api/chapters/:id', authMiddleware, adminMiddleware, upload.single('pgn'), async (req, res) => {
     try {
         const { rows } = await pool.query('SELECT * FROM chapters WHERE id = $1', [req.params.id]);
         if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy chương' });
@@ -1389,7 +4689,7 @@ app.put('/api/chapters/:id', upload.single('pgn'), async (req, res) => {
     }
 });
 
-app.delete('/api/chapters/:id', async (req, res) => {
+app.delete('/api/chapters/:id', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const { rowCount } = await pool.query('DELETE FROM chapters WHERE id = $1', [req.params.id]);
         if (rowCount === 0) return res.status(404).json({ error: 'Không tìm thấy chương' });
@@ -1400,10 +4700,12 @@ app.delete('/api/chapters/:id', async (req, res) => {
     }
 });
 
-app.get('/api/chapters/:id/pgn', async (req, res) => {
+app.get('/api/chapters/:id/pgn', authMiddleware, async (req, res) => {
     try {
-        const { rows } = await pool.query('SELECT pgn_content FROM chapters WHERE id = $1', [req.params.id]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy chương' });
+        const { rows } = await pool.query('SELECT course_id, pgn_content FROM chapters WHERE id = $1', [req.params.id]);
+        if (rows.length === 0 || !(await canAccessCourse(req.user, rows[0].course_id))) {
+            return res.status(404).json({ error: 'Không tìm thấy chương' });
+        }
         if (!rows[0].pgn_content) return res.status(404).json({ error: 'Nội dung PGN không tồn tại' });
 
         res.type('text/plain').send(rows[0].pgn_content);
@@ -1413,6 +4715,38 @@ app.get('/api/chapters/:id/pgn', async (req, res) => {
     }
 });
 
+// Admin: Replace the list of users enrolled in a course
+app.put('/api/admin/courses/:id/enrollments', authMiddleware, adminMiddleware, async (req, res) => {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds)) return res.status(400).json({ error: 'Cần danh sách user IDs' });
+
+    try {
+        const { rows } = await pool.query('SELECT id FROM courses WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Không tìm thấy khóa học' });
+
+        await pool.query(
+            'DELETE FROM course_enrollments WHERE course_id = $1 AND NOT (user_id = ANY($2::text[]))',
+            [req.params.id, userIds]
+        );
+        for (const userId of userIds) {
+            await pool.query(
+                `INSERT INTO course_enrollments (course_id, user_id)
+                 SELECT $1, id FROM users WHERE id = $2
+                 ON CONFLICT (course_id, user_id) DO NOTHING`,
+                [req.params.id, userId]
+            );
+        }
+
+        const { rows: enrolled } = await pool.query(
+            'SELECT user_id FROM course_enrollments WHERE course_id = $1', [req.params.id]
+        );
+        res.json({ success: true, enrolledUserIds: enrolled.map(e => e.user_id) });
+    } catch (err) {
+        console.error('Update enrollments error:', err);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+});
+
 // ===== EXTERNAL API (cross-app integration) =====
 const EXTERNAL_API_KEY = process.env.EXTERNAL_API_KEY || 'gokien_chess_2026_secret';
 
@@ -1447,6 +4781,7 @@ app.get('/api/external/daily-study', async (req, res) => {
 
         // Sum all session durations + puzzle counts for this user on the target date
         // Join through cycles → puzzle_sets to find sessions belonging to this user
+        // (practice / review sessions have no cycle, so they never count as study time here)
         // Reset at 0:00 AM VN time (UTC+7)
         const { rows } = await pool.query(`
             SELECT COALESCE(SUM(ts.duration), 0) AS total_seconds,
@@ -1456,7 +4791,7 @@ app.get('/api/external/daily-study', async (req, res) => {
             JOIN puzzle_sets ps ON c.set_id = ps.id
             WHERE ps.assigned_to = $1
               AND DATE(ts.started_at AT TIME ZONE 'Asia/Ho_Chi_Minh') = $2
-              AND ts.ended_at IS NOT NULL
+              AND ts.ended_at IS NOT NULL AND ts.excluded_at IS NULL
         `, [userId, targetDate]);
 
         const totalSeconds = parseInt(rows[0].total_seconds) || 0;
@@ -1504,7 +4839,7 @@ app.get('/api/external/user-info', async (req, res) => {
             FROM training_sessions ts
             JOIN cycles c ON ts.cycle_id = c.id
             JOIN puzzle_sets ps ON c.set_id = ps.id
-            WHERE ps.assigned_to = $1 AND ts.ended_at IS NOT NULL
+            WHERE ps.assigned_to = $1 AND ts.ended_at IS NOT NULL AND ts.excluded_at IS NULL
         `, [user.id]);
 
         const totalSeconds = parseInt(stats[0].total_seconds) || 0;
@@ -1536,7 +4871,7 @@ app.get('/api/external/users', async (req, res) => {
             FROM users u
             LEFT JOIN puzzle_sets ps ON ps.assigned_to = u.id
             LEFT JOIN cycles c ON c.set_id = ps.id
-            LEFT JOIN training_sessions ts ON ts.cycle_id = c.id AND ts.ended_at IS NOT NULL
+            LEFT JOIN training_sessions ts ON ts.cycle_id = c.id AND ts.ended_at IS NOT NULL AND ts.excluded_at IS NULL
             WHERE u.status = 'active'
             GROUP BY u.id, u.username, u.full_name
             ORDER BY u.full_name
@@ -1560,13 +4895,27 @@ let server;
 async function start() {
     try {
         await initDB();
+        await backfillPuzzles();
         console.log('  ✓ Database initialized');
+        await loadOrgSettings();
+        await checkSetupRequired();
+        await warnPendingPasswordChanges();
     } catch (err) {
         console.error('  ✗ Database init failed:', err.message);
         console.log('  ℹ Make sure DATABASE_URL is set or PostgreSQL is running locally');
         process.exit(1);
     }
 
+    // End suspended sessions whose resume window has passed
+    setInterval(() => {
+        finalizeSuspendedSessions().catch(err => console.error('Finalize suspended sessions error:', err));
+    }, 5 * 60 * 1000).unref();
+
+    // Flag suspicious sessions for the admin review queue
+    setInterval(() => {
+        detectSuspiciousActivity().catch(err => console.error('Detect suspicious activity error:', err));
+    }, 15 * 60 * 1000).unref();
+
     server = app.listen(PORT, '0.0.0.0', () => {
         console.log(`\n  ♞ Chess Trainer Server`);
         console.log(`  → Main App:   http://localhost:${PORT}`);
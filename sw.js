@@ -0,0 +1,91 @@
+// Service worker for the Woodpecker app: keeps the app shell and the loaded sets available offline.
+// Pages and assets are network-first so a deploy is picked up as soon as the connection allows.
+
+const SHELL_CACHE = 'wp-shell-v1';
+const API_CACHE = 'wp-api-v2';
+
+const SHELL = [
+    '/',
+    '/woodpecker.html',
+    '/css/woodpecker.css',
+    '/js/pgn-parser.js',
+    '/js/i18n.js',
+    '/js/chessboard.js',
+    '/js/sound-manager.js',
+    '/js/woodpecker-trainer.js',
+    '/js/offline-queue.js',
+    '/js/woodpecker-app.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.3/chess.min.js',
+    ...['wK', 'wQ', 'wR', 'wB', 'wN', 'wP', 'bK', 'bQ', 'bR', 'bB', 'bN', 'bP'].map(p => `/img/pieces/${p}.svg`)
+];
+
+// Reads the app needs to train offline (sets, PGNs, queue, profile)
+const CACHED_API = [/^\/api\/woodpecker\//, /^\/api\/auth\/me$/];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(k => k !== SHELL_CACHE && k !== API_CACHE).map(k => caches.delete(k))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+
+    const url = new URL(req.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        if (CACHED_API.some(re => re.test(url.pathname))) {
+            event.respondWith(apiNetworkFirst(req, url));
+        }
+        return;
+    }
+    event.respondWith(shellNetworkFirst(req));
+});
+
+async function shellNetworkFirst(req) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const res = await fetch(req);
+        if (res.ok) cache.put(req, res.clone());
+        return res;
+    } catch (e) {
+        const cached = await cache.match(req, { ignoreSearch: true });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function apiNetworkFirst(req, url) {
+    // The app adds a _t cache-buster to every GET: cache under the URL without it. Entries are kept per
+    // account (X-Wp-User, set by the app), so on a shared device one account never gets another's data;
+    // a request without it is not cached.
+    const userId = req.headers.get('X-Wp-User');
+    url.searchParams.delete('_t');
+    url.searchParams.set('_user', userId || '');
+    const key = url.toString();
+    const cache = await caches.open(API_CACHE);
+    try {
+        const res = await fetch(req);
+        if (res.ok && userId) cache.put(key, res.clone());
+        return res;
+    } catch (e) {
+        const cached = userId && await cache.match(key);
+        if (cached) return cached;
+        return new Response(JSON.stringify({ error: 'Không có kết nối mạng' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json', 'X-Offline': '1' }
+        });
+    }
+}
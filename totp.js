@@ -0,0 +1,86 @@
+// TOTP (RFC 6238, on HOTP from RFC 4226) as used by authenticator apps: HMAC-SHA1, 6 digits,
+// 30-second steps. Secrets are exchanged as base32 in an otpauth:// URI (the QR code's content).
+
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const WINDOW = 1;               // steps accepted either side of now, for clock drift
+const SECRET_BYTES = 20;        // 160 bits, the RFC 4226 recommendation for SHA-1
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// HOTP value for one counter (RFC 4226 §5.3, dynamic truncation)
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generate(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), Math.floor(time / 1000 / STEP_SECONDS));
+}
+
+// Time step of `code` if it is valid within ±WINDOW steps of `time` and later than `lastStep`
+// (RFC 6238 §5.2: a code that was already accepted must not be accepted again); null otherwise
+function verify(secret, code, lastStep = null, time = Date.now()) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(token)) return null;
+    const key = base32Decode(secret);
+    const counter = Math.floor(time / 1000 / STEP_SECONDS);
+    for (let i = -WINDOW; i <= WINDOW; i++) {
+        const step = counter + i;
+        if (lastStep !== null && step <= lastStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(token))) return step;
+    }
+    return null;
+}
+
+// Key URI format read by authenticator apps (Google Authenticator's otpauth:// scheme)
+function otpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { generateSecret, generate, verify, otpauthUrl };